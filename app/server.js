@@ -1,6 +1,11 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import { createProviderFromEnv } from './server/providers.js';
+import { extractLegislation } from './server/extraction.js';
+import { selectRelevantChunks } from './server/chunking.js';
+import { createProjectStore } from './server/projectStore.js';
+import { generateSuggestions, SUGGESTION_SECTIONS } from './server/suggestions.js';
 
 // Load environment variables
 dotenv.config();
@@ -12,46 +17,28 @@ const PORT = process.env.PORT || 3001;
 app.use(cors());
 app.use(express.json({ limit: '10mb' })); // Allow large document texts
 
-// Anthropic API configuration
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-
-// System prompt for legislation extraction
-const EXTRACTION_SYSTEM_PROMPT = `You are an expert legislative analyst specializing in post-legislative scrutiny. Analyze the provided legislation and extract key information for parliamentary review.
-
-IMPORTANT INSTRUCTIONS:
-- DO NOT copy raw text directly from the document
-- SYNTHESIZE and SUMMARIZE information in clear, professional language
-- If information is not clearly stated, make reasonable inferences or leave blank
-- Write objectives and summaries in your own words, not quoted text
-
-Extract and return a JSON object with these fields:
-
-{
-  "legislationTitle": "The full official title of the Act/Bill",
-  "legislationYear": "Year enacted (e.g., '2023')",
-  "legislationSummary": "Write a clear 2-3 sentence summary explaining: (1) what problem this legislation addresses, (2) what it does to solve it, and (3) who it affects. Do NOT copy definitions or preamble text.",
-  "primaryObjectives": "• First main policy objective\\n• Second main policy objective\\n• Third main policy objective (list 3-5 key goals the legislation aims to achieve, written as clear statements)",
-  "implementingAgencies": "Ministry/Department Name, Agency Name (list the government bodies responsible for implementation)",
-  "suggestedCountry": "Country name if identifiable",
-  "jurisdictionLevel": "national/regional/local/supranational",
-  "parliamentType": "unicameral/bicameral/presidential/other or empty string",
-  "keyProvisions": "• Key provision 1\\n• Key provision 2 (summarize 3-5 most important sections/articles)",
-  "reviewClauses": "Any sunset/review clauses, mandatory reporting requirements, or evaluation timelines"
-}
-
-Return ONLY valid JSON. No markdown code blocks, no explanations.`;
+// LLM provider configuration (see server/providers.js for the LLM_* variables)
+const llm = createProviderFromEnv();
+// Characters per document part for map-reduce extraction
+const EXTRACT_CHUNK_CHARS = parseInt(process.env.EXTRACT_CHUNK_CHARS, 10) || 12000;
+// Shared project store (file database)
+const projectStore = createProjectStore({ dir: process.env.PROJECTS_DIR });
 
+const NOT_CONFIGURED_MESSAGE = 'AI not configured. Set LLM_PROVIDER (and ANTHROPIC_API_KEY or OPENAI_BASE_URL) in your .env file.';
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
-        aiConfigured: !!ANTHROPIC_API_KEY,
+        aiConfigured: llm.configured,
+        provider: llm.name,
+        providerLabel: llm.label,
+        model: llm.model,
         timestamp: new Date().toISOString()
     });
 });
 
-// Extract legislation details using Anthropic Claude
+// Extract legislation details using the configured LLM provider
 app.post('/api/extract', async (req, res) => {
     try {
         const { text, filename } = req.body;
@@ -62,9 +49,9 @@ app.post('/api/extract', async (req, res) => {
             });
         }
 
-        // Check if API key is configured
-        if (!ANTHROPIC_API_KEY) {
-            console.warn('ANTHROPIC_API_KEY not configured, using fallback extraction');
+        // Check if a provider is configured
+        if (!llm.configured) {
+            console.warn(`${llm.name} provider not configured, using fallback extraction`);
             return res.json({
                 success: true,
                 method: 'fallback',
@@ -72,32 +59,14 @@ app.post('/api/extract', async (req, res) => {
             });
         }
 
-        // Call Anthropic API
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': ANTHROPIC_API_KEY,
-                'anthropic-version': '2023-06-01',
-            },
-            body: JSON.stringify({
-                model: 'claude-sonnet-4-5-20250929',
-                max_tokens: 4096,
-                system: EXTRACTION_SYSTEM_PROMPT,
-                messages: [
-                    {
-                        role: 'user',
-                        content: `Please analyze the following legislation and extract key information:\n\n---\n${text.substring(0, 15000)}${text.length > 15000 ? '\n\n[Document truncated due to length...]' : ''}\n---\n\nReturn the extracted information as a JSON object.`
-                    },
-                ],
-            }),
-        });
-
-        if (!response.ok) {
-            const error = await response.json();
-            console.error('Anthropic API error:', error);
+        // Map-reduce over section-aligned chunks so schedules and final provisions are seen too
+        let result;
+        try {
+            result = await extractLegislation(llm, text, filename, { maxChars: EXTRACT_CHUNK_CHARS });
+        } catch (error) {
+            console.error('LLM provider error:', error.message);
 
-            // Fall back to pattern matching if API fails
+            // Fall back to pattern matching if the provider fails
             return res.json({
                 success: true,
                 method: 'fallback',
@@ -106,21 +75,20 @@ app.post('/api/extract', async (req, res) => {
             });
         }
 
-        const data = await response.json();
-        const content = data.content[0].text;
-
-        // Extract JSON from response
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            const extractedData = JSON.parse(jsonMatch[0]);
-            return res.json({
-                success: true,
-                method: 'ai',
-                data: extractedData
-            });
-        }
-
-        throw new Error('Could not parse AI response as JSON');
+        return res.json({
+            success: true,
+            method: 'ai',
+            data: result.data,
+            sources: result.sources,
+            citations: result.citations,
+            delegatedPowers: result.delegatedPowers,
+            reviewProvisions: result.reviewProvisions,
+            validationErrors: result.validationErrors,
+            chunks: result.chunks,
+            ...(result.failedChunks.length > 0 && {
+                warning: `${result.failedChunks.length} of ${result.chunks.length} document parts could not be analysed`
+            }),
+        });
     } catch (error) {
         console.error('Extraction error:', error);
 
@@ -182,6 +150,8 @@ function extractFallback(text, filename = 'document.txt') {
     return {
         legislationTitle,
         legislationYear,
+        assentDate: '',
+        commencementDate: '',
         legislationSummary: legislationSummary || 'This legislation establishes a framework for governance in its designated policy area.',
         primaryObjectives: primaryObjectives || '• To be extracted from the document\n• Review the full text for specific objectives',
         implementingAgencies: implementingAgencies || 'Relevant government ministries and agencies',
@@ -249,6 +219,36 @@ Refer to visual models from the manuals where relevant (e.g., "We can use the 'T
 
 You are helpful, thorough, and always cite your sources.`;
 
+// Build the system prompt for a chat request from the uploaded document and wizard context.
+// Long documents are cut down to the sections most relevant to the latest question.
+function buildChatSystemPrompt(documentText, context, messages = []) {
+    let systemContext = PLSGPT_SYSTEM_PROMPT;
+
+    if (documentText) {
+        const lastQuestion = [...messages].reverse().find(m => m.role !== 'assistant')?.content || '';
+        const excerpts = selectRelevantChunks(documentText, lastQuestion, { budgetChars: 20000 });
+        const documentExcerpt = excerpts.length === 1 && excerpts[0].end === documentText.length
+            ? documentText
+            : excerpts.map(c => `[Characters ${c.start.toLocaleString()}-${c.end.toLocaleString()}${c.heading ? ` • ${c.heading}` : ''}]\n${c.text}`).join('\n\n[...]\n\n');
+
+        systemContext += `\n\n**CURRENT DOCUMENT UNDER ANALYSIS:**\n\`\`\`\n${documentExcerpt}\n\`\`\``;
+        if (documentExcerpt !== documentText) {
+            systemContext += `\n(The document is ${documentText.length.toLocaleString()} characters long; only the excerpts most relevant to the user's latest message are shown. Say so if the answer may be in an omitted part.)`;
+        }
+    }
+
+    if (context && context.legislationTitle) {
+        systemContext += `\n\n**USER'S CURRENT LEGISLATION CONTEXT:**
+- Legislation: ${context.legislationTitle || 'Not specified'}
+- Country: ${context.country || 'Not specified'}
+- Year: ${context.legislationYear || 'Not specified'}
+- Jurisdiction: ${context.jurisdiction || 'Not specified'}
+- Parliament Type: ${context.parliamentType || 'Not specified'}`;
+    }
+
+    return systemContext;
+}
+
 // PLSGPT Chat endpoint
 app.post('/api/chat', async (req, res) => {
     try {
@@ -261,71 +261,136 @@ app.post('/api/chat', async (req, res) => {
             });
         }
 
-        // Check if API key is configured
-        if (!ANTHROPIC_API_KEY) {
+        // Check if a provider is configured
+        if (!llm.configured) {
             return res.json({
                 success: false,
-                error: 'AI not configured. Please set ANTHROPIC_API_KEY in your .env file.'
+                error: NOT_CONFIGURED_MESSAGE
             });
         }
 
-        // Build context for the assistant
-        let systemContext = PLSGPT_SYSTEM_PROMPT;
-
-        if (documentText) {
-            systemContext += `\n\n**CURRENT DOCUMENT UNDER ANALYSIS:**\n\`\`\`\n${documentText.substring(0, 20000)}\n\`\`\``;
+        let assistantMessage;
+        try {
+            assistantMessage = await llm.complete({
+                system: buildChatSystemPrompt(documentText, context, messages),
+                messages,
+            });
+        } catch (error) {
+            console.error('LLM provider error:', error.message);
+            return res.json({
+                success: false,
+                error: 'AI service error. Please try again.'
+            });
         }
 
-        if (context && context.legislationTitle) {
-            systemContext += `\n\n**USER'S CURRENT LEGISLATION CONTEXT:**
-- Legislation: ${context.legislationTitle || 'Not specified'}
-- Country: ${context.country || 'Not specified'}
-- Year: ${context.legislationYear || 'Not specified'}
-- Jurisdiction: ${context.jurisdiction || 'Not specified'}
-- Parliament Type: ${context.parliamentType || 'Not specified'}`;
-        }
+        return res.json({
+            success: true,
+            message: assistantMessage
+        });
 
-        // Format messages for Anthropic
-        const anthropicMessages = messages.map(m => ({
-            role: m.role === 'assistant' ? 'assistant' : 'user',
-            content: m.content
-        }));
-
-        // Call Anthropic API
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': ANTHROPIC_API_KEY,
-                'anthropic-version': '2023-06-01',
-            },
-            body: JSON.stringify({
-                model: 'claude-sonnet-4-5-20250929',
-                max_tokens: 4096,
-                system: systemContext,
-                messages: anthropicMessages,
-            }),
+    } catch (error) {
+        console.error('Chat error:', error);
+        return res.json({
+            success: false,
+            error: error.message
         });
+    }
+});
+
+// Write a single Server-Sent Event to the response
+function writeSSE(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// PLSGPT streaming chat endpoint - forwards text deltas as Server-Sent Events
+app.post('/api/chat/stream', async (req, res) => {
+    const { messages, documentText, context } = req.body;
 
-        if (!response.ok) {
-            const error = await response.json();
-            console.error('Anthropic API error:', error);
+    if (!messages || !Array.isArray(messages)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Messages array is required'
+        });
+    }
+
+    if (!llm.configured) {
+        return res.json({
+            success: false,
+            error: NOT_CONFIGURED_MESSAGE
+        });
+    }
+
+    // Abort the upstream request if the client disconnects or presses "Stop generating"
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+    res.flushHeaders();
+
+    try {
+        await llm.stream(
+            {
+                system: buildChatSystemPrompt(documentText, context, messages),
+                messages,
+                signal: controller.signal,
+            },
+            (text) => writeSSE(res, 'delta', { text })
+        );
+
+        writeSSE(res, 'done', {});
+        res.end();
+    } catch (error) {
+        // The client went away; there is no one left to tell
+        if (controller.signal.aborted) return;
+        console.error('Chat stream error:', error);
+        writeSSE(res, 'error', { error: error.message });
+        res.end();
+    }
+});
+
+// Tailored suggestions for one PLS Tool tab
+app.post('/api/suggest', async (req, res) => {
+    try {
+        const { section, project, documentText, options } = req.body;
+
+        if (!SUGGESTION_SECTIONS.includes(section)) {
+            return res.status(400).json({
+                success: false,
+                error: `section must be one of ${SUGGESTION_SECTIONS.join(', ')}`
+            });
+        }
+
+        if (!llm.configured) {
             return res.json({
                 success: false,
-                error: 'AI service error. Please try again.'
+                error: NOT_CONFIGURED_MESSAGE
             });
         }
 
-        const data = await response.json();
-        const assistantMessage = data.content[0].text;
+        let suggestions;
+        try {
+            suggestions = await generateSuggestions(llm, { section, project, documentText, options });
+        } catch (error) {
+            console.error('Suggestion error:', error.message);
+            return res.json({
+                success: false,
+                error: 'AI service error. Please try again.'
+            });
+        }
 
         return res.json({
             success: true,
-            message: assistantMessage
+            suggestions
         });
 
     } catch (error) {
-        console.error('Chat error:', error);
+        console.error('Suggest error:', error);
         return res.json({
             success: false,
             error: error.message
@@ -333,13 +398,99 @@ app.post('/api/chat', async (req, res) => {
     }
 });
 
+// Send a project store error with its HTTP status; conflicts include the current project
+function sendStoreError(res, error) {
+    if (!error.status) {
+        console.error('Project store error:', error);
+    }
+    return res.status(error.status || 500).json({
+        success: false,
+        error: error.message,
+        ...(error.current && { project: error.current }),
+    });
+}
+
+// Read the expected version from the If-Match header or the request
+function expectedVersion(req) {
+    const header = req.get('If-Match');
+    if (header) return header.replace(/^W\//, '').replace(/"/g, '');
+    return req.body?.version ?? req.query.version;
+}
+
+// The name and wizard state sent to create or save a shared project, or a 400 error when the
+// body is missing or the state is not an object. Saves send a name, a state or both.
+function projectChanges(req, { stateRequired }) {
+    const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+    const body = req.body ?? {};
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(body)) throw badRequest('Request body must be a JSON object');
+    const { name, state } = body;
+    if (name !== undefined && typeof name !== 'string') throw badRequest('name must be text');
+    if (state === undefined ? stateRequired || name === undefined : !isObject(state)) {
+        throw badRequest('state must be an object holding the project\'s wizard state');
+    }
+    return { name, state };
+}
+
+// Shared projects - list
+app.get('/api/projects', (req, res) => {
+    try {
+        res.json({ success: true, projects: projectStore.list() });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// Shared projects - create
+app.post('/api/projects', (req, res) => {
+    try {
+        const project = projectStore.create(projectChanges(req, { stateRequired: true }));
+        res.status(201).set('ETag', `"${project.version}"`).json({ success: true, project });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// Shared projects - load one, including its wizard state and document text
+app.get('/api/projects/:id', (req, res) => {
+    try {
+        const project = projectStore.get(req.params.id);
+        res.set('ETag', `"${project.version}"`).json({ success: true, project });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// Shared projects - save; 409 if someone else saved since `version`
+app.put('/api/projects/:id', (req, res) => {
+    try {
+        const project = projectStore.update(req.params.id, projectChanges(req, { stateRequired: false }), expectedVersion(req));
+        res.set('ETag', `"${project.version}"`).json({ success: true, project });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
+// Shared projects - delete; 409 if someone else saved since `version`
+app.delete('/api/projects/:id', (req, res) => {
+    try {
+        projectStore.remove(req.params.id, expectedVersion(req));
+        res.json({ success: true });
+    } catch (error) {
+        sendStoreError(res, error);
+    }
+});
+
 // Start server
 app.listen(PORT, () => {
     console.log(`\n🚀 PLS Command Center API Server`);
     console.log(`   Running on: http://localhost:${PORT}`);
-    console.log(`   AI Status: ${ANTHROPIC_API_KEY ? '✓ Anthropic API configured' : '⚠️ No API key - using pattern matching'}`);
+    console.log(`   AI Status: ${llm.configured ? `✓ ${llm.label} configured (${llm.name}: ${llm.model})` : `⚠️ ${llm.name} provider not configured - using pattern matching`}`);
     console.log(`\n   Endpoints:`);
     console.log(`   GET  /api/health  - Server status`);
     console.log(`   POST /api/extract - Extract legislation details`);
-    console.log(`   POST /api/chat    - PLSGPT chatbot\n`);
+    console.log(`   POST /api/chat    - PLSGPT chatbot`);
+    console.log(`   POST /api/chat/stream - PLSGPT chatbot (Server-Sent Events)`);
+    console.log(`   POST /api/suggest - Tailored suggestions for a PLS Tool tab`);
+    console.log(`   GET/POST /api/projects, GET/PUT/DELETE /api/projects/:id - Shared projects (${projectStore.dir})\n`);
 });
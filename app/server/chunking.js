@@ -0,0 +1,142 @@
+// Document chunking along section boundaries
+// Keeps Parts, Chapters, Sections, Articles and Schedules intact where possible so each
+// chunk the model sees is a coherent piece of the Act rather than an arbitrary slice.
+
+const DEFAULT_CHUNK_CHARS = 12000;
+
+// Headings that start a new structural unit. PDF text often has no line breaks inside a
+// page, so Part/Chapter/Schedule/Article headings are also recognised mid-line.
+const BOUNDARY_PATTERNS = [
+    /(?:^|\n|\s)((?:PART|Part|CHAPTER|Chapter|TITLE|SCHEDULE|Schedule|ANNEX|Annex|APPENDIX)\s+(?:[IVXLC]+|\d+[A-Z]?)\b)/g,
+    /(?:^|\n|\s)((?:Article|ARTICLE|Artículo|ARTÍCULO|Art\.)\s+\d+[A-Za-z]?)/g,
+    /(?:^|\n)\s*((?:Section|SECTION|Sec\.|§)\s*\d+[A-Z]?)/g,
+    /\n\s*(\d+[A-Z]?\.?\s+[A-Z][^\n]{2,80})(?=\n)/g,
+];
+
+/**
+ * Find offsets where a new structural unit begins, with the heading text found there
+ */
+export function findSectionBoundaries(text) {
+    const boundaries = new Map();
+
+    for (const pattern of BOUNDARY_PATTERNS) {
+        for (const match of text.matchAll(pattern)) {
+            const offset = match.index + match[0].indexOf(match[1]);
+            if (!boundaries.has(offset)) {
+                boundaries.set(offset, match[1].trim().replace(/\s+/g, ' '));
+            }
+        }
+    }
+
+    return [...boundaries.entries()]
+        .map(([offset, heading]) => ({ offset, heading }))
+        .sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Split an oversized segment at paragraph, then sentence, then hard character breaks
+ */
+function splitOversized(start, end, text, maxChars) {
+    const pieces = [];
+    let cursor = start;
+
+    while (end - cursor > maxChars) {
+        const window = text.slice(cursor, cursor + maxChars);
+        let cut = window.lastIndexOf('\n\n');
+        if (cut < maxChars / 2) cut = window.lastIndexOf('. ') + 1;
+        if (cut < maxChars / 2) cut = maxChars;
+        pieces.push({ start: cursor, end: cursor + cut });
+        cursor += cut;
+    }
+    pieces.push({ start: cursor, end });
+
+    return pieces;
+}
+
+/**
+ * Split a document into chunks of at most maxChars, breaking only on section boundaries
+ * unless a single section is itself too long.
+ * Returns [{ index, start, end, heading, text }] with character offsets into the original text.
+ */
+export function chunkDocument(text, { maxChars = DEFAULT_CHUNK_CHARS } = {}) {
+    if (text.length <= maxChars) {
+        return [{ index: 0, start: 0, end: text.length, heading: null, text }];
+    }
+
+    // Segments run from one boundary to the next; any preamble forms the first segment
+    const boundaries = findSectionBoundaries(text);
+    const segments = [];
+    let segmentStart = 0;
+    let segmentHeading = null;
+
+    for (const { offset, heading } of boundaries) {
+        if (offset > segmentStart) {
+            segments.push({ start: segmentStart, end: offset, heading: segmentHeading });
+        }
+        segmentStart = offset;
+        segmentHeading = heading;
+    }
+    segments.push({ start: segmentStart, end: text.length, heading: segmentHeading });
+
+    // Greedily pack whole segments into chunks
+    const chunks = [];
+    let current = null;
+
+    const flush = () => {
+        if (current) chunks.push(current);
+        current = null;
+    };
+
+    for (const segment of segments) {
+        const length = segment.end - segment.start;
+
+        if (length > maxChars) {
+            flush();
+            for (const piece of splitOversized(segment.start, segment.end, text, maxChars)) {
+                chunks.push({ ...piece, heading: segment.heading });
+            }
+            continue;
+        }
+
+        if (current && segment.end - current.start > maxChars) flush();
+        if (!current) current = { start: segment.start, end: segment.end, heading: segment.heading };
+        else current.end = segment.end;
+    }
+    flush();
+
+    return chunks.map((chunk, index) => ({
+        index,
+        start: chunk.start,
+        end: chunk.end,
+        heading: chunk.heading,
+        text: text.slice(chunk.start, chunk.end),
+    }));
+}
+
+/**
+ * Pick the chunks most relevant to a query so a long document fits a prompt budget.
+ * Always keeps the opening chunk (title, purpose, definitions) and returns chunks in document order.
+ */
+export function selectRelevantChunks(text, query, { budgetChars = 20000, maxChars = 4000 } = {}) {
+    if (text.length <= budgetChars) return [{ index: 0, start: 0, end: text.length, heading: null, text }];
+
+    const chunks = chunkDocument(text, { maxChars });
+    const terms = [...new Set((query || '').toLowerCase().match(/[\p{L}\d]{4,}/gu) || [])];
+
+    const scored = chunks.map(chunk => {
+        const lower = chunk.text.toLowerCase();
+        const score = terms.reduce((sum, term) => sum + (lower.includes(term) ? 1 : 0), 0);
+        return { chunk, score };
+    });
+
+    const selected = [chunks[0]];
+    let used = chunks[0].text.length;
+
+    for (const { chunk } of scored.slice(1).sort((a, b) => b.score - a.score || a.chunk.index - b.chunk.index)) {
+        if (used + chunk.text.length > budgetChars) continue;
+        selected.push(chunk);
+        used += chunk.text.length;
+    }
+
+    return selected.sort((a, b) => a.index - b.index);
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { chunkDocument, findSectionBoundaries } from './chunking.js';
+
+const section = (n) => `Section ${n} Heading ${n}\n${'The Minister may make regulations. '.repeat(4)}\n\n`;
+const ACT = `Example Act\n\n${[1, 2, 3, 4].map(section).join('')}`;
+
+describe('findSectionBoundaries', () => {
+    it('finds each section heading with its offset', () => {
+        const boundaries = findSectionBoundaries(ACT);
+        expect(boundaries.map(b => b.heading)).toEqual(['Section 1', 'Section 2', 'Section 3', 'Section 4']);
+        for (const { offset, heading } of boundaries) {
+            expect(ACT.slice(offset, offset + heading.length)).toBe(heading);
+        }
+    });
+});
+
+describe('chunkDocument', () => {
+    it('keeps a short document whole', () => {
+        expect(chunkDocument(ACT)).toEqual([{ index: 0, start: 0, end: ACT.length, heading: null, text: ACT }]);
+    });
+
+    it('breaks on section boundaries and covers the whole text', () => {
+        const chunks = chunkDocument(ACT, { maxChars: 400 });
+        expect(chunks.length).toBeGreaterThan(1);
+        expect(chunks[0].start).toBe(0);
+        expect(chunks.at(-1).end).toBe(ACT.length);
+        for (const [i, chunk] of chunks.entries()) {
+            expect(chunk.text.length).toBeLessThanOrEqual(400);
+            expect(chunk.text).toBe(ACT.slice(chunk.start, chunk.end));
+            if (i > 0) {
+                expect(chunk.start).toBe(chunks[i - 1].end);
+                expect(chunk.text).toMatch(/^Section \d/);
+            }
+        }
+    });
+
+    it('splits a section longer than the limit', () => {
+        const long = `Section 1 Definitions\n${'In this Act a word means what it says. '.repeat(30)}`;
+        const chunks = chunkDocument(long, { maxChars: 300 });
+        expect(chunks.length).toBeGreaterThan(3);
+        expect(chunks.every(c => c.text.length <= 300 && c.heading === 'Section 1')).toBe(true);
+        expect(chunks.map(c => c.text).join('')).toBe(long);
+    });
+});
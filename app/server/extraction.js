@@ -0,0 +1,545 @@
+// Map-reduce extraction of legislation details
+// Long Acts are split along section boundaries, each chunk is extracted separately,
+// and the partial results are merged back into the single extraction object the UI expects.
+
+import { chunkDocument } from './chunking.js';
+import { validateExtraction, describeErrors } from './extractionSchema.js';
+
+// System prompt for legislation extraction
+export const EXTRACTION_SYSTEM_PROMPT = `You are an expert legislative analyst specializing in post-legislative scrutiny. Analyze the provided legislation and extract key information for parliamentary review.
+
+IMPORTANT INSTRUCTIONS:
+- DO NOT copy raw text directly from the document
+- SYNTHESIZE and SUMMARIZE information in clear, professional language
+- If information is not clearly stated, make reasonable inferences or leave blank
+- Write objectives and summaries in your own words, not quoted text
+
+Extract and return a JSON object with these fields:
+
+{
+  "legislationTitle": "The full official title of the Act/Bill",
+  "legislationYear": "Year enacted (e.g., '2023')",
+  "assentDate": "Date of Royal Assent or enactment as YYYY-MM-DD, or empty string if not stated",
+  "commencementDate": "Date the Act comes into force as YYYY-MM-DD, or empty string if not stated or set later by order",
+  "legislationSummary": "Write a clear 2-3 sentence summary explaining: (1) what problem this legislation addresses, (2) what it does to solve it, and (3) who it affects. Do NOT copy definitions or preamble text.",
+  "primaryObjectives": "• First main policy objective\\n• Second main policy objective\\n• Third main policy objective (list 3-5 key goals the legislation aims to achieve, written as clear statements)",
+  "implementingAgencies": "Ministry/Department Name, Agency Name (list the government bodies responsible for implementation)",
+  "suggestedCountry": "Country name if identifiable",
+  "jurisdictionLevel": "national/regional/local/supranational",
+  "parliamentType": "unicameral/bicameral/presidential/other or empty string",
+  "keyProvisions": "• Key provision 1\\n• Key provision 2 (summarize 3-5 most important sections/articles)",
+  "reviewClauses": "Any sunset/review clauses, mandatory reporting requirements, or evaluation timelines",
+  "delegatedPowers": [
+    {
+      "section": "Section or article reference of the enabling provision, e.g. 'Section 12(1)'",
+      "holder": "Who holds the power, e.g. 'Minister of Health' or 'Water Authority'",
+      "instrument": "What is to be made: Regulations, Order, Rules, Decree, Guidelines...",
+      "purpose": "What the secondary legislation is for, in a few words",
+      "procedure": "affirmative (needs parliamentary approval) / negative (can be annulled by parliament) / none",
+      "deadline": "Any time limit for making it, as stated (e.g. 'within 6 months of commencement'), or empty string",
+      "quote": "The enabling provision copied EXACTLY, word for word (under 300 characters)"
+    }
+  ],
+  "reviewProvisions": [
+    {
+      "type": "review (the Act must be reviewed) / sunset (the Act expires unless renewed) / reporting (reports must be made on it) / expiry (a part of the Act expires)",
+      "description": "What the provision requires, in a few words",
+      "obligatedBody": "Who must carry it out, e.g. 'Secretary of State', or empty string",
+      "triggerEvent": "date (a fixed date) / commencement (a period after it comes into force) / assent (a period after Royal Assent or enactment) / annual (every year), or empty string",
+      "triggerDate": "The fixed date as YYYY-MM-DD when triggerEvent is date, otherwise empty string",
+      "triggerYears": 0,
+      "triggerMonths": 0,
+      "section": "Section or article reference, e.g. 'Section 30(1)'",
+      "quote": "The provision copied EXACTLY, word for word (under 300 characters)"
+    }
+  ],
+  "citations": {
+    "<fieldName>": {
+      "quotes": ["1-3 short passages (under 300 characters each) copied EXACTLY, word for word, from the document that support this field"],
+      "confidence": "high (explicitly stated in the text) / medium (inferred from the text) / low (best guess)"
+    }
+  }
+}
+
+List in "delegatedPowers" every provision that empowers a minister or body to make secondary legislation ("the Minister may by regulations...", "shall make rules..."), or [] if there are none.
+
+List in "reviewProvisions" every review clause, sunset clause, reporting requirement and expiry provision, or [] if there are none. "triggerYears" and "triggerMonths" are numbers (not strings): the years and months after the trigger event, 0 if none. "reviewClauses" stays a short summary of them.
+
+Add a "citations" entry for every field you fill in. The summaries stay in your own words, but the quotes must be verbatim so staff can find them in the source.
+
+Return ONLY valid JSON. No markdown code blocks, no explanations.`;
+
+// Prompt for combining partial extractions into one result
+const REDUCE_SYSTEM_PROMPT = `You are an expert legislative analyst. You will receive partial extractions, each taken from a different consecutive part of ONE piece of legislation. Combine them into a single coherent analysis of the whole Act.
+
+Return a JSON object with exactly these fields:
+
+{
+  "legislationSummary": "A clear 2-3 sentence summary of the whole Act: the problem it addresses, what it does, and who it affects",
+  "primaryObjectives": "• 3-5 bullet points covering the Act's main policy objectives",
+  "keyProvisions": "• 3-8 bullet points covering the most important provisions across all parts, keeping section/article references where given"
+}
+
+Return ONLY valid JSON. No markdown code blocks, no explanations.`;
+
+export const EXTRACTION_FIELDS = [
+    'legislationTitle',
+    'legislationYear',
+    'assentDate',
+    'commencementDate',
+    'legislationSummary',
+    'primaryObjectives',
+    'implementingAgencies',
+    'suggestedCountry',
+    'jurisdictionLevel',
+    'parliamentType',
+    'keyProvisions',
+    'reviewClauses',
+];
+
+// Fields where the first chunk that states a value wins (titles and metadata sit at the start)
+const FIRST_VALUE_FIELDS = ['legislationTitle', 'legislationYear', 'assentDate', 'commencementDate', 'suggestedCountry', 'jurisdictionLevel', 'parliamentType'];
+// Bullet-list fields merged item by item
+const BULLET_FIELDS = ['primaryObjectives', 'keyProvisions', 'reviewClauses'];
+// Fields re-synthesised by the reduce call when several chunks contribute
+const REDUCED_FIELDS = ['legislationSummary', 'primaryObjectives', 'keyProvisions'];
+
+const MAX_CONCURRENT_CHUNKS = 3;
+
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+const MAX_PASSAGES_PER_FIELD = 5;
+
+/**
+ * Pull the first JSON object out of a model reply
+ */
+export function parseJsonObject(content) {
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) throw new Error('Could not parse AI response as JSON');
+    return JSON.parse(jsonMatch[0]);
+}
+
+/**
+ * Parse and validate a model reply. Returns { value, errors }; value is null when the
+ * reply is not a JSON object at all.
+ */
+function parseAndValidate(content) {
+    let parsed;
+    try {
+        parsed = parseJsonObject(content);
+    } catch (error) {
+        return { value: null, errors: [{ field: null, message: `reply is not valid JSON (${error.message})` }] };
+    }
+    return validateExtraction(parsed);
+}
+
+/**
+ * Find a quoted passage in text[from, to), tolerating whitespace and case differences
+ * introduced by PDF extraction. Returns { start, end } offsets into text, or null.
+ */
+export function locateQuote(text, quote, from = 0, to = text.length) {
+    if (typeof quote !== 'string' || quote.trim().length < 4) return null;
+    const needle = quote.trim().replace(/^["'“‘]+|["'”’.…]+$/g, '');
+
+    const exact = text.indexOf(needle, from);
+    if (exact !== -1 && exact + needle.length <= to) {
+        return { start: exact, end: exact + needle.length };
+    }
+
+    const words = needle.split(/\s+/).filter(Boolean).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (words.length === 0) return null;
+    const pattern = new RegExp(words.join('\\s+'), 'i');
+    const match = pattern.exec(text.slice(from, to));
+    return match ? { start: from + match.index, end: from + match.index + match[0].length } : null;
+}
+
+/**
+ * Turn the model's per-field quotes for one chunk into verified passages with absolute offsets.
+ * Quotes that cannot be found in the chunk are dropped.
+ */
+function locateCitations(citations, chunk, documentText) {
+    const located = {};
+    if (!citations || typeof citations !== 'object') return located;
+
+    for (const [field, citation] of Object.entries(citations)) {
+        if (!EXTRACTION_FIELDS.includes(field) || !citation) continue;
+        const quotes = Array.isArray(citation.quotes) ? citation.quotes : [];
+        const passages = quotes
+            .map(quote => locateQuote(documentText, quote, chunk.start, chunk.end))
+            .filter(Boolean)
+            .map(({ start, end }) => ({ start, end, text: documentText.slice(start, end), chunk: chunk.index }));
+
+        located[field] = {
+            confidence: CONFIDENCE_LEVELS.includes(citation.confidence) ? citation.confidence : 'medium',
+            passages,
+        };
+    }
+    return located;
+}
+
+/**
+ * Find each record's quote in its chunk and build it with `toRecord(item, quote, location)`,
+ * adding { start, end } offsets (null when not found). Records with neither a quote nor
+ * the named text field are dropped.
+ */
+function locateRecords(items, textField, chunk, documentText, toRecord) {
+    if (!Array.isArray(items)) return [];
+    return items
+        .filter(item => item && typeof item === 'object' && (isFilled(item.quote) || isFilled(item[textField])))
+        .map(item => {
+            const location = locateQuote(documentText, item.quote, chunk.start, chunk.end);
+            return {
+                ...toRecord(item),
+                quote: location ? documentText.slice(location.start, location.end) : item.quote || '',
+                start: location?.start ?? null,
+                end: location?.end ?? null,
+            };
+        });
+}
+
+const locatePowers = (powers, chunk, documentText) => locateRecords(powers, 'purpose', chunk, documentText, power => ({
+    section: power.section || '',
+    holder: power.holder || '',
+    instrument: power.instrument || '',
+    purpose: power.purpose || '',
+    procedure: power.procedure?.trim().toLowerCase() || 'none',
+    deadline: power.deadline || '',
+}));
+
+// The model returns the trigger as flat fields; the browser keeps it as one { event, date, years, months } object
+const locateReviewProvisions = (provisions, chunk, documentText) => locateRecords(provisions, 'description', chunk, documentText, provision => ({
+    type: provision.type?.trim().toLowerCase() || 'review',
+    description: provision.description || '',
+    obligatedBody: provision.obligatedBody || '',
+    trigger: {
+        event: provision.triggerEvent?.trim().toLowerCase() || '',
+        date: provision.triggerDate?.trim() || '',
+        years: Number(provision.triggerYears) || 0,
+        months: Number(provision.triggerMonths) || 0,
+    },
+    section: provision.section || '',
+}));
+
+/**
+ * Records from every chunk in document order, each once. Chunks do not overlap, so the same
+ * record found twice has the same location, or the same `describe(record)` when it has none.
+ */
+function mergeRecords(results, field, describe) {
+    const seen = new Set();
+    const records = [];
+    for (const r of results) {
+        for (const record of r[field] || []) {
+            const key = record.start !== null ? record.start : normalize(describe(record));
+            if (seen.has(key)) continue;
+            seen.add(key);
+            records.push(record);
+        }
+    }
+    return records.sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity));
+}
+
+/**
+ * Delegated powers from every chunk, each once
+ */
+export const mergeDelegatedPowers = (results) => mergeRecords(results, 'delegatedPowers', power => `${power.section} ${power.purpose}`);
+
+/**
+ * Review, sunset, reporting and expiry provisions from every chunk, each once
+ */
+export const mergeReviewProvisions = (results) => mergeRecords(results, 'reviewProvisions', provision => `${provision.section} ${provision.description}`);
+
+/**
+ * Combine per-chunk citations for every filled field. A field with no verifiable passage is
+ * reported as low confidence, whatever the model claimed.
+ */
+export function mergeCitations(results, data, sources) {
+    const citations = {};
+
+    for (const field of EXTRACTION_FIELDS) {
+        if (!isFilled(data[field])) continue;
+
+        const contributing = results.filter(r => sources[field].includes(r.chunkIndex) && r.citations?.[field]);
+        const passages = [];
+        const seen = new Set();
+        for (const r of contributing) {
+            for (const passage of r.citations[field].passages) {
+                if (seen.has(passage.start) || passages.length >= MAX_PASSAGES_PER_FIELD) continue;
+                seen.add(passage.start);
+                passages.push(passage);
+            }
+        }
+
+        const claimed = contributing.reduce(
+            (best, r) => Math.max(best, CONFIDENCE_LEVELS.indexOf(r.citations[field].confidence)),
+            0
+        );
+
+        citations[field] = {
+            confidence: passages.length > 0 ? CONFIDENCE_LEVELS[claimed] : 'low',
+            passages: passages.sort((a, b) => a.start - b.start),
+        };
+    }
+
+    return citations;
+}
+
+/**
+ * Run an async function over items with at most `limit` in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+const isFilled = (value) => typeof value === 'string' && value.trim() !== '';
+
+const splitBullets = (value) => value
+    .split(/\n+/)
+    .map(line => line.replace(/^\s*[•\-*]\s*/, '').trim())
+    .filter(Boolean);
+
+const normalize = (value) => value.toLowerCase().replace(/[^\p{L}\d]+/gu, ' ').trim();
+
+/**
+ * Merge per-chunk results deterministically. Returns { data, sources } where
+ * sources maps each field to the indexes of the chunks that contributed to it.
+ */
+export function mergeChunkResults(results) {
+    const data = {};
+    const sources = {};
+
+    for (const field of EXTRACTION_FIELDS) {
+        data[field] = '';
+        sources[field] = [];
+    }
+
+    // A short document is one chunk - keep the model's output exactly as returned
+    if (results.length === 1) {
+        const [only] = results;
+        for (const field of EXTRACTION_FIELDS) {
+            data[field] = typeof only.data[field] === 'string' ? only.data[field] : '';
+            if (isFilled(data[field])) sources[field] = [only.chunkIndex];
+        }
+        return { data, sources };
+    }
+
+    for (const field of FIRST_VALUE_FIELDS) {
+        const first = results.find(r => isFilled(r.data[field]));
+        if (!first) continue;
+        data[field] = first.data[field].trim();
+        sources[field] = results
+            .filter(r => isFilled(r.data[field]) && normalize(r.data[field]) === normalize(data[field]))
+            .map(r => r.chunkIndex);
+    }
+
+    for (const field of BULLET_FIELDS) {
+        const seen = new Set();
+        const items = [];
+        for (const r of results) {
+            if (!isFilled(r.data[field])) continue;
+            sources[field].push(r.chunkIndex);
+            for (const item of splitBullets(r.data[field])) {
+                const key = normalize(item);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                items.push(item);
+            }
+        }
+        data[field] = items.map(item => `• ${item}`).join('\n');
+    }
+
+    // Agencies are a comma-separated list
+    const agencies = new Map();
+    for (const r of results) {
+        if (!isFilled(r.data.implementingAgencies)) continue;
+        sources.implementingAgencies.push(r.chunkIndex);
+        for (const agency of r.data.implementingAgencies.split(/[,;\n]+/).map(a => a.trim()).filter(Boolean)) {
+            const key = normalize(agency);
+            if (!agencies.has(key)) agencies.set(key, agency);
+        }
+    }
+    data.implementingAgencies = [...agencies.values()].join(', ');
+
+    // Until the reduce step runs, the opening summary stands for the whole Act
+    const summaries = results.filter(r => isFilled(r.data.legislationSummary));
+    if (summaries.length > 0) {
+        data.legislationSummary = summaries[0].data.legislationSummary.trim();
+        sources.legislationSummary = summaries.map(r => r.chunkIndex);
+    }
+
+    return { data, sources };
+}
+
+/**
+ * Extract one chunk. Invalid output gets one repair request; fields still invalid after that are
+ * dropped and reported in `errors`. Resolves to null when no usable JSON comes back at all.
+ */
+async function extractChunk(llm, chunk, total, filename, documentText) {
+    const position = total > 1
+        ? `This is part ${chunk.index + 1} of ${total} of "${filename}" (characters ${chunk.start.toLocaleString()}-${chunk.end.toLocaleString()}${chunk.heading ? `, starting at ${chunk.heading}` : ''}). Extract only what this part supports and leave fields empty ("") when this part does not cover them.\n\n`
+        : '';
+
+    const messages = [
+        {
+            role: 'user',
+            content: `${position}Please analyze the following legislation and extract key information:\n\n---\n${chunk.text}\n---\n\nReturn the extracted information as a JSON object.`
+        },
+    ];
+
+    try {
+        const content = await llm.complete({ system: EXTRACTION_SYSTEM_PROMPT, messages });
+        let { value, errors } = parseAndValidate(content);
+        let repaired = false;
+
+        if (errors.length > 0) {
+            console.warn(`Chunk ${chunk.index + 1}/${total} failed validation, requesting repair:\n${describeErrors(errors)}`);
+            const repairedContent = await llm.complete({
+                system: EXTRACTION_SYSTEM_PROMPT,
+                messages: [
+                    ...messages,
+                    { role: 'assistant', content },
+                    {
+                        role: 'user',
+                        content: `Your reply did not match the required format:\n${describeErrors(errors)}\n\nReturn the complete corrected JSON object only. Use "" for any field you cannot determine.`
+                    },
+                ],
+            });
+            const retry = parseAndValidate(repairedContent);
+            // Keep the first attempt if the repair made things worse
+            if (retry.value && (!value || retry.errors.length <= errors.length)) {
+                ({ value, errors } = retry);
+            }
+            repaired = true;
+        }
+
+        if (!value) {
+            console.warn(`Chunk ${chunk.index + 1}/${total} returned no usable JSON after repair`);
+            return null;
+        }
+
+        const { citations, delegatedPowers, reviewProvisions, ...data } = value;
+        return {
+            chunkIndex: chunk.index,
+            data,
+            citations: locateCitations(citations, chunk, documentText),
+            delegatedPowers: locatePowers(delegatedPowers, chunk, documentText),
+            reviewProvisions: locateReviewProvisions(reviewProvisions, chunk, documentText),
+            errors: errors.map(e => ({ ...e, chunk: chunk.index })),
+            repaired,
+        };
+    } catch (error) {
+        console.warn(`Chunk ${chunk.index + 1}/${total} extraction failed:`, error.message);
+        return null;
+    }
+}
+
+// Lists whose invalid items are dropped one by one; each dropped item is reported
+const LIST_FIELDS = ['delegatedPowers', 'reviewProvisions'];
+
+/**
+ * Collect validation errors for fields that no chunk filled validly, and for items dropped from
+ * lists, grouped by field
+ */
+export function unresolvedValidationErrors(results, data) {
+    const byField = new Map();
+
+    for (const r of results) {
+        for (const error of r.errors) {
+            const field = error.field.split(/[.[]/)[0];
+            const isList = LIST_FIELDS.includes(field);
+            // Broken citations only cost a source link, and a valid value from another chunk resolves the problem
+            if (field === 'citations' || (!isList && isFilled(data[field]))) continue;
+            if (!byField.has(field)) byField.set(field, { field, messages: [], chunks: [] });
+            const entry = byField.get(field);
+            // "item 2 triggerYears must be a number", so the message says which item was dropped
+            const [, index, path] = error.field.slice(field.length).match(/^\[(\d+)\]\.?(.*)$/) || [];
+            const message = isList && index !== undefined ? `item ${Number(index) + 1}${path ? ` ${path}` : ''} ${error.message}` : error.message;
+            if (!entry.messages.includes(message)) entry.messages.push(message);
+            if (!entry.chunks.includes(error.chunk)) entry.chunks.push(error.chunk);
+        }
+    }
+
+    return [...byField.values()].map(({ field, messages, chunks }) => ({
+        field,
+        message: messages.join('; '),
+        chunks,
+    }));
+}
+
+/**
+ * Re-synthesise the narrative fields from all partial results in one call
+ */
+async function reduceNarrativeFields(llm, results) {
+    const partials = results.map(r => ({
+        part: r.chunkIndex + 1,
+        ...Object.fromEntries(REDUCED_FIELDS.map(field => [field, r.data[field] || ''])),
+    }));
+
+    const content = await llm.complete({
+        system: REDUCE_SYSTEM_PROMPT,
+        messages: [
+            {
+                role: 'user',
+                content: `Partial extractions, in document order:\n\n${JSON.stringify(partials, null, 2)}\n\nReturn the combined JSON object.`
+            },
+        ],
+    });
+    return parseJsonObject(content);
+}
+
+/**
+ * Map-reduce extraction over the whole document.
+ * Returns { data, sources, citations, delegatedPowers, reviewProvisions, validationErrors, chunks, failedChunks };
+ * throws if no chunk could be extracted.
+ * citations maps each filled field to { confidence, passages: [{ start, end, text, chunk }] }.
+ * delegatedPowers lists [{ section, holder, instrument, purpose, procedure, deadline, quote, start, end }].
+ * reviewProvisions lists [{ type, description, obligatedBody, trigger: { event, date, years, months }, section, quote, start, end }].
+ */
+export async function extractLegislation(llm, text, filename = 'document.txt', { maxChars } = {}) {
+    const chunks = chunkDocument(text, { maxChars });
+
+    const results = (await mapWithConcurrency(chunks, MAX_CONCURRENT_CHUNKS,
+        chunk => extractChunk(llm, chunk, chunks.length, filename, text)
+    )).filter(Boolean);
+
+    if (results.length === 0) {
+        throw new Error('AI extraction failed for every part of the document');
+    }
+
+    const { data, sources } = mergeChunkResults(results);
+
+    const needsReduce = REDUCED_FIELDS.some(field => sources[field].length > 1);
+    if (needsReduce) {
+        try {
+            const reduced = await reduceNarrativeFields(llm, results);
+            for (const field of REDUCED_FIELDS) {
+                if (typeof reduced[field] === 'string' && isFilled(reduced[field])) data[field] = reduced[field].trim();
+            }
+        } catch (error) {
+            console.warn('Reduce step failed, keeping merged results:', error.message);
+        }
+    }
+
+    const extractedIndexes = new Set(results.map(r => r.chunkIndex));
+
+    return {
+        data,
+        sources,
+        citations: mergeCitations(results, data, sources),
+        delegatedPowers: mergeDelegatedPowers(results),
+        reviewProvisions: mergeReviewProvisions(results),
+        validationErrors: unresolvedValidationErrors(results, data),
+        repairedChunks: results.filter(r => r.repaired).map(r => r.chunkIndex),
+        chunks: chunks.map(({ index, start, end, heading }) => ({ index, start, end, heading })),
+        failedChunks: chunks.filter(c => !extractedIndexes.has(c.index)).map(c => c.index),
+    };
+}
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { extractLegislation, locateQuote, mergeDelegatedPowers } from './extraction.js';
+import { createReplayProvider } from './providers.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/llm', import.meta.url));
+const ACT = fs.readFileSync(new URL('./fixtures/example-act.txt', import.meta.url), 'utf8');
+
+// The recorded replies split the example Act into two parts at this size
+const MAX_CHARS = 400;
+
+beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+describe('locateQuote', () => {
+    const text = 'Section 1\nThe Minister  must\nreview the operation of this Act.';
+
+    it('finds an exact quote', () => {
+        expect(locateQuote(text, 'Section 1')).toEqual({ start: 0, end: 9 });
+    });
+
+    it('tolerates whitespace, case and surrounding quotation marks', () => {
+        const location = locateQuote(text, '"the minister must review the operation of this Act."');
+        expect(text.slice(location.start, location.end)).toBe('The Minister  must\nreview the operation of this Act');
+    });
+
+    it('only searches the given range', () => {
+        expect(locateQuote(text, 'Section 1', 5)).toBeNull();
+    });
+
+    it('ignores quotes too short to place', () => {
+        expect(locateQuote(text, 'Act')).toBeNull();
+    });
+});
+
+describe('mergeDelegatedPowers', () => {
+    it('keeps each power once, in document order', () => {
+        const power = (section, start) => ({ section, purpose: 'Fees', start });
+        const merged = mergeDelegatedPowers([
+            { delegatedPowers: [power('s.4', 300), power('s.2', 100)] },
+            { delegatedPowers: [power('s.4', 300), { ...power('s.9', null), purpose: 'Fees' }] },
+            { delegatedPowers: [{ ...power('S.9', null), purpose: 'fees' }] },
+        ]);
+        expect(merged.map(p => p.section)).toEqual(['s.2', 's.4', 's.9']);
+    });
+});
+
+describe('extractLegislation with the replay provider', () => {
+    const llm = createReplayProvider({ fixturesDir: FIXTURES_DIR });
+
+    it('merges the recorded parts of a two-part Act', async () => {
+        const result = await extractLegislation(llm, ACT, 'example-act.txt', { maxChars: MAX_CHARS });
+
+        expect(result.chunks.map(c => c.heading)).toEqual([null, 'Section 3']);
+        expect(result.failedChunks).toEqual([]);
+        expect(result.data).toMatchObject({
+            legislationTitle: 'Example Scrutiny Act 2023',
+            legislationYear: '2023',
+            implementingAgencies: 'Secretary of State',
+            keyProvisions: '• Section 2: regulations on publishing impact assessments',
+            reviewClauses: '• Section 3: review within 3 years of commencement',
+        });
+        expect(result.sources.implementingAgencies).toEqual([0, 1]);
+        expect(result.sources.reviewClauses).toEqual([1]);
+    });
+
+    it('places citations and delegated powers in the document text', async () => {
+        const { citations, delegatedPowers } = await extractLegislation(llm, ACT, 'example-act.txt', { maxChars: MAX_CHARS });
+
+        const [title] = citations.legislationTitle.passages;
+        expect(ACT.slice(title.start, title.end)).toBe('Example Scrutiny Act 2023');
+        expect(citations.legislationYear).toEqual({ confidence: 'low', passages: [] });
+
+        expect(delegatedPowers).toHaveLength(1);
+        expect(delegatedPowers[0].procedure).toBe('negative');
+        expect(ACT.slice(delegatedPowers[0].start, delegatedPowers[0].end)).toBe(delegatedPowers[0].quote);
+    });
+
+    it('asks for a repair when a part fails validation', async () => {
+        const result = await extractLegislation(llm, ACT, 'example-act.txt', { maxChars: MAX_CHARS });
+
+        // The second part first gave triggerYears as "three"
+        expect(result.repairedChunks).toEqual([1]);
+        expect(result.validationErrors).toEqual([]);
+        expect(result.reviewProvisions).toHaveLength(1);
+        expect(result.reviewProvisions[0].trigger).toEqual({ event: 'commencement', date: '', years: 3, months: 0 });
+    });
+
+    it('fails when no part has a recorded reply', async () => {
+        await expect(extractLegislation(llm, 'An Act with no recorded replies.')).rejects.toThrow('AI extraction failed for every part of the document');
+    });
+});
@@ -0,0 +1,194 @@
+// Schema for the extraction object returned by /api/extract
+// A small declarative schema plus a validator, so bad model output is caught field by field
+// instead of reaching the Setup tab.
+
+const BULLET_TEXT = { type: 'string', maxLength: 5000 };
+const ISO_DATE = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, description: 'a date as YYYY-MM-DD' };
+
+export const EXTRACTION_SCHEMA = {
+    type: 'object',
+    properties: {
+        legislationTitle: { type: 'string', maxLength: 500 },
+        legislationYear: { type: 'string', pattern: /^(1[5-9]\d{2}|20\d{2})$/, description: 'a four-digit year such as "2023"' },
+        legislationSummary: { type: 'string', maxLength: 3000 },
+        assentDate: ISO_DATE,
+        commencementDate: ISO_DATE,
+        primaryObjectives: BULLET_TEXT,
+        implementingAgencies: { type: 'string', maxLength: 2000 },
+        suggestedCountry: { type: 'string', maxLength: 100 },
+        jurisdictionLevel: { type: 'string', enum: ['national', 'regional', 'local', 'supranational'] },
+        parliamentType: { type: 'string', enum: ['unicameral', 'bicameral', 'presidential', 'other'] },
+        keyProvisions: BULLET_TEXT,
+        reviewClauses: BULLET_TEXT,
+        delegatedPowers: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    section: { type: 'string', maxLength: 100 },
+                    holder: { type: 'string', maxLength: 200 },
+                    instrument: { type: 'string', maxLength: 100 },
+                    purpose: { type: 'string', maxLength: 500 },
+                    // "Made affirmative" is read as affirmative; wording naming no procedure becomes none
+                    procedure: { type: 'string', enum: ['affirmative', 'negative', 'none'], fallback: 'none' },
+                    deadline: { type: 'string', maxLength: 200 },
+                    quote: { type: 'string', maxLength: 1000 },
+                },
+            },
+        },
+        reviewProvisions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string', enum: ['review', 'sunset', 'reporting', 'expiry'] },
+                    description: { type: 'string', maxLength: 500 },
+                    obligatedBody: { type: 'string', maxLength: 200 },
+                    triggerEvent: { type: 'string', enum: ['date', 'commencement', 'assent', 'annual'] },
+                    triggerDate: ISO_DATE,
+                    triggerYears: { type: 'number' },
+                    triggerMonths: { type: 'number' },
+                    section: { type: 'string', maxLength: 100 },
+                    quote: { type: 'string', maxLength: 1000 },
+                },
+            },
+        },
+        citations: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    quotes: { type: 'array', items: { type: 'string' } },
+                    confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+                },
+            },
+        },
+    },
+};
+
+const typeOf = (value) => Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+/**
+ * Validate a value against a schema node.
+ * Empty strings are always allowed - "not stated in the document" is a valid answer
+ * (coerceNode turns a null scalar into one first).
+ * Returns a list of { field, message } with dotted paths.
+ */
+function validateNode(value, schema, path) {
+    const errors = [];
+    const actual = typeOf(value);
+
+    if (value === undefined) return errors;
+
+    if (actual !== schema.type) {
+        errors.push({ field: path, message: `must be ${schema.type === 'array' ? 'an array' : `a ${schema.type}`}, got ${actual}` });
+        return errors;
+    }
+
+    if (schema.type === 'string') {
+        if (value.trim() === '') return errors;
+        if (schema.enum && !schema.enum.includes(value.trim().toLowerCase())) {
+            errors.push({ field: path, message: `must be one of ${schema.enum.join('/')}, got "${value}"` });
+        }
+        if (schema.pattern && !schema.pattern.test(value.trim())) {
+            errors.push({ field: path, message: `must be ${schema.description || `in the format ${schema.pattern}`}, got "${value}"` });
+        }
+        if (schema.maxLength && value.length > schema.maxLength) {
+            errors.push({ field: path, message: `must be at most ${schema.maxLength} characters` });
+        }
+    }
+
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, i) => errors.push(...validateNode(item, schema.items, `${path}[${i}]`)));
+    }
+
+    if (schema.type === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            const childSchema = schema.properties?.[key] || schema.additionalProperties;
+            if (childSchema) errors.push(...validateNode(child, childSchema, path ? `${path}.${key}` : key));
+        }
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push({ field: path ? `${path}.${key}` : key, message: 'is required' });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Fix answers that are right in substance but not in form: null for a scalar the document does
+ * not state (read as "" for text, left out for numbers), numbers given as numeric strings ("5"),
+ * and for enums with a fallback, wording that names one of the values or else the fallback
+ */
+function coerceNode(value, schema) {
+    if (value === null && (schema.type === 'string' || schema.type === 'number')) {
+        return schema.type === 'string' ? '' : undefined;
+    }
+    if (schema.type === 'number' && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (schema.type === 'string' && schema.fallback && typeof value === 'string' && value.trim() !== '') {
+        const answer = value.trim().toLowerCase();
+        if (schema.enum.includes(answer)) return value;
+        const named = schema.enum.filter(option => new RegExp(`\\b${option}\\b`).test(answer));
+        return named.length === 1 ? named[0] : schema.fallback;
+    }
+    if (schema.type === 'array' && schema.items && Array.isArray(value)) {
+        return value.map(item => coerceNode(item, schema.items));
+    }
+    if (schema.type === 'object' && typeOf(value) === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => {
+            const childSchema = schema.properties?.[key] || schema.additionalProperties;
+            return [key, childSchema ? coerceNode(child, childSchema) : child];
+        }));
+    }
+    return value;
+}
+
+/**
+ * Validate an extraction object.
+ * Returns { value, errors } where value keeps only the valid top-level fields (enums lower-cased,
+ * strings trimmed) and errors lists every failure as { field, message }. In lists such as
+ * delegatedPowers only the invalid items are dropped, so one bad item does not cost the others.
+ */
+export function validateExtraction(data, schema = EXTRACTION_SCHEMA) {
+    if (typeOf(data) !== 'object') {
+        return { value: null, errors: [{ field: null, message: `reply must be a JSON object, got ${typeOf(data)}` }] };
+    }
+
+    const coerced = coerceNode(data, schema);
+    const errors = validateNode(coerced, schema, '');
+    const invalidFields = new Set();
+    const invalidItems = new Map(); // list field -> indexes of its invalid items
+    for (const error of errors) {
+        const item = error.field?.match(/^(\w+)\[(\d+)\]/);
+        if (item && schema.properties[item[1]]?.type === 'array') {
+            if (!invalidItems.has(item[1])) invalidItems.set(item[1], new Set());
+            invalidItems.get(item[1]).add(Number(item[2]));
+        } else {
+            invalidFields.add(error.field?.split(/[.[]/)[0]);
+        }
+    }
+    const value = {};
+
+    for (const [key, fieldValue] of Object.entries(coerced)) {
+        if (!schema.properties[key] || invalidFields.has(key)) continue;
+        const fieldSchema = schema.properties[key];
+        if (fieldSchema.type === 'string') {
+            value[key] = fieldSchema.enum ? fieldValue.trim().toLowerCase() : fieldValue.trim();
+        } else if (invalidItems.has(key)) {
+            value[key] = fieldValue.filter((_, i) => !invalidItems.get(key).has(i));
+        } else {
+            value[key] = fieldValue;
+        }
+    }
+
+    return { value, errors };
+}
+
+/**
+ * Describe validation errors for a repair prompt
+ */
+export function describeErrors(errors) {
+    return errors.map(e => `- ${e.field || 'reply'}: ${e.message}`).join('\n');
+}
@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { describeErrors, validateExtraction } from './extractionSchema.js';
+
+const power = (changes) => ({ section: 's.2', purpose: 'Fees', procedure: 'negative', ...changes });
+
+describe('validateExtraction', () => {
+    it('keeps valid fields, trimming strings and lower-casing enums', () => {
+        const { value, errors } = validateExtraction({
+            legislationTitle: '  Example Act  ',
+            jurisdictionLevel: 'National',
+            assentDate: '',
+        });
+        expect(errors).toEqual([]);
+        expect(value).toEqual({ legislationTitle: 'Example Act', jurisdictionLevel: 'national', assentDate: '' });
+    });
+
+    it('drops invalid fields and reports each one', () => {
+        const { value, errors } = validateExtraction({ legislationTitle: 'Example Act', legislationYear: 'last year', parliamentType: 42 });
+        expect(value).toEqual({ legislationTitle: 'Example Act' });
+        expect(errors.map(e => e.field)).toEqual(['legislationYear', 'parliamentType']);
+        expect(describeErrors(errors)).toContain('- parliamentType: must be a string, got number');
+    });
+
+    it('drops only the invalid items of a list', () => {
+        const { value, errors } = validateExtraction({
+            delegatedPowers: [power(), power({ section: 7 }), power({ section: 's.9' })],
+        });
+        expect(value.delegatedPowers.map(p => p.section)).toEqual(['s.2', 's.9']);
+        expect(errors).toEqual([{ field: 'delegatedPowers[1].section', message: 'must be a string, got number' }]);
+    });
+
+    it('coerces numeric strings and procedure wording', () => {
+        const { value, errors } = validateExtraction({
+            delegatedPowers: [power({ procedure: 'made affirmative' }), power({ procedure: 'by order' })],
+            reviewProvisions: [{ type: 'review', triggerYears: '5' }],
+        });
+        expect(errors).toEqual([]);
+        expect(value.delegatedPowers.map(p => p.procedure)).toEqual(['affirmative', 'none']);
+        expect(value.reviewProvisions[0].triggerYears).toBe(5);
+    });
+
+    it('reads null scalars as "not stated" instead of asking for a repair', () => {
+        const { value, errors } = validateExtraction({
+            legislationTitle: 'Example Act',
+            assentDate: null,
+            jurisdictionLevel: null,
+            reviewProvisions: [{ type: 'review', section: null, triggerYears: null }],
+        });
+        expect(errors).toEqual([]);
+        expect(value).toMatchObject({ assentDate: '', jurisdictionLevel: '' });
+        expect(value.reviewProvisions).toEqual([{ type: 'review', section: '', triggerYears: undefined }]);
+    });
+
+    it('still rejects null for a list or object', () => {
+        const { errors } = validateExtraction({ delegatedPowers: null });
+        expect(errors).toEqual([{ field: 'delegatedPowers', message: 'must be an array, got null' }]);
+    });
+
+    it('rejects a reply that is not an object', () => {
+        expect(validateExtraction([])).toEqual({
+            value: null,
+            errors: [{ field: null, message: 'reply must be a JSON object, got array' }],
+        });
+    });
+});
@@ -0,0 +1,118 @@
+// Shared project store for the committee secretariat
+// One JSON file per project in a local directory. Every project carries a version number;
+// updates must quote the version they were based on, so two clerks can't silently overwrite each other.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const DEFAULT_PROJECTS_DIR = 'data/projects';
+const ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+/**
+ * Error with an HTTP status, plus the current project for version conflicts
+ */
+function storeError(status, message, current) {
+    const error = new Error(message);
+    error.status = status;
+    if (current) error.current = current;
+    return error;
+}
+
+const summarize = (project) => ({
+    id: project.id,
+    name: project.name,
+    version: project.version,
+    legislationTitle: project.state?.context?.legislationTitle || '',
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt,
+});
+
+/**
+ * Create a file-backed project store
+ */
+export function createProjectStore({ dir = DEFAULT_PROJECTS_DIR } = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fileFor = (id) => {
+        if (!ID_PATTERN.test(id)) throw storeError(404, 'Project not found');
+        return path.join(dir, `${id}.json`);
+    };
+
+    const read = (id) => {
+        const file = fileFor(id);
+        if (!fs.existsSync(file)) throw storeError(404, 'Project not found');
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    };
+
+    // Write to a temp file and rename, so a crash never leaves a half-written project
+    const write = (project) => {
+        const file = fileFor(project.id);
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(project));
+        fs.renameSync(tmp, file);
+        return project;
+    };
+
+    const checkVersion = (project, expectedVersion) => {
+        if (expectedVersion === undefined || expectedVersion === null) {
+            throw storeError(428, 'A version is required to change a shared project');
+        }
+        if (Number(expectedVersion) !== project.version) {
+            throw storeError(409, `Project was changed by someone else (now at version ${project.version})`, project);
+        }
+    };
+
+    return {
+        dir,
+
+        list() {
+            return fs.readdirSync(dir)
+                .filter(f => f.endsWith('.json'))
+                .map(f => {
+                    try {
+                        return summarize(JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')));
+                    } catch (error) {
+                        console.warn(`Skipping unreadable project file ${f}:`, error.message);
+                        return null;
+                    }
+                })
+                .filter(Boolean)
+                .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+        },
+
+        get(id) {
+            return read(id);
+        },
+
+        create({ name, state }) {
+            const now = new Date().toISOString();
+            return write({
+                id: crypto.randomUUID(),
+                name: name || 'Untitled review',
+                version: 1,
+                createdAt: now,
+                updatedAt: now,
+                state: state || {},
+            });
+        },
+
+        update(id, { name, state }, expectedVersion) {
+            const project = read(id);
+            checkVersion(project, expectedVersion);
+            return write({
+                ...project,
+                ...(name !== undefined && { name }),
+                ...(state !== undefined && { state }),
+                version: project.version + 1,
+                updatedAt: new Date().toISOString(),
+            });
+        },
+
+        remove(id, expectedVersion) {
+            const project = read(id);
+            checkVersion(project, expectedVersion);
+            fs.unlinkSync(fileFor(id));
+        },
+    };
+}
@@ -0,0 +1,73 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { createProjectStore } from './projectStore.js';
+
+let dir;
+let store;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'projects-'));
+    store = createProjectStore({ dir });
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const rejection = (fn) => {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    throw new Error('Expected the call to throw');
+};
+
+describe('createProjectStore', () => {
+    it('creates a project at version 1 and lists it', () => {
+        const project = store.create({ name: 'Example Act review', state: { context: { legislationTitle: 'Example Act' } } });
+        expect(project.version).toBe(1);
+        expect(store.get(project.id)).toEqual(project);
+        expect(store.list()).toEqual([expect.objectContaining({ id: project.id, legislationTitle: 'Example Act', version: 1 })]);
+    });
+
+    it('bumps the version on each update that quotes the current one', () => {
+        const project = store.create({ name: 'Review', state: {} });
+        const renamed = store.update(project.id, { name: 'Renamed' }, 1);
+        const saved = store.update(project.id, { state: { step: 2 } }, '2');
+        expect(renamed).toMatchObject({ name: 'Renamed', version: 2 });
+        expect(saved).toMatchObject({ name: 'Renamed', state: { step: 2 }, version: 3 });
+    });
+
+    it('requires a version to update or delete (428)', () => {
+        const project = store.create({ name: 'Review' });
+        expect(rejection(() => store.update(project.id, { name: 'Renamed' }))).toMatchObject({ status: 428 });
+        expect(rejection(() => store.remove(project.id, null))).toMatchObject({ status: 428 });
+        expect(store.get(project.id).version).toBe(1);
+    });
+
+    it('rejects a stale version with the current project (409)', () => {
+        const project = store.create({ name: 'Review' });
+        store.update(project.id, { name: 'Clerk A' }, 1);
+
+        const conflict = rejection(() => store.update(project.id, { name: 'Clerk B' }, 1));
+        expect(conflict.status).toBe(409);
+        expect(conflict.current).toMatchObject({ name: 'Clerk A', version: 2 });
+
+        expect(rejection(() => store.remove(project.id, 1)).status).toBe(409);
+        expect(store.get(project.id).name).toBe('Clerk A');
+    });
+
+    it('deletes a project at the current version', () => {
+        const project = store.create({ name: 'Review' });
+        store.remove(project.id, 1);
+        expect(store.list()).toEqual([]);
+        expect(rejection(() => store.get(project.id)).status).toBe(404);
+    });
+
+    it('treats ids that are not UUIDs as not found', () => {
+        expect(rejection(() => store.get('../secrets')).status).toBe(404);
+    });
+});
@@ -0,0 +1,298 @@
+// LLM Provider layer
+// Every provider exposes the same two calls so the endpoints don't care which model answers:
+//   complete({ system, messages, maxTokens, signal }) -> full reply text
+//   stream({ system, messages, maxTokens, signal }, onDelta) -> full reply text, calling onDelta(text) per chunk
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const DEFAULT_ANTHROPIC_MODEL = 'claude-sonnet-4-5-20250929';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_FIXTURES_DIR = 'fixtures/llm';
+
+/**
+ * Read an SSE response body and call onEvent(event, data) for each event
+ * data is the raw string after "data:", so callers can handle sentinels like [DONE]
+ */
+export async function readSSE(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            let data = '';
+            for (const line of rawEvent.split('\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            }
+            if (data) onEvent(event, data);
+        }
+    }
+}
+
+/**
+ * Throw a readable error for a failed upstream response, logging the details
+ */
+async function throwUpstreamError(label, response) {
+    let detail;
+    try {
+        detail = await response.json();
+    } catch {
+        detail = await response.text().catch(() => '');
+    }
+    console.error(`${label} API error:`, detail);
+    const error = new Error(`AI service error (${label} responded ${response.status})`);
+    error.status = response.status;
+    throw error;
+}
+
+/**
+ * Anthropic Messages API
+ */
+export function createAnthropicProvider({ apiKey, model = DEFAULT_ANTHROPIC_MODEL }) {
+    const request = ({ system, messages, maxTokens = 4096, signal }, stream) =>
+        fetch('https://api.anthropic.com/v1/messages', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': apiKey,
+                'anthropic-version': '2023-06-01',
+            },
+            body: JSON.stringify({
+                model,
+                max_tokens: maxTokens,
+                ...(stream && { stream: true }),
+                system,
+                messages: messages.map(m => ({
+                    role: m.role === 'assistant' ? 'assistant' : 'user',
+                    content: m.content
+                })),
+            }),
+            signal,
+        });
+
+    return {
+        name: 'anthropic',
+        label: 'Claude AI',
+        model,
+        configured: !!apiKey,
+
+        async complete(params) {
+            const response = await request(params, false);
+            if (!response.ok) await throwUpstreamError('Anthropic', response);
+            const data = await response.json();
+            return data.content[0].text;
+        },
+
+        async stream(params, onDelta) {
+            const response = await request(params, true);
+            if (!response.ok) await throwUpstreamError('Anthropic', response);
+
+            let fullText = '';
+            await readSSE(response.body, (event, raw) => {
+                const data = JSON.parse(raw);
+                if (event === 'content_block_delta' && data.delta?.type === 'text_delta') {
+                    fullText += data.delta.text;
+                    onDelta(data.delta.text);
+                } else if (event === 'error') {
+                    throw new Error(data.error?.message || 'AI service error');
+                }
+            });
+            return fullText;
+        },
+    };
+}
+
+/**
+ * Any OpenAI-compatible /chat/completions endpoint (OpenAI, llama.cpp server, Ollama, vLLM...)
+ * Configured once it has a base URL of its own (a local server) or an API key (OpenAI itself).
+ */
+export function createOpenAICompatibleProvider({ baseUrl, apiKey, model = DEFAULT_OPENAI_MODEL }) {
+    const endpoint = (baseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/$/, '');
+    const request = ({ system, messages, maxTokens = 4096, signal }, stream) =>
+        fetch(`${endpoint}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                // Local servers usually don't need a key
+                ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+            },
+            body: JSON.stringify({
+                model,
+                max_tokens: maxTokens,
+                stream,
+                messages: [
+                    { role: 'system', content: system },
+                    ...messages.map(m => ({
+                        role: m.role === 'assistant' ? 'assistant' : 'user',
+                        content: m.content
+                    })),
+                ],
+            }),
+            signal,
+        });
+
+    return {
+        name: 'openai',
+        label: 'OpenAI-compatible AI',
+        model,
+        configured: !!(baseUrl || apiKey),
+
+        async complete(params) {
+            const response = await request(params, false);
+            if (!response.ok) await throwUpstreamError('OpenAI-compatible', response);
+            const data = await response.json();
+            return data.choices[0].message.content;
+        },
+
+        async stream(params, onDelta) {
+            const response = await request(params, true);
+            if (!response.ok) await throwUpstreamError('OpenAI-compatible', response);
+
+            let fullText = '';
+            await readSSE(response.body, (_event, raw) => {
+                if (raw === '[DONE]') return;
+                const text = JSON.parse(raw).choices?.[0]?.delta?.content;
+                if (text) {
+                    fullText += text;
+                    onDelta(text);
+                }
+            });
+            return fullText;
+        },
+    };
+}
+
+/**
+ * Fixture key for a request: a hash of the system prompt and messages only,
+ * so the same conversation always maps to the same recorded reply
+ */
+export function fixtureKey({ system, messages }) {
+    const normalized = JSON.stringify({
+        system,
+        messages: messages.map(m => ({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content })),
+    });
+    return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 32);
+}
+
+/**
+ * Deterministic replay of recorded replies from a fixtures directory - works with no network at all.
+ * Each fixture is <key>.json holding { request, response }.
+ */
+export function createReplayProvider({ fixturesDir = DEFAULT_FIXTURES_DIR }) {
+    const load = (params) => {
+        const key = fixtureKey(params);
+        const file = path.join(fixturesDir, `${key}.json`);
+        if (!fs.existsSync(file)) {
+            throw new Error(`No recorded fixture for this request (${key}). Record one with LLM_RECORD_FIXTURES=1.`);
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+    };
+
+    return {
+        name: 'replay',
+        label: 'Offline replay',
+        model: `fixtures:${fixturesDir}`,
+        configured: fs.existsSync(fixturesDir),
+
+        async complete(params) {
+            return load(params);
+        },
+
+        async stream(params, onDelta) {
+            const text = load(params);
+            // Replay word by word so the UI behaves as it does with a live model
+            for (const piece of text.match(/\S+\s*|\s+/g) || []) {
+                if (params.signal?.aborted) {
+                    throw new DOMException('The operation was aborted.', 'AbortError');
+                }
+                onDelta(piece);
+            }
+            return text;
+        },
+    };
+}
+
+/**
+ * Wrap a live provider so every reply is saved as a replay fixture
+ */
+export function withFixtureRecording(provider, { fixturesDir = DEFAULT_FIXTURES_DIR }) {
+    const save = (params, response) => {
+        fs.mkdirSync(fixturesDir, { recursive: true });
+        const file = path.join(fixturesDir, `${fixtureKey(params)}.json`);
+        const fixture = {
+            request: { system: params.system, messages: params.messages },
+            response,
+        };
+        fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+    };
+
+    return {
+        ...provider,
+        async complete(params) {
+            const text = await provider.complete(params);
+            save(params, text);
+            return text;
+        },
+        async stream(params, onDelta) {
+            const text = await provider.stream(params, onDelta);
+            save(params, text);
+            return text;
+        },
+    };
+}
+
+/**
+ * Select a provider from environment configuration
+ *
+ *   LLM_PROVIDER         anthropic (default) | openai | replay
+ *   LLM_MODEL            model name; defaults per provider
+ *   ANTHROPIC_API_KEY    for anthropic
+ *   OPENAI_BASE_URL      for openai, e.g. http://localhost:11434/v1 for Ollama
+ *   OPENAI_API_KEY       for openai (optional for local servers)
+ *   LLM_FIXTURES_DIR     replay/record directory (default fixtures/llm)
+ *   LLM_RECORD_FIXTURES  set to 1 to record live replies as fixtures
+ */
+export function createProviderFromEnv(env = process.env) {
+    const providerName = (env.LLM_PROVIDER || 'anthropic').toLowerCase();
+    const fixturesDir = env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+    let provider;
+    switch (providerName) {
+        case 'anthropic':
+            provider = createAnthropicProvider({
+                apiKey: env.ANTHROPIC_API_KEY,
+                model: env.LLM_MODEL || DEFAULT_ANTHROPIC_MODEL,
+            });
+            break;
+        case 'openai':
+            provider = createOpenAICompatibleProvider({
+                baseUrl: env.OPENAI_BASE_URL,
+                apiKey: env.OPENAI_API_KEY,
+                model: env.LLM_MODEL || DEFAULT_OPENAI_MODEL,
+            });
+            break;
+        case 'replay':
+            return createReplayProvider({ fixturesDir });
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}". Use anthropic, openai or replay.`);
+    }
+
+    if (env.LLM_RECORD_FIXTURES === '1' || env.LLM_RECORD_FIXTURES === 'true') {
+        return withFixtureRecording(provider, { fixturesDir });
+    }
+    return provider;
+}
@@ -0,0 +1,205 @@
+// Tailored suggestions for the PLS Tool wizard tabs
+// Reads the project's current state and the uploaded Act and returns { title, content, tips, items }
+// for one tab - naming the Act's actual agencies, objectives and duties rather than generic advice.
+// `items` are structured proposals the tool can add to the wizard in one click.
+
+import { selectRelevantChunks } from './chunking.js';
+import { parseJsonObject } from './extraction.js';
+
+const DOCUMENT_BUDGET_CHARS = 15000;
+const MAX_TIPS = 5;
+const MAX_ITEMS = 12;
+const LEVELS = ['high', 'medium', 'low'];
+const MONITORING_LISTS = ['secondaryLegislation', 'implementationMilestones', 'dataIndicators'];
+
+// What each tab's suggestions should cover, and words used to pick relevant parts of a long Act
+const SECTIONS = {
+    stakeholders: {
+        title: 'Suggested Stakeholders',
+        focus: `Suggest stakeholders for this review. Name the actual bodies the Act gives duties or powers to (start from the implementing agencies listed below), the groups the Act directly affects, oversight bodies, and voices likely to be missed. Group them by priority and say in a few words why each matters for this Act. Do not repeat stakeholders that are already mapped.`,
+        terms: 'minister ministry department agency authority commission board council office duty duties powers functions appoint established',
+        items: ({ stakeholderTypes }) => `one per proposed stakeholder: { "kind": "stakeholder", "name": "...", "type": ${stakeholderTypes.length ? `one of ${JSON.stringify(stakeholderTypes)}` : '"..."'}, "influence": "high" | "medium" | "low", "interest": "high" | "medium" | "low", "notes": "why they matter for this Act" }`,
+    },
+    consultation: {
+        title: 'Consultation Strategy Recommendations',
+        focus: `Recommend a consultation strategy for this review: a mix of methods suited to the groups this Act affects, the key questions to ask (tied to the Act's stated objectives), and accessibility measures. Build on the methods and target groups already chosen rather than repeating them.`,
+        terms: 'consult consultation public notice representations objections hearing publish affected persons',
+        items: ({ consultationMethods }) => `one per recommended method: { "kind": "method", "id": ${consultationMethods.length ? `one of ${JSON.stringify(consultationMethods.map(m => m.id))} (${consultationMethods.map(m => `${m.id} = ${m.label}`).join(', ')})` : '"..."'}, "reason": "..." }, and one per key question: { "kind": "keyQuestion", "text": "..." }`,
+    },
+    monitoring: {
+        title: 'Implementation Monitoring Framework',
+        focus: `Propose an implementation monitoring framework. List the secondary legislation, guidance and deadlines the Act itself requires; propose at least one measurable indicator for each primary objective, saying what data source would show it; and note any review, reporting or sunset duties in the Act. Do not repeat items already tracked.`,
+        terms: 'regulations order commencement comes into force guidance code report review expire sunset annual within months years',
+        items: () => `one per item to track: { "kind": "monitoring", "list": "secondaryLegislation" (regulations, orders, codes the Act requires) | "implementationMilestones" (deadlines, bodies to set up, duties to start) | "dataIndicators" (measurable indicators), "text": "..." }`,
+    },
+    assessment: {
+        title: 'Impact Assessment Framework',
+        focus: `Propose an impact assessment framework. For each primary objective, give the outcome question to ask and the evidence that would answer it; point out likely unintended consequences specific to this Act and the groups that may bear them; and suggest the strongest available evidence sources.`,
+        terms: 'purpose objective object aim offence penalty enforcement report review duty rights',
+        items: null,
+    },
+};
+
+export const SUGGESTION_SECTIONS = Object.keys(SECTIONS);
+
+const SUGGESTION_SYSTEM_PROMPT_INTRO = `You are an expert in post-legislative scrutiny (PLS) following the Westminster Foundation for Democracy (WFD) methodology, helping parliamentary staff plan a review of a specific piece of legislation.
+
+Your suggestions must be specific to the legislation and project described by the user. Refer to the Act's actual agencies, objectives, provisions and deadlines by name. Where the project or the text does not say something, say what to check rather than inventing it.
+
+Respond with ONLY a valid JSON object (no markdown code fence) with these fields:
+{
+  "title": "Short heading for the suggestions",
+  "content": "The suggestions as plain text. Use **bold** for group headings, one item per line starting with •, and blank lines between groups",
+  "tips": ["Two to four short practical tips for this review in this jurisdiction"]`;
+
+/**
+ * System prompt for one tab, asking for structured `items` where the tab has something to add them to
+ */
+function buildSystemPrompt(section, options) {
+    const { items } = SECTIONS[section];
+    if (!items) return `${SUGGESTION_SYSTEM_PROMPT_INTRO}\n}`;
+    return `${SUGGESTION_SYSTEM_PROMPT_INTRO},
+  "items": [up to ${MAX_ITEMS} structured proposals matching the content - ${items(options)}]
+}`;
+}
+
+/**
+ * Keep the well-formed proposals for a tab, normalising values the wizard can't accept
+ */
+function normalizeItems(section, items, { stakeholderTypes, consultationMethods }) {
+    if (!Array.isArray(items)) return [];
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+    const level = (value) => (LEVELS.includes(text(value).toLowerCase()) ? text(value).toLowerCase() : 'medium');
+    const methodIds = consultationMethods.map(m => m.id);
+
+    const normalized = items.map(item => {
+        if (!item || typeof item !== 'object') return null;
+        if (section === 'stakeholders' && item.kind === 'stakeholder' && text(item.name)) {
+            const type = text(item.type);
+            return {
+                kind: 'stakeholder',
+                name: text(item.name),
+                type: stakeholderTypes.length === 0 || stakeholderTypes.includes(type) ? type : (stakeholderTypes.includes('Other') ? 'Other' : ''),
+                influence: level(item.influence),
+                interest: level(item.interest),
+                notes: text(item.notes),
+            };
+        }
+        if (section === 'consultation' && item.kind === 'method' && methodIds.includes(text(item.id))) {
+            return { kind: 'method', id: text(item.id), reason: text(item.reason) };
+        }
+        if (section === 'consultation' && item.kind === 'keyQuestion' && text(item.text)) {
+            return { kind: 'keyQuestion', text: text(item.text) };
+        }
+        if (section === 'monitoring' && item.kind === 'monitoring' && MONITORING_LISTS.includes(item.list) && text(item.text)) {
+            return { kind: 'monitoring', list: item.list, text: text(item.text) };
+        }
+        return null;
+    }).filter(Boolean);
+
+    // The same method twice is one proposal
+    return normalized
+        .filter((item, i) => item.kind !== 'method' || normalized.findIndex(other => other.kind === 'method' && other.id === item.id) === i)
+        .slice(0, MAX_ITEMS);
+}
+
+const bulletList = (items, format) => items.length > 0 ? items.map(item => `  - ${format(item)}`).join('\n') : '  (none yet)';
+
+/**
+ * Summarise the wizard state for the prompt
+ */
+function describeProject(project = {}) {
+    const context = project.context || {};
+    const consultation = project.consultation || {};
+    const monitoring = project.monitoring || {};
+    const assessment = project.assessment || {};
+    const stakeholders = project.stakeholders || [];
+    const field = (value) => (typeof value === 'string' && value.trim()) || 'Not specified';
+    const monitoringItems = (items = []) => bulletList(items, item => `${item.text}${item.status ? ` (${item.status})` : ''}`);
+
+    return `**Legislation**
+- Title: ${field(context.legislationTitle)}
+- Year: ${field(context.legislationYear)}
+- Country: ${field(context.country)}
+- Jurisdiction: ${field(context.jurisdiction)}
+- Parliament type: ${field(context.parliamentType)}
+- Summary: ${field(context.legislationSummary)}
+- Primary objectives: ${field(context.primaryObjectives)}
+- Implementing agencies: ${field(context.implementingAgencies)}
+
+**Stakeholders already mapped**
+${bulletList(stakeholders, s => `${s.name}${s.type ? ` (${s.type})` : ''} - influence ${s.influence || '?'}, interest ${s.interest || '?'}`)}
+
+**Consultation so far**
+- Methods: ${(consultation.methods || []).join(', ') || 'none chosen'}
+- Target groups: ${(consultation.targetGroups || []).join(', ') || 'none chosen'}
+- Key questions: ${field(consultation.keyQuestions)}
+
+**Monitoring so far**
+- Secondary legislation:
+${monitoringItems(monitoring.secondaryLegislation)}
+- Milestones:
+${monitoringItems(monitoring.implementationMilestones)}
+- Indicators:
+${monitoringItems(monitoring.dataIndicators)}
+- Review clauses: ${field(monitoring.reviewClauses)}
+
+**Assessment so far**
+- Intended outcomes: ${field(assessment.intendedOutcomes)}
+- Unintended consequences: ${field(assessment.unintendedConsequences)}`;
+}
+
+/**
+ * Build the user message for one tab's suggestions
+ */
+export function buildSuggestionPrompt(section, project, documentText) {
+    const { focus, terms } = SECTIONS[section];
+    const context = project?.context || {};
+    let prompt = `${focus}\n\n${describeProject(project)}`;
+
+    if (documentText) {
+        const query = [terms, context.primaryObjectives, context.implementingAgencies].filter(Boolean).join(' ');
+        const excerpts = selectRelevantChunks(documentText, query, { budgetChars: DOCUMENT_BUDGET_CHARS });
+        const excerpted = !(excerpts.length === 1 && excerpts[0].end === documentText.length);
+        const text = excerpted
+            ? excerpts.map(c => `[${c.heading || `Characters ${c.start.toLocaleString()}-${c.end.toLocaleString()}`}]\n${c.text}`).join('\n\n[...]\n\n')
+            : documentText;
+        prompt += `\n\n**Text of the legislation${excerpted ? ' (excerpts most relevant to this tab)' : ''}:**\n${text}`;
+    } else {
+        prompt += '\n\n(No legislation text has been uploaded; base the suggestions on the details above.)';
+    }
+
+    return prompt;
+}
+
+/**
+ * Generate suggestions for one wizard tab
+ * `options` lists the values the wizard accepts: { stakeholderTypes: [...], consultationMethods: [{ id, label }] }
+ * Returns { title, content, tips, items }; throws if the model reply has no usable content
+ */
+export async function generateSuggestions(llm, { section, project, documentText, options = {} }) {
+    if (!SECTIONS[section]) throw new Error(`Unknown section "${section}"`);
+    const wizardOptions = {
+        stakeholderTypes: Array.isArray(options.stakeholderTypes) ? options.stakeholderTypes.filter(t => typeof t === 'string') : [],
+        consultationMethods: Array.isArray(options.consultationMethods) ? options.consultationMethods.filter(m => typeof m?.id === 'string') : [],
+    };
+
+    const reply = await llm.complete({
+        system: buildSystemPrompt(section, wizardOptions),
+        messages: [{ role: 'user', content: buildSuggestionPrompt(section, project, documentText) }],
+    });
+
+    const parsed = parseJsonObject(reply);
+    if (typeof parsed.content !== 'string' || parsed.content.trim() === '') {
+        throw new Error('AI response did not include any suggestions');
+    }
+
+    return {
+        title: typeof parsed.title === 'string' && parsed.title.trim() ? parsed.title.trim() : SECTIONS[section].title,
+        content: parsed.content.trim(),
+        tips: Array.isArray(parsed.tips)
+            ? parsed.tips.filter(tip => typeof tip === 'string' && tip.trim()).map(tip => tip.trim()).slice(0, MAX_TIPS)
+            : [],
+        items: normalizeItems(section, parsed.items, wizardOptions),
+    };
+}
@@ -1,55 +1,139 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { extractTextFromDocument, getDocumentInfo } from './services/documentParser';
-import { extractLegislationWithAI, extractLegislationFallback, checkServerHealth } from './services/aiService';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { extractTextFromDocument, extractDocument, getDocumentInfo, pageForOffset } from './services/documentParser';
+import { extractLegislationWithAI, extractLegislationFallback, checkServerHealth, streamChatMessage, getAISuggestions } from './services/aiService';
+import { listProjects, getProject, createProject, saveProject, renameProject, duplicateProject, deleteProject, toPortableState } from './services/projectStore';
+import { downloadProjectFile, readProjectFile, PROJECT_FILE_EXTENSION } from './services/projectFile';
+import { buildReport, reportFileName } from './services/reportBuilder';
+import { SMART_CRITERIA, checkRecommendation, newRecommendation, normalizeRecommendations } from './services/smartRecommendations';
+import { RESPONSE_DECISIONS, emptyResponse, followUpSummary } from './services/followUp';
+import { todayIso, overdueLabel } from './services/dates';
+import { buildTimeline, overdueDays, TRACKED_LISTS } from './services/implementationTimeline';
+import { adoptionBarometer, delayLabel } from './services/regulationBarometer';
+import { detectDelegatedPowers, powersToSecondaryLegislation, PROCEDURES } from './services/delegatedPowers';
+import { parseStructure, citationAt, structureSummary } from './services/documentStructure';
+import { NOTE_TYPES, XML_FORMATS, metadataFields } from './services/legislationXml';
+import { detectCommencement, commencementMilestones, commencementLabel, actCommencementDate } from './services/commencement';
+import { CLAUSE_TYPES, TRIGGER_EVENTS, detectReviewClauses, newReviewProvisions, reviewDueDate, triggerLabel, countdownLabel } from './services/reviewClauses';
+import { parseIndicatorValue, normalizeIndicatorDate, parseIndicatorCsv, mergeObservations, describeProgress, indicatorChartSvg } from './services/indicators';
+import { draftTermsOfReference, buildTermsOfReferenceReport, TOR_QUESTION_CATEGORIES } from './services/termsOfReference';
+import { downloadBlob } from './services/download';
+import { listServerProjects, getServerProject, createServerProject, updateServerProject, deleteServerProject } from './services/projectApi';
 
 // PLS Command Center - Legislative Scrutiny Sandbox
 // An interactive tool for parliamentary staff and MPs to conduct post-legislative scrutiny
 
+// Empty wizard state for a new project
+const INITIAL_CONTEXT = {
+  country: '',
+  jurisdiction: '',
+  parliamentType: '',
+  legislationTitle: '',
+  legislationYear: '',
+  assentDate: '', // YYYY-MM-DD of Royal Assent / enactment, when known
+  commencementDate: '', // YYYY-MM-DD the Act came into force, when known
+  legislationSummary: '',
+  primaryObjectives: '',
+  implementingAgencies: '',
+};
+const INITIAL_CONSULTATION = {
+  methods: [],
+  targetGroups: [],
+  timeline: '',
+  keyQuestions: '',
+  accessibilityMeasures: '',
+  aiProposedMethods: [], // method ids added from AI suggestions
+  aiProposedQuestions: [], // key questions added from AI suggestions
+};
+const INITIAL_MONITORING = {
+  secondaryLegislation: [],
+  implementationMilestones: [],
+  dataIndicators: [],
+  reviewProvisions: [], // [{ id, type, description, obligatedBody, trigger, section, quote, start, end }]
+  reviewClauses: '', // free-text notes on review clauses
+};
+const INITIAL_ASSESSMENT = {
+  intendedOutcomes: '',
+  unintendedConsequences: '',
+  effectivenessRating: 3,
+  recommendations: [], // [{ id, addressee, action, measure, deadline, evidence: [], response? }]
+  evidenceSources: [],
+  reportPublished: '', // YYYY-MM-DD, starts the government response phase
+  responseDue: '', // YYYY-MM-DD the government is expected to respond by
+};
+
+// Colours for status selects, matching the report's status colours
+const STATUS_SELECT_CLASSES = {
+  completed: 'bg-emerald-600 text-white',
+  delayed: 'bg-red-600 text-white',
+  inprogress: 'bg-amber-600 text-white',
+  pending: 'bg-slate-700 text-slate-300',
+};
+const DECISION_SELECT_CLASSES = {
+  accepted: 'bg-emerald-600 text-white',
+  partial: 'bg-amber-600 text-white',
+  rejected: 'bg-red-600 text-white',
+  '': 'bg-slate-700 text-slate-300',
+};
+const INITIAL_TERMS_OF_REFERENCE = {
+  scope: '',
+  questions: {}, // Box 7 category id -> one question per line
+  witnesses: '',
+  timeline: '',
+  draftedAt: null, // set once a draft has been built from the project
+};
+
+const emptyProjectState = () => ({
+  context: { ...INITIAL_CONTEXT },
+  stakeholders: [],
+  consultation: { ...INITIAL_CONSULTATION },
+  monitoring: { ...INITIAL_MONITORING },
+  assessment: { ...INITIAL_ASSESSMENT },
+  termsOfReference: { ...INITIAL_TERMS_OF_REFERENCE },
+  document: null,
+});
+
+const AUTOSAVE_DELAY_MS = 800;
+
+// Unique ids for stakeholders and monitoring items, even when several are added in the same millisecond
+let lastItemId = 0;
+const nextItemId = () => (lastItemId = Math.max(Date.now(), lastItemId + 1));
+
+const MONITORING_LIST_LABELS = {
+  secondaryLegislation: 'Secondary legislation',
+  implementationMilestones: 'Milestone',
+  dataIndicators: 'Indicator',
+};
+
+// Lists the AI extraction returns item by item; invalid items are dropped rather than the whole list
+const EXTRACTED_LISTS = {
+  delegatedPowers: 'delegated powers',
+  reviewProvisions: 'review, sunset or reporting provisions',
+};
+
 const PLSCommandCenter = () => {
   // Main navigation: 'assistant' or 'tool'
   const [mainTab, setMainTab] = useState('assistant');
   // Sub-tabs for PLS Tool
   const [activeTab, setActiveTab] = useState('setup');
-  const [context, setContext] = useState({
-    country: '',
-    jurisdiction: '',
-    parliamentType: '',
-    legislationTitle: '',
-    legislationYear: '',
-    legislationSummary: '',
-    primaryObjectives: '',
-    implementingAgencies: '',
-  });
+  const [context, setContext] = useState(INITIAL_CONTEXT);
   const [stakeholders, setStakeholders] = useState([]);
   const [newStakeholder, setNewStakeholder] = useState({ name: '', type: '', influence: 'medium', interest: 'medium', notes: '' });
-  const [consultation, setConsultation] = useState({
-    methods: [],
-    targetGroups: [],
-    timeline: '',
-    keyQuestions: '',
-    accessibilityMeasures: '',
-  });
-  const [monitoring, setMonitoring] = useState({
-    secondaryLegislation: [],
-    implementationMilestones: [],
-    dataIndicators: [],
-    reviewClauses: '',
-  });
-  const [assessment, setAssessment] = useState({
-    intendedOutcomes: '',
-    unintendedConsequences: '',
-    effectivenessRating: 3,
-    recommendations: '',
-    evidenceSources: [],
-  });
+  const [consultation, setConsultation] = useState(INITIAL_CONSULTATION);
+  const [monitoring, setMonitoring] = useState(INITIAL_MONITORING);
+  const [assessment, setAssessment] = useState(INITIAL_ASSESSMENT);
+  const [termsOfReference, setTermsOfReference] = useState(INITIAL_TERMS_OF_REFERENCE);
   const [aiSuggestions, setAiSuggestions] = useState({});
   const [isGenerating, setIsGenerating] = useState(false);
   const [exportReady, setExportReady] = useState(false);
+  const [reportDownload, setReportDownload] = useState(null); // document and format being generated, e.g. 'report:docx'
+  const [reportDownloadError, setReportDownloadError] = useState(null); // { documentType, message }
 
   // Monitoring tab input states (must be at top level, not in render function)
   const [newSecondary, setNewSecondary] = useState('');
   const [newMilestone, setNewMilestone] = useState('');
   const [newIndicator, setNewIndicator] = useState('');
+  const [newObservations, setNewObservations] = useState({}); // { [indicator id]: { date, value } } being typed
+  const [indicatorNotices, setIndicatorNotices] = useState({}); // { [indicator id]: { type: 'success' | 'error', text } } after a CSV import
 
   // Document upload and AI extraction state
   const [uploadedFile, setUploadedFile] = useState(null);
@@ -60,11 +144,38 @@ const PLSCommandCenter = () => {
   const [extractionError, setExtractionError] = useState(null);
   const [extractionStatus, setExtractionStatus] = useState('');
   const [extractionMethod, setExtractionMethod] = useState(null); // 'ai' or 'fallback'
+  const [extractionChunks, setExtractionChunks] = useState([]); // document parts analysed by map-reduce extraction
+  const [extractionCitations, setExtractionCitations] = useState({}); // field -> { confidence, passages }
+  const [documentPages, setDocumentPages] = useState([]); // [{ number, start, end }] for PDFs
+  const [documentMarkup, setDocumentMarkup] = useState(null); // { structure, metadata } read from legislation XML
+  // Parts, Sections, Articles... as marked up in XML files, or read back from the text
+  const documentStructure = useMemo(() => documentMarkup?.structure || parseStructure(documentText), [documentMarkup, documentText]);
+  const [openCitationField, setOpenCitationField] = useState(null);
+  const [showOutline, setShowOutline] = useState(false);
+  const [extractionValidationErrors, setExtractionValidationErrors] = useState({}); // field -> message
   const [dragActive, setDragActive] = useState(false);
 
   // Server status
   const [serverStatus, setServerStatus] = useState({ status: 'checking', aiConfigured: false });
 
+  // Saved projects (IndexedDB)
+  const [projects, setProjects] = useState([]);
+  const [currentProjectId, setCurrentProjectId] = useState(null);
+  const [saveStatus, setSaveStatus] = useState('loading'); // loading, saving, saved, error, unavailable
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const [renamingProject, setRenamingProject] = useState(null); // draft name while renaming
+  const skipNextSaveRef = useRef(false);
+
+  // Shared projects (server store) - the open project is either 'local' or 'server'
+  const [serverProjects, setServerProjects] = useState([]);
+  const [currentProjectSource, setCurrentProjectSource] = useState('local');
+  const [saveConflict, setSaveConflict] = useState(null); // server's copy after a 409
+  const serverVersionRef = useRef(null); // version the open shared project was loaded or last saved at
+  const pendingSaveRef = useRef(false); // an edit is waiting for the autosave timer
+  const serverSaveRef = useRef(Promise.resolve()); // the shared-project save in flight, if any
+  const projectFileInputRef = useRef(null);
+  const [projectNotice, setProjectNotice] = useState(null); // { type: 'success' | 'error', text } after import/export
+
   // Chatbot state
   const [chatMessages, setChatMessages] = useState([
     {
@@ -82,8 +193,10 @@ How can I help you today? You can ask me questions or upload a legislative text
   ]);
   const [chatInput, setChatInput] = useState('');
   const [isChatLoading, setIsChatLoading] = useState(false);
+  const [isChatStreaming, setIsChatStreaming] = useState(false); // true once the first token has arrived
   const [chatDocumentText, setChatDocumentText] = useState('');
   const chatContainerRef = useRef(null);
+  const chatAbortRef = useRef(null);
 
   // Auto-scroll chat to bottom when new messages arrive
   useEffect(() => {
@@ -97,7 +210,420 @@ How can I help you today? You can ask me questions or upload a legislative text
     checkServerHealth().then(setServerStatus);
   }, []);
 
+  // Load a saved project's wizard state into the tool
+  const applyProjectState = useCallback((state) => {
+    const { context, stakeholders, consultation, monitoring, assessment, termsOfReference, document } = { ...emptyProjectState(), ...state };
+    skipNextSaveRef.current = true;
+    setContext({ ...INITIAL_CONTEXT, ...context });
+    setStakeholders(stakeholders || []);
+    setConsultation({ ...INITIAL_CONSULTATION, ...consultation });
+    setMonitoring({ ...INITIAL_MONITORING, ...monitoring });
+    setAssessment({ ...INITIAL_ASSESSMENT, ...assessment, recommendations: normalizeRecommendations(assessment?.recommendations, nextItemId) });
+    setTermsOfReference({ ...INITIAL_TERMS_OF_REFERENCE, ...termsOfReference });
+
+    // Shared projects keep only the file's name and size; the extracted text is restored below
+    setUploadedFile(document?.file || (document?.name ? { name: document.name, size: document.size } : null));
+    setDocumentText(document?.text || '');
+    setDocumentPages(document?.pages || []);
+    setDocumentMarkup(document?.markup || null);
+    setDocumentInfo(document?.info || null);
+    setExtractionComplete(!!document?.extraction);
+    setExtractionMethod(document?.extraction?.method || null);
+    setExtractionChunks(document?.extraction?.chunks || []);
+    setExtractionCitations(document?.extraction?.citations || {});
+    setExtractionValidationErrors(document?.extraction?.validationErrors || {});
+    setExtractionError(null);
+    setExtractionStatus('');
+    setOpenCitationField(null);
+
+    // Suggestions and the report preview belong to the previous project
+    setAiSuggestions({});
+    setExportReady(false);
+  }, []);
+
+  // Show a loaded project record; `source` is 'local' (IndexedDB) or 'server' (shared store)
+  const showProject = useCallback((source, project) => {
+    applyProjectState(project.state);
+    setCurrentProjectId(project.id);
+    setCurrentProjectSource(source);
+    serverVersionRef.current = project.version ?? null;
+    setLastSavedAt(project.updatedAt);
+    setSaveStatus('saved');
+    setSaveConflict(null);
+    setRenamingProject(null);
+  }, [applyProjectState]);
+
+  // Open the most recent browser project, creating one if there are none
+  const openLatestLocalProject = useCallback(async () => {
+    let list = await listProjects();
+    if (list.length === 0) {
+      await createProject('Untitled review', emptyProjectState());
+      list = await listProjects();
+    }
+    showProject('local', await getProject(list[0].id));
+    return list;
+  }, [showProject]);
+
+  // Open the most recent project on mount, creating one the first time the tool is used
+  useEffect(() => {
+    openLatestLocalProject()
+      .then(setProjects)
+      .catch(error => {
+        console.warn('Project storage unavailable, working without autosave:', error);
+        setSaveStatus('unavailable');
+      });
+  }, [openLatestLocalProject]);
+
+  // List shared projects once the server is reachable
+  useEffect(() => {
+    if (serverStatus.status !== 'ok') return;
+    listServerProjects()
+      .then(setServerProjects)
+      .catch(error => console.warn('Shared projects unavailable:', error));
+  }, [serverStatus.status]);
+
+  // Everything a project saves: the wizard plus the uploaded document and its extraction results
+  const projectSnapshot = useMemo(() => ({
+    context,
+    stakeholders,
+    consultation,
+    monitoring,
+    assessment,
+    termsOfReference,
+    document: uploadedFile ? {
+      file: uploadedFile,
+      name: uploadedFile.name,
+      size: uploadedFile.size,
+      text: documentText,
+      pages: documentPages,
+      markup: documentMarkup,
+      info: documentInfo,
+      extraction: extractionComplete ? {
+        method: extractionMethod,
+        chunks: extractionChunks,
+        citations: extractionCitations,
+        validationErrors: extractionValidationErrors,
+      } : null,
+    } : null,
+  }), [context, stakeholders, consultation, monitoring, assessment, termsOfReference, uploadedFile, documentText, documentPages, documentMarkup,
+    documentInfo, extractionComplete, extractionMethod, extractionChunks, extractionCitations, extractionValidationErrors]);
+
+  // Send a change to a shared project once the save before it has returned its new version.
+  // Saves run one at a time, so an edit made while a slow save is in flight does not quote the
+  // old version and get a 409 against the user's own save.
+  const queueServerSave = useCallback((id, changes) => {
+    const save = serverSaveRef.current.catch(() => {}).then(async () => {
+      const saved = await updateServerProject(id, changes, serverVersionRef.current);
+      serverVersionRef.current = saved.version;
+      return saved;
+    });
+    serverSaveRef.current = save;
+    return save;
+  }, []);
+
+  // Save a project's state. Shared projects quote the version they were based on, so saving
+  // over someone else's newer change fails with a 409 instead of overwriting it.
+  const persistProject = useCallback(async (id, source, state) => {
+    if (source === 'server') return queueServerSave(id, { state: toPortableState(state) });
+    return saveProject(id, state);
+  }, [queueServerSave]);
+
+  // Autosave the wizard shortly after any change (paused while a version conflict is unresolved)
+  useEffect(() => {
+    if (!currentProjectId || saveConflict) return;
+    if (skipNextSaveRef.current) {
+      skipNextSaveRef.current = false;
+      return;
+    }
+
+    pendingSaveRef.current = true;
+    const timer = setTimeout(async () => {
+      pendingSaveRef.current = false;
+      setSaveStatus('saving');
+      try {
+        const saved = await persistProject(currentProjectId, currentProjectSource, projectSnapshot);
+        setLastSavedAt(saved.updatedAt);
+        setSaveStatus('saved');
+        if (currentProjectSource === 'server') {
+          setServerProjects(await listServerProjects());
+        } else {
+          setProjects(await listProjects());
+        }
+      } catch (error) {
+        if (error.status === 409) {
+          setSaveConflict(error.project);
+          setSaveStatus('conflict');
+          return;
+        }
+        console.error('Autosave failed:', error);
+        setSaveStatus('error');
+      }
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [currentProjectId, currentProjectSource, saveConflict, persistProject, projectSnapshot]);
+
+  // Save any change still waiting for the autosave timer before leaving the open project
+  const flushPendingSave = async () => {
+    if (currentProjectId && !saveConflict && pendingSaveRef.current) {
+      pendingSaveRef.current = false;
+      await persistProject(currentProjectId, currentProjectSource, projectSnapshot);
+    }
+    // A shared save already in flight still needs to finish before another project is shown
+    await serverSaveRef.current.catch(() => {});
+  };
+
+  // Run a project list action, keeping both project lists and the save status in sync
+  const runProjectAction = async (action) => {
+    try {
+      await action();
+      if (saveStatus !== 'unavailable') setProjects(await listProjects());
+      if (serverStatus.status === 'ok') setServerProjects(await listServerProjects());
+    } catch (error) {
+      if (error.status === 409) {
+        setSaveConflict(error.project);
+        setSaveStatus('conflict');
+        return;
+      }
+      console.error('Project action failed:', error);
+      setSaveStatus('error');
+    }
+  };
+
+  const currentProject = (currentProjectSource === 'server' ? serverProjects : projects).find(p => p.id === currentProjectId);
+
+  // `value` is "<source>:<id>" from the project picker
+  const openProject = (value) => runProjectAction(async () => {
+    const [source, id] = value.split(':');
+    await flushPendingSave();
+    showProject(source, source === 'server' ? await getServerProject(id) : await getProject(id));
+    setActiveTab('setup');
+  });
+
+  const createNewProject = () => runProjectAction(async () => {
+    await flushPendingSave();
+    const project = await createProject(`Untitled review ${projects.length + 1}`, emptyProjectState());
+    showProject('local', project);
+    setRenamingProject(project.name);
+    setActiveTab('setup');
+  });
+
+  const saveProjectName = () => runProjectAction(async () => {
+    const name = (renamingProject || '').trim();
+    if (name && currentProjectSource === 'server') {
+      await queueServerSave(currentProjectId, { name });
+    } else if (name) {
+      await renameProject(currentProjectId, name);
+    }
+    setRenamingProject(null);
+  });
+
+  const duplicateCurrentProject = () => runProjectAction(async () => {
+    await flushPendingSave();
+    if (currentProjectSource === 'server') {
+      const copy = await createServerProject(`${currentProject?.name || 'Untitled review'} (copy)`, toPortableState(projectSnapshot));
+      showProject('server', copy);
+      return;
+    }
+    const copy = await duplicateProject(currentProjectId);
+    showProject('local', await getProject(copy.id));
+  });
+
+  // Copy the open browser project to the shared server store and switch to the shared copy
+  const shareCurrentProject = () => runProjectAction(async () => {
+    await flushPendingSave();
+    const project = await createServerProject(currentProject?.name || 'Untitled review', toPortableState(projectSnapshot));
+    showProject('server', project);
+  });
+
+  const deleteCurrentProject = () => {
+    const shared = currentProjectSource === 'server';
+    const warning = shared ? ' It will be removed for everyone using the shared store.' : '';
+    if (!window.confirm(`Delete "${currentProject?.name || 'this project'}"? This cannot be undone.${warning}`)) return;
+
+    runProjectAction(async () => {
+      if (shared) {
+        await serverSaveRef.current.catch(() => {});
+        await deleteServerProject(currentProjectId, serverVersionRef.current);
+      } else {
+        await deleteProject(currentProjectId);
+      }
+      await openLatestLocalProject();
+    });
+  };
+
+  // Version conflict: discard local edits and take the other clerk's version
+  const loadLatestVersion = () => runProjectAction(async () => {
+    await serverSaveRef.current.catch(() => {});
+    showProject('server', await getServerProject(currentProjectId));
+  });
+
+  // Version conflict: save this copy on top of the other clerk's version
+  const overwriteWithMine = () => {
+    serverVersionRef.current = saveConflict.version;
+    setSaveConflict(null);
+  };
+
+  // Download the open project as a .pls.json file
+  const exportCurrentProject = () => {
+    downloadProjectFile({ ...currentProject, name: currentProject?.name || 'Untitled review' }, projectSnapshot);
+    setProjectNotice(null);
+  };
+
+  // Open a .pls.json file as a new browser project (or in this session only if browser storage is unavailable)
+  const importProjectFile = async (file) => {
+    if (!file) return;
+    try {
+      const { name, state, migratedFrom } = await readProjectFile(file);
+      const migrated = migratedFrom !== null ? ` (upgraded from schema version ${migratedFrom})` : '';
+      if (saveStatus === 'unavailable') {
+        applyProjectState(state);
+      } else {
+        await flushPendingSave();
+        showProject('local', await createProject(name, state));
+        setProjects(await listProjects());
+        setActiveTab('setup');
+      }
+      setProjectNotice({ type: 'success', text: `Imported "${name}"${migrated}.` });
+    } catch (error) {
+      setProjectNotice({ type: 'error', text: error.message });
+    }
+  };
+
+  // Project switcher shown above the PLS Tool steps
+  const renderProjectBar = () => {
+    const storageReady = saveStatus !== 'loading' && currentProjectId;
+
+    return (
+      <>
+        <div className={`bg-white rounded-lg border border-gray-200 shadow-sm p-4 ${saveConflict || projectNotice ? 'mb-3' : 'mb-6'} flex flex-wrap items-center gap-3`}>
+          <span className="text-sm font-medium text-gray-700">📁 Project:</span>
+
+          {renamingProject !== null ? (
+            <>
+              <input
+                type="text"
+                value={renamingProject}
+                autoFocus
+                onChange={(e) => setRenamingProject(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') saveProjectName();
+                  if (e.key === 'Escape') setRenamingProject(null);
+                }}
+                className="flex-1 min-w-48 bg-white border border-gray-300 rounded-lg px-3 py-1.5 text-gray-900 focus:border-[#5f259f] focus:ring-2 focus:ring-[#5f259f]/20 transition-all"
+              />
+              <button onClick={saveProjectName} className="text-sm bg-[#5f259f] hover:bg-[#4c1d7f] text-white px-3 py-1.5 rounded-lg">Save</button>
+              <button onClick={() => setRenamingProject(null)} className="text-sm text-gray-600 hover:text-gray-900 px-2 py-1.5">Cancel</button>
+            </>
+          ) : (
+            <select
+              value={currentProjectId ? `${currentProjectSource}:${currentProjectId}` : ''}
+              onChange={(e) => openProject(e.target.value)}
+              disabled={saveStatus === 'loading' || (projects.length === 0 && serverProjects.length === 0)}
+              className="flex-1 min-w-48 bg-white border border-gray-300 rounded-lg px-3 py-1.5 text-gray-900 focus:border-[#5f259f] focus:ring-2 focus:ring-[#5f259f]/20 transition-all"
+            >
+              {!currentProjectId && <option value="">Unsaved session</option>}
+              {projects.length > 0 && (
+                <optgroup label="This browser">
+                  {projects.map(p => (
+                    <option key={p.id} value={`local:${p.id}`}>
+                      {p.name}{p.legislationTitle && p.legislationTitle !== p.name ? ` — ${p.legislationTitle}` : ''}
+                    </option>
+                  ))}
+                </optgroup>
+              )}
+              {serverProjects.length > 0 && (
+                <optgroup label="Shared (server)">
+                  {serverProjects.map(p => (
+                    <option key={p.id} value={`server:${p.id}`}>
+                      🌐 {p.name}{p.legislationTitle && p.legislationTitle !== p.name ? ` — ${p.legislationTitle}` : ''}
+                    </option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+          )}
+
+          {storageReady && renamingProject === null && (
+            <div className="flex items-center gap-1">
+              <button onClick={createNewProject} className="text-sm px-3 py-1.5 rounded-lg border border-gray-300 hover:bg-gray-50 text-gray-700">+ New</button>
+              <button onClick={() => setRenamingProject(currentProject?.name || '')} className="text-sm px-3 py-1.5 rounded-lg border border-gray-300 hover:bg-gray-50 text-gray-700">Rename</button>
+              <button onClick={duplicateCurrentProject} className="text-sm px-3 py-1.5 rounded-lg border border-gray-300 hover:bg-gray-50 text-gray-700">Duplicate</button>
+              {currentProjectSource === 'local' && serverStatus.status === 'ok' && (
+                <button
+                  onClick={shareCurrentProject}
+                  title="Copy this project to the server so colleagues can open it. The uploaded file itself is not copied, only its extracted text."
+                  className="text-sm px-3 py-1.5 rounded-lg border border-[#5f259f]/30 hover:bg-[#5f259f]/5 text-[#5f259f]"
+                >
+                  🌐 Share
+                </button>
+              )}
+              <button onClick={exportCurrentProject} title={`Download this project as a ${PROJECT_FILE_EXTENSION} file`} className="text-sm px-3 py-1.5 rounded-lg border border-gray-300 hover:bg-gray-50 text-gray-700">⬇ Export</button>
+              <button onClick={deleteCurrentProject} className="text-sm px-3 py-1.5 rounded-lg border border-red-200 hover:bg-red-50 text-red-600">Delete</button>
+            </div>
+          )}
+
+          {renamingProject === null && saveStatus !== 'loading' && (
+            <>
+              <button
+                onClick={() => projectFileInputRef.current?.click()}
+                title={`Open a ${PROJECT_FILE_EXTENSION} file exported from PLS Command Center`}
+                className="text-sm px-3 py-1.5 rounded-lg border border-gray-300 hover:bg-gray-50 text-gray-700"
+              >
+                ⬆ Import
+              </button>
+              <input
+                ref={projectFileInputRef}
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={(e) => {
+                  importProjectFile(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </>
+          )}
 
+          <span className="text-xs ml-auto">
+            {saveStatus === 'loading' && <span className="text-gray-500">⏳ Loading projects...</span>}
+            {saveStatus === 'saving' && <span className="text-gray-500">Saving...</span>}
+            {saveStatus === 'saved' && (
+              <span className="text-emerald-600">
+                ✓ Saved{currentProjectSource === 'server' && ' to server'}{lastSavedAt && ` ${new Date(lastSavedAt).toLocaleTimeString()}`}
+              </span>
+            )}
+            {saveStatus === 'error' && <span className="text-red-600">⚠️ Could not save</span>}
+            {saveStatus === 'conflict' && <span className="text-red-600">⚠️ Not saved — version conflict</span>}
+            {saveStatus === 'unavailable' && <span className="text-amber-600">⚠️ Browser storage unavailable — changes will be lost on refresh</span>}
+          </span>
+        </div>
+
+        {projectNotice && (
+          <div className={`rounded-lg p-3 ${saveConflict ? 'mb-3' : 'mb-6'} flex items-center gap-3 text-sm border ${projectNotice.type === 'error' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-emerald-50 border-emerald-200 text-emerald-700'}`}>
+            <span className="flex-1">{projectNotice.type === 'error' ? '⚠️' : '✓'} {projectNotice.text}</span>
+            <button onClick={() => setProjectNotice(null)} className="text-xs opacity-70 hover:opacity-100">Dismiss</button>
+          </div>
+        )}
+
+        {saveConflict && (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-6 flex flex-wrap items-center gap-3">
+            <p className="text-sm text-amber-800 flex-1 min-w-64">
+              ⚠️ Someone else saved this shared project
+              {saveConflict.updatedAt && ` at ${new Date(saveConflict.updatedAt).toLocaleTimeString()}`} since you opened it.
+              Your recent changes have not been saved.
+            </p>
+            <button onClick={loadLatestVersion} className="text-sm px-3 py-1.5 rounded-lg border border-amber-300 hover:bg-amber-100 text-amber-800">
+              Load latest version
+            </button>
+            <button onClick={overwriteWithMine} className="text-sm px-3 py-1.5 rounded-lg bg-amber-600 hover:bg-amber-700 text-white">
+              Overwrite with mine
+            </button>
+          </div>
+        )}
+      </>
+    );
+  };
 
   // Sub-tabs for PLS Tool (these appear when mainTab === 'tool')
   const toolTabs = [
@@ -106,6 +632,7 @@ How can I help you today? You can ask me questions or upload a legislative text
     { id: 'consultation', label: 'Consultation Design', icon: '💬' },
     { id: 'monitoring', label: 'Implementation Tracking', icon: '📊' },
     { id: 'assessment', label: 'Impact Assessment', icon: '🎯' },
+    { id: 'followup', label: 'Government Response', icon: '📬' },
     { id: 'export', label: 'Export Report', icon: '📄' },
   ];
 
@@ -185,13 +712,75 @@ How can I help you today? You can ask me questions or upload a legislative text
     { id: 'deliberative', label: 'Deliberative Panel', description: 'Representative citizen assembly' },
   ];
 
-  // Simulated AI suggestion generator (in production, this would call the Anthropic API)
-  const generateAISuggestions = async (section) => {
-    setIsGenerating(true);
+  // Small marker for stakeholders, methods and monitoring items added from AI suggestions
+  const renderAiProposedBadge = () => (
+    <span className="text-xs bg-amber-600/20 text-amber-400 border border-amber-600/40 px-1.5 py-0.5 rounded" title="Added from AI suggestions">✨ AI-proposed</span>
+  );
 
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 1500));
+  // Marker for delegated powers and review provisions the AI found when extracting the Act
+  const renderAiExtractedBadge = () => (
+    <span className="text-xs bg-sky-600/20 text-sky-300 border border-sky-600/40 px-1.5 py-0.5 rounded" title="Found by AI extraction">🔎 AI-extracted</span>
+  );
+
+  // Proposed additions under a tab's AI suggestions, each with an Add button
+  const renderSuggestionItems = (section) => {
+    const items = aiSuggestions[section]?.items || [];
+    if (items.length === 0) return null;
+    const remaining = items.filter(item => !isSuggestionItemAdded(item)).length;
+
+    const describe = (item) => {
+      switch (item.kind) {
+        case 'stakeholder':
+          return { group: item.type || 'Stakeholder', label: item.name, detail: `Influence ${item.influence}, interest ${item.interest}${item.notes ? ` — ${item.notes}` : ''}` };
+        case 'method':
+          return { group: 'Consultation method', label: consultationMethods.find(m => m.id === item.id)?.label || item.id, detail: item.reason };
+        case 'keyQuestion':
+          return { group: 'Key question', label: item.text };
+        default:
+          return { group: MONITORING_LIST_LABELS[item.list], label: item.text };
+      }
+    };
 
+    return (
+      <div className="bg-slate-800 rounded-lg p-3 mb-4">
+        <div className="flex items-center justify-between mb-2">
+          <h5 className="text-amber-400 text-sm font-medium">➕ Proposed additions</h5>
+          <button
+            onClick={() => addAllSuggestionItems(section)}
+            disabled={remaining === 0}
+            className="text-xs bg-amber-600 hover:bg-amber-500 disabled:bg-slate-600 disabled:text-slate-400 text-white px-3 py-1 rounded-lg transition-all"
+          >
+            {remaining === 0 ? 'All added' : `Add all (${remaining})`}
+          </button>
+        </div>
+        <ul className="space-y-2">
+          {items.map((item, i) => {
+            const { group, label, detail } = describe(item);
+            const added = isSuggestionItemAdded(item);
+            return (
+              <li key={i} className="flex items-start justify-between gap-3 bg-slate-900 rounded-lg p-2">
+                <div className="text-sm">
+                  <span className="text-xs text-slate-400 mr-2">{group}</span>
+                  <span className="text-white">{label}</span>
+                  {detail && <p className="text-slate-400 text-xs mt-0.5">{detail}</p>}
+                </div>
+                <button
+                  onClick={() => addSuggestionItem(item)}
+                  disabled={added}
+                  className="text-xs shrink-0 border border-amber-600/50 text-amber-400 hover:bg-amber-600/20 disabled:border-slate-600 disabled:text-emerald-400 disabled:hover:bg-transparent px-2 py-1 rounded transition-all"
+                >
+                  {added ? '✓ Added' : 'Add'}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    );
+  };
+
+  // General PLS guidance for a tab, shown when AI suggestions are unavailable
+  const genericSuggestions = (section) => {
     const suggestions = {
       stakeholders: {
         title: 'Suggested Stakeholders',
@@ -305,7 +894,29 @@ How can I help you today? You can ask me questions or upload a legislative text
       }
     };
 
-    setAiSuggestions(prev => ({ ...prev, [section]: suggestions[section] }));
+    return suggestions[section];
+  };
+
+  // Suggestions for a tab, tailored by the AI to the project so far and the uploaded legislation
+  const generateAISuggestions = async (section) => {
+    setIsGenerating(true);
+
+    let suggestion;
+    if (serverStatus.aiConfigured) {
+      try {
+        suggestion = await getAISuggestions(section, { context, stakeholders, consultation, monitoring, assessment }, documentText, {
+          stakeholderTypes,
+          consultationMethods: consultationMethods.map(({ id, label }) => ({ id, label })),
+        });
+      } catch (error) {
+        console.error('AI suggestions failed:', error);
+        suggestion = { ...genericSuggestions(section), notice: `AI suggestions are unavailable (${error.message}). Showing general guidance instead.` };
+      }
+    } else {
+      suggestion = { ...genericSuggestions(section), notice: 'AI is not configured on the server, so this is general guidance rather than advice tailored to your legislation.' };
+    }
+
+    setAiSuggestions(prev => ({ ...prev, [section]: suggestion }));
     setIsGenerating(false);
   };
 
@@ -337,9 +948,9 @@ How can I help you today? You can ask me questions or upload a legislative text
 
   const handleFileUpload = async (file) => {
     // Validate file type
-    const validTypes = ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain', 'application/msword'];
-    if (!validTypes.includes(file.type) && !file.name.endsWith('.txt') && !file.name.endsWith('.pdf') && !file.name.endsWith('.docx') && !file.name.endsWith('.doc')) {
-      setExtractionError('Please upload a PDF, Word document (.doc/.docx), or text file (.txt)');
+    const validTypes = ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain', 'application/msword', 'application/xml', 'text/xml'];
+    if (!validTypes.includes(file.type) && !/\.(txt|pdf|docx|doc|xml)$/i.test(file.name)) {
+      setExtractionError('Please upload a PDF, Word document (.doc/.docx), text file (.txt) or legislation XML (.xml)');
       return;
     }
 
@@ -347,6 +958,7 @@ How can I help you today? You can ask me questions or upload a legislative text
     setExtractionError(null);
     setExtractionComplete(false);
     setDocumentText('');
+    setDocumentMarkup(null);
     setDocumentInfo(null);
   };
 
@@ -358,16 +970,25 @@ How can I help you today? You can ask me questions or upload a legislative text
     setExtractionError(null);
     setExtractionStatus('Reading document...');
     setExtractionMethod(null);
+    setExtractionChunks([]);
+    setExtractionCitations({});
+    setExtractionValidationErrors({});
+    setOpenCitationField(null);
 
     try {
       // Step 1: Extract text from document
       setExtractionStatus('Extracting text from document...');
-      const text = await extractTextFromDocument(uploadedFile);
+      // Documents opened from a shared project have no File, only the text extracted when it was uploaded
+      const isFile = uploadedFile instanceof Blob;
+      const { text, pages, structure = null, metadata = null } = isFile
+        ? await extractDocument(uploadedFile)
+        : { text: documentText, pages: documentPages, ...documentMarkup };
       setDocumentText(text);
+      setDocumentPages(pages);
+      setDocumentMarkup(structure ? { structure, metadata } : null);
 
       // Get document metadata
-      const info = await getDocumentInfo(uploadedFile);
-      setDocumentInfo(info);
+      if (isFile) setDocumentInfo(await getDocumentInfo(uploadedFile));
 
       if (!text || text.trim().length < 50) {
         throw new Error('Could not extract enough text from the document. Please try a different file format.');
@@ -377,10 +998,15 @@ How can I help you today? You can ask me questions or upload a legislative text
 
       // Step 2: Try backend AI extraction first, fall back to client-side pattern matching
       if (serverStatus.status === 'ok') {
-        setExtractionStatus('Analyzing with AI (Claude 3.5)...');
+        setExtractionStatus(`Analyzing with ${serverStatus.providerLabel || 'AI'}...`);
         try {
           extractedData = await extractLegislationWithAI(text, uploadedFile.name);
           setExtractionMethod(extractedData._method || 'ai');
+          setExtractionChunks(extractedData._chunks || []);
+          setExtractionCitations(extractedData._citations || {});
+          setExtractionValidationErrors(Object.fromEntries(
+            (extractedData._validationErrors || []).map(e => [e.field, e.message])
+          ));
         } catch (apiError) {
           console.warn('Backend extraction failed, using client fallback:', apiError);
           setExtractionStatus('Server unavailable, using pattern matching...');
@@ -395,16 +1021,21 @@ How can I help you today? You can ask me questions or upload a legislative text
         setExtractionMethod('fallback');
       }
 
+      // Title, year and dates stated in an XML file's metadata take precedence over what was inferred
+      extractedData = { ...extractedData, ...metadataFields(metadata) };
+
       // Step 3: Update context with extracted data
       setContext(prev => ({
         ...prev,
         legislationTitle: extractedData.legislationTitle || prev.legislationTitle,
         legislationYear: extractedData.legislationYear || prev.legislationYear,
+        assentDate: extractedData.assentDate || prev.assentDate,
+        commencementDate: extractedData.commencementDate || prev.commencementDate,
         legislationSummary: extractedData.legislationSummary || prev.legislationSummary,
         primaryObjectives: extractedData.primaryObjectives || prev.primaryObjectives,
         implementingAgencies: extractedData.implementingAgencies || prev.implementingAgencies,
         country: prev.country || extractedData.suggestedCountry || '',
-        jurisdiction: extractedData.jurisdictionLevel || prev.jurisdiction || 'national',
+        jurisdiction: extractedData.jurisdictionLevel || prev.jurisdiction,
         parliamentType: extractedData.parliamentType || prev.parliamentType,
       }));
 
@@ -416,6 +1047,45 @@ How can I help you today? You can ask me questions or upload a legislative text
         }));
       }
 
+      // Enabling provisions become secondary legislation to track, linked back to their section.
+      // Pattern matching stands in when the AI returned none.
+      const aiPowers = extractedData._delegatedPowers || [];
+      const powers = aiPowers.length > 0 ? aiPowers : detectDelegatedPowers(text);
+      setMonitoring(prev => ({
+        ...prev,
+        secondaryLegislation: [
+          ...prev.secondaryLegislation,
+          ...powersToSecondaryLegislation(powers, prev.secondaryLegislation, nextItemId, aiPowers.length > 0 ? { aiExtracted: true } : {}),
+        ],
+      }));
+
+      // Review, sunset, reporting and expiry provisions get a due date and countdown on the Implementation Tracking tab
+      const aiProvisions = extractedData._reviewProvisions || [];
+      const provisions = aiProvisions.length > 0 ? aiProvisions : detectReviewClauses(text);
+      setMonitoring(prev => ({
+        ...prev,
+        reviewProvisions: [
+          ...prev.reviewProvisions,
+          ...newReviewProvisions(provisions, prev.reviewProvisions, nextItemId, aiProvisions.length > 0 ? { aiExtracted: true } : {}),
+        ],
+      }));
+
+      // Commencement clauses become implementation milestones, already completed where the provisions are in force
+      const clauses = detectCommencement(text);
+      const enactment = {
+        assentDate: extractedData.assentDate || context.assentDate,
+        legislationYear: extractedData.legislationYear || context.legislationYear,
+      };
+      setMonitoring(prev => ({
+        ...prev,
+        implementationMilestones: [
+          ...prev.implementationMilestones,
+          ...commencementMilestones(clauses, prev.implementationMilestones, enactment, nextItemId),
+        ],
+      }));
+      const commenced = actCommencementDate(clauses, enactment);
+      if (commenced) setContext(prev => (prev.commencementDate ? prev : { ...prev, commencementDate: commenced }));
+
       setIsExtracting(false);
       setExtractionComplete(true);
       setExtractionStatus('');
@@ -430,16 +1100,24 @@ How can I help you today? You can ask me questions or upload a legislative text
   const clearUpload = () => {
     setUploadedFile(null);
     setExtractionComplete(false);
+    setExtractionChunks([]);
+    setExtractionCitations({});
+    setExtractionValidationErrors({});
+    setOpenCitationField(null);
     setExtractionError(null);
     setDocumentText('');
+    setDocumentPages([]);
+    setDocumentMarkup(null);
     setDocumentInfo(null);
     setExtractionStatus('');
   };
 
-  const addStakeholder = () => {
-    if (newStakeholder.name.trim()) {
-      setStakeholders([...stakeholders, { ...newStakeholder, id: Date.now() }]);
-      setNewStakeholder({ name: '', type: '', influence: 'medium', interest: 'medium', notes: '' });
+  // Add the stakeholder from the form, or a given one (e.g. proposed by the AI)
+  const addStakeholder = (proposed) => {
+    const stakeholder = proposed || newStakeholder;
+    if (stakeholder.name.trim()) {
+      setStakeholders(prev => [...prev, { ...stakeholder, id: nextItemId() }]);
+      if (!proposed) setNewStakeholder({ name: '', type: '', influence: 'medium', interest: 'medium', notes: '' });
     }
   };
 
@@ -447,21 +1125,161 @@ How can I help you today? You can ask me questions or upload a legislative text
     setStakeholders(stakeholders.filter(s => s.id !== id));
   };
 
+  const addRecommendation = () => {
+    setAssessment(prev => ({ ...prev, recommendations: [...prev.recommendations, newRecommendation(nextItemId())] }));
+  };
+
+  const updateRecommendation = (id, changes) => {
+    setAssessment(prev => ({
+      ...prev,
+      recommendations: prev.recommendations.map(r => (r.id === id ? { ...r, ...changes } : r)),
+    }));
+  };
+
+  const removeRecommendation = (id) => {
+    setAssessment(prev => ({ ...prev, recommendations: prev.recommendations.filter(r => r.id !== id) }));
+  };
+
+  const updateRecommendationResponse = (id, changes) => {
+    setAssessment(prev => ({
+      ...prev,
+      recommendations: prev.recommendations.map(r => (r.id === id ? { ...r, response: { ...emptyResponse(), ...r.response, ...changes } } : r)),
+    }));
+  };
+
+  const toggleRecommendationEvidence = (recommendation, source) => {
+    const evidence = recommendation.evidence || [];
+    updateRecommendation(recommendation.id, {
+      evidence: evidence.includes(source) ? evidence.filter(e => e !== source) : [...evidence, source],
+    });
+  };
+
+  // Bodies a recommendation or implementation item can be assigned to: the Act's implementing agencies, then mapped stakeholders
+  const responsibleBodies = [...new Set([
+    ...(context.implementingAgencies || '').split(/[,;\n]/).map(a => a.trim()),
+    ...stakeholders.map(s => s.name.trim()),
+  ].filter(Boolean))];
+
   const toggleConsultationMethod = (methodId) => {
     setConsultation(prev => ({
       ...prev,
       methods: prev.methods.includes(methodId)
         ? prev.methods.filter(m => m !== methodId)
-        : [...prev.methods, methodId]
+        : [...prev.methods, methodId],
+      aiProposedMethods: (prev.aiProposedMethods || []).filter(m => m !== methodId),
     }));
   };
 
-  const addMonitoringItem = (type, value) => {
+  // `extra` carries flags such as { aiProposed: true }
+  const addMonitoringItem = (type, value, extra = {}) => {
     if (value.trim()) {
       setMonitoring(prev => ({
         ...prev,
-        [type]: [...prev[type], { id: Date.now(), text: value, status: 'pending' }]
+        [type]: [...prev[type], { id: nextItemId(), text: value, status: 'pending', ...extra }]
+      }));
+    }
+  };
+
+  // Whether a proposed suggestion item is already in the wizard
+  const isSuggestionItemAdded = (item) => {
+    const same = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+    switch (item.kind) {
+      case 'stakeholder': return stakeholders.some(s => same(s.name, item.name));
+      case 'method': return consultation.methods.includes(item.id);
+      case 'keyQuestion': return consultation.keyQuestions.toLowerCase().includes(item.text.toLowerCase());
+      case 'monitoring': return monitoring[item.list].some(m => same(m.text, item.text));
+      default: return false;
+    }
+  };
+
+  // Add a proposed suggestion item through the same paths as the forms, marked as AI-proposed
+  const addSuggestionItem = (item) => {
+    if (isSuggestionItemAdded(item)) return;
+    switch (item.kind) {
+      case 'stakeholder':
+        addStakeholder({ name: item.name, type: item.type, influence: item.influence, interest: item.interest, notes: item.notes, aiProposed: true });
+        break;
+      case 'method':
+        setConsultation(prev => prev.methods.includes(item.id) ? prev : {
+          ...prev,
+          methods: [...prev.methods, item.id],
+          aiProposedMethods: [...(prev.aiProposedMethods || []), item.id],
+        });
+        break;
+      case 'keyQuestion':
+        setConsultation(prev => ({
+          ...prev,
+          keyQuestions: prev.keyQuestions.trim() ? `${prev.keyQuestions.trim()}\n${item.text}` : item.text,
+          aiProposedQuestions: [...(prev.aiProposedQuestions || []), item.text],
+        }));
+        break;
+      case 'monitoring':
+        addMonitoringItem(item.list, item.text, { aiProposed: true });
+        break;
+      default:
+        break;
+    }
+  };
+
+  const addAllSuggestionItems = (section) => {
+    aiSuggestions[section].items.filter(item => !isSuggestionItemAdded(item)).forEach(addSuggestionItem);
+  };
+
+  const aiProposedQuestionCount = (consultation.aiProposedQuestions || []).filter(q => consultation.keyQuestions.includes(q)).length;
+
+  // Entering a completion date marks the item completed
+  const updateMonitoringItem = (type, id, changes) => {
+    setMonitoring(prev => ({
+      ...prev,
+      [type]: prev[type].map(item =>
+        item.id === id ? { ...item, ...changes, ...(changes.completedOn ? { status: 'completed' } : {}) } : item
+      )
+    }));
+  };
+
+  // Record the observation typed under an indicator
+  const addObservation = (id) => {
+    const draft = newObservations[id] || {};
+    const date = normalizeIndicatorDate(draft.date);
+    const value = parseIndicatorValue(draft.value);
+    if (!date || value === null) {
+      setIndicatorNotices(prev => ({ ...prev, [id]: { type: 'error', text: 'Enter a date (e.g. 2024 or 2024-06-30) and a number.' } }));
+      return;
+    }
+    setMonitoring(prev => ({
+      ...prev,
+      dataIndicators: prev.dataIndicators.map(item =>
+        item.id === id ? { ...item, observations: mergeObservations(item.observations, [{ date, value }]) } : item
+      )
+    }));
+    setNewObservations(prev => ({ ...prev, [id]: { date: '', value: '' } }));
+    setIndicatorNotices(prev => ({ ...prev, [id]: null }));
+  };
+
+  const removeObservation = (id, date) => {
+    setMonitoring(prev => ({
+      ...prev,
+      dataIndicators: prev.dataIndicators.map(item =>
+        item.id === id ? { ...item, observations: (item.observations || []).filter(o => o.date !== date) } : item
+      )
+    }));
+  };
+
+  // Merge a date,value CSV into an indicator's series
+  const importIndicatorCsv = async (id, file) => {
+    if (!file) return;
+    try {
+      const { observations, skipped } = parseIndicatorCsv(await file.text());
+      setMonitoring(prev => ({
+        ...prev,
+        dataIndicators: prev.dataIndicators.map(item =>
+          item.id === id ? { ...item, observations: mergeObservations(item.observations, observations) } : item
+        )
       }));
+      const skippedText = skipped > 0 ? ` ${skipped} row${skipped === 1 ? '' : 's'} could not be read and ${skipped === 1 ? 'was' : 'were'} skipped.` : '';
+      setIndicatorNotices(prev => ({ ...prev, [id]: { type: 'success', text: `Imported ${observations.length} observation${observations.length === 1 ? '' : 's'} from ${file.name}.${skippedText}` } }));
+    } catch (error) {
+      setIndicatorNotices(prev => ({ ...prev, [id]: { type: 'error', text: error.message } }));
     }
   };
 
@@ -474,10 +1292,77 @@ How can I help you today? You can ask me questions or upload a legislative text
     }));
   };
 
+  const removeMonitoringItem = (type, id) => {
+    setMonitoring(prev => ({ ...prev, [type]: prev[type].filter(item => item.id !== id) }));
+  };
+
+  // A review provision typed in by hand rather than found in the Act
+  const addReviewProvision = () => {
+    setMonitoring(prev => ({
+      ...prev,
+      reviewProvisions: [...prev.reviewProvisions, ...newReviewProvisions([{ type: 'review' }], [], nextItemId)],
+    }));
+  };
+
   const generateReport = () => {
     setExportReady(true);
   };
 
+  // Report download formats; renderers are loaded on first use to keep the main bundle small
+  const reportFormats = {
+    docx: {
+      label: 'Word (.docx)',
+      extension: '.docx',
+      render: async (report) => (await import('./services/reportDocx')).renderReportDocx(report),
+    },
+    pdf: {
+      label: 'PDF',
+      extension: '.pdf',
+      render: async (report) => (await import('./services/reportPdf')).renderReportPdf(report),
+    },
+    markdown: {
+      label: 'Markdown',
+      extension: '.md',
+      render: async (report) => (await import('./services/reportMarkdown')).renderReportMarkdown(report),
+    },
+    html: {
+      label: 'HTML',
+      extension: '.html',
+      render: async (report) => (await import('./services/reportHtml')).renderReportHtml(report),
+    },
+  };
+
+  // Documents that download in every report format
+  const reportDocuments = {
+    report: () => buildReport({ context, stakeholders, consultation, monitoring, assessment }, { consultationMethods }),
+    termsOfReference: () => buildTermsOfReferenceReport(termsOfReference, context),
+  };
+
+  const downloadReport = async (format, documentType = 'report') => {
+    const { extension, render } = reportFormats[format];
+    setReportDownload(`${documentType}:${format}`);
+    setReportDownloadError(null);
+    try {
+      const report = reportDocuments[documentType]();
+      downloadBlob(await render(report), reportFileName(report, extension));
+    } catch (error) {
+      console.error(`Report export (${format}) failed:`, error);
+      setReportDownloadError({ documentType, message: `Could not create the ${reportFormats[format].label} file: ${error.message}` });
+    } finally {
+      setReportDownload(null);
+    }
+  };
+
+  // Build the Terms of Reference from the project, after checking before replacing an edited draft
+  const draftTerms = () => {
+    if (termsOfReference.draftedAt && !window.confirm('Replace the current Terms of Reference with a new draft from the project? Your edits will be lost.')) return;
+    setTermsOfReference(draftTermsOfReference({ context, stakeholders, consultation }, { consultationMethods }));
+  };
+
+  const updateTermsQuestions = (categoryId, text) => {
+    setTermsOfReference(prev => ({ ...prev, questions: { ...prev.questions, [categoryId]: text } }));
+  };
+
   const getInfluenceInterestColor = (level) => {
     const colors = {
       high: '#dc2626',
@@ -487,6 +1372,178 @@ How can I help you today? You can ask me questions or upload a legislative text
     return colors[level] || colors.medium;
   };
 
+  const confidenceStyles = {
+    high: 'bg-emerald-100 text-emerald-700 border-emerald-300',
+    medium: 'bg-amber-100 text-amber-700 border-amber-300',
+    low: 'bg-red-100 text-red-700 border-red-300',
+  };
+
+  // Badge next to an AI-filled field: a warning if the AI output failed validation,
+  // otherwise its confidence, which opens the source passages when clicked
+  const renderFieldBadge = (field) => {
+    if (extractionValidationErrors[field]) {
+      return (
+        <span className="ml-2 text-xs px-2 py-0.5 rounded-full border bg-red-100 text-red-700 border-red-300">
+          ⚠️ Needs manual entry
+        </span>
+      );
+    }
+    const citation = extractionCitations[field];
+    if (!citation) return null;
+    const isOpen = openCitationField === field;
+    return (
+      <button
+        type="button"
+        onClick={() => setOpenCitationField(isOpen ? null : field)}
+        className={`ml-2 text-xs px-2 py-0.5 rounded-full border transition-all ${confidenceStyles[citation.confidence] || confidenceStyles.medium}`}
+        title="Show the source text this was extracted from"
+      >
+        🔍 {citation.confidence} confidence{citation.passages.length > 0 ? ` • ${citation.passages.length} source${citation.passages.length > 1 ? 's' : ''}` : ' • no source found'}
+      </button>
+    );
+  };
+
+  // A passage of the uploaded document with its page and some surrounding text
+  const renderPassage = (passage) => {
+    const page = pageForOffset(documentPages, passage.start);
+    const citation = citationAt(documentStructure, passage.start);
+    const before = documentText.slice(Math.max(0, passage.start - 120), passage.start);
+    const after = documentText.slice(passage.end, passage.end + 120);
+    return (
+      <>
+        <p className="text-xs text-gray-500 mb-1">
+          {citation && <strong className="text-gray-700">{citation} • </strong>}
+          {page ? `Page ${page} • ` : ''}Characters {passage.start.toLocaleString()}–{passage.end.toLocaleString()}
+        </p>
+        <p className="text-gray-600 font-serif leading-relaxed">
+          …{before}<mark className="bg-yellow-200 text-gray-900 px-0.5">{documentText.slice(passage.start, passage.end) || passage.text}</mark>{after}…
+        </p>
+      </>
+    );
+  };
+
+  // One entry of the document outline; subsections are left to the text shown when it is opened
+  const renderOutlineNode = (node) => {
+    const key = `outline:${node.id}`;
+    const isOpen = openCitationField === key;
+    const page = pageForOffset(documentPages, node.start);
+    const divisions = node.children.filter(child => child.kind !== 'subsection');
+    return (
+      <li key={node.id}>
+        <button
+          type="button"
+          onClick={() => setOpenCitationField(isOpen ? null : key)}
+          className={`text-left w-full rounded px-2 py-1 hover:bg-purple-50 ${isOpen ? 'bg-purple-50' : ''}`}
+        >
+          <span className={node.kind === 'section' ? 'text-gray-800' : 'font-semibold text-[#1e1b4b]'}>{node.label}</span>
+          {node.heading && <span className="text-gray-600"> — {node.heading}</span>}
+          {page && <span className="text-xs text-gray-400 ml-2">p. {page}</span>}
+          {node.extent && <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-blue-50 text-blue-700" title="Extent">{node.extent}</span>}
+          {node.prospective && <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-amber-50 text-amber-700" title="Not yet in force">Prospective</span>}
+        </button>
+        {isOpen && (
+          <div className="ml-2 my-1 bg-white border border-gray-200 rounded-lg p-3 text-sm text-gray-700 font-serif leading-relaxed whitespace-pre-wrap max-h-64 overflow-y-auto">
+            {documentText.slice(node.start, node.end).trim()}
+          </div>
+        )}
+        {divisions.length > 0 && <ul className="ml-4 border-l border-gray-200 pl-2">{divisions.map(renderOutlineNode)}</ul>}
+      </li>
+    );
+  };
+
+  // The Act's Parts, Chapters, Sections/Articles and Schedules as found in the uploaded text, or
+  // as marked up in a legislation XML file along with its references and annotations
+  const renderDocumentOutline = () => {
+    if (!documentText || documentStructure.length === 0) return null;
+    const counts = structureSummary(documentStructure);
+    const summary = [
+      counts.part && `${counts.part} part${counts.part === 1 ? '' : 's'}`,
+      counts.chapter && `${counts.chapter} chapter${counts.chapter === 1 ? '' : 's'}`,
+      counts.section && `${counts.section} section${counts.section === 1 ? '' : 's'} or article${counts.section === 1 ? '' : 's'}`,
+      counts.schedule && `${counts.schedule} schedule${counts.schedule === 1 ? '' : 's'}`,
+    ].filter(Boolean).join(', ');
+    const metadata = documentMarkup?.metadata;
+    const references = metadata?.references || [];
+    const notes = metadata?.notes || [];
+    return (
+      <div className="mt-4 bg-white border border-gray-200 rounded-lg">
+        <button
+          type="button"
+          onClick={() => setShowOutline(!showOutline)}
+          className="w-full flex items-center justify-between px-4 py-3 text-left"
+        >
+          <span className="font-medium text-gray-800">🗂️ Document outline <span className="text-sm font-normal text-gray-500">({summary})</span></span>
+          <span className="text-gray-500 text-sm">{showOutline ? 'Hide' : 'Show'}</span>
+        </button>
+        {showOutline && (
+          <ul className="px-2 pb-3 text-sm max-h-[28rem] overflow-y-auto">
+            {documentStructure.map(renderOutlineNode)}
+          </ul>
+        )}
+        {showOutline && metadata && (
+          <div className="border-t border-gray-100 px-4 py-3 text-sm text-gray-600">
+            <p>
+              Structure read from the {XML_FORMATS[metadata.format]} markup
+              {metadata.number && <> · No. {metadata.number}</>}
+              {metadata.date && <> · {metadata.date}</>}
+              {metadata.extent && <> · Extent {metadata.extent}</>}
+            </p>
+            {Object.entries(NOTE_TYPES).map(([type, title]) => {
+              const annotations = notes.filter(note => note.type === type);
+              return annotations.length > 0 && (
+                <div key={type}>
+                  <p className="mt-2 font-medium text-gray-700">{title} ({annotations.length})</p>
+                  <ul className="mt-1 space-y-0.5 max-h-40 overflow-y-auto">
+                    {annotations.map((note, i) => (
+                      <li key={i}>
+                        {note.provision && <span className="font-medium text-gray-700">{note.provision}: </span>}{note.text}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              );
+            })}
+            {references.length > 0 && (
+              <>
+                <p className="mt-2 font-medium text-gray-700">References ({references.length})</p>
+                <ul className="mt-1 space-y-0.5 max-h-40 overflow-y-auto">
+                  {references.map(ref => (
+                    <li key={ref.href || ref.text}>
+                      {ref.text}{ref.href && <span className="ml-2 text-xs text-gray-400 font-mono">{ref.href}</span>}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Validation problem or source passages for a field, shown below its input
+  const renderFieldDetails = (field) => {
+    if (extractionValidationErrors[field]) {
+      return (
+        <p className="mt-1 text-xs text-red-600">
+          The AI's answer for this field was rejected ({extractionValidationErrors[field]}), so it was left blank. Please fill it in from the document.
+        </p>
+      );
+    }
+    const citation = extractionCitations[field];
+    if (!citation || openCitationField !== field) return null;
+    return (
+      <div className="mt-2 bg-gray-50 border border-gray-200 rounded-lg p-3 space-y-3 text-sm">
+        {citation.passages.length === 0 && (
+          <p className="text-red-700">
+            ⚠️ The AI could not point to a passage in the document supporting this value. Verify it manually before using it in a report.
+          </p>
+        )}
+        {citation.passages.map((passage, i) => <div key={i}>{renderPassage(passage)}</div>)}
+      </div>
+    );
+  };
+
   const renderSetupTab = () => (
     <div className="space-y-6">
       {/* Document Upload Section */}
@@ -502,7 +1559,7 @@ How can I help you today? You can ask me questions or upload a legislative text
               <span className="text-gray-500">⏳ Checking AI...</span>
             )}
             {serverStatus.status === 'ok' && serverStatus.aiConfigured && (
-              <span className="text-emerald-600 font-medium">✓ Claude AI Ready</span>
+              <span className="text-emerald-600 font-medium">✓ {serverStatus.providerLabel || 'AI'} Ready</span>
             )}
             {serverStatus.status === 'ok' && !serverStatus.aiConfigured && (
               <span className="text-amber-600">⚠️ Pattern Matching Mode</span>
@@ -530,7 +1587,7 @@ How can I help you today? You can ask me questions or upload a legislative text
           >
             <input
               type="file"
-              accept=".pdf,.doc,.docx,.txt"
+              accept=".pdf,.doc,.docx,.txt,.xml"
               onChange={handleFileSelect}
               className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
             />
@@ -545,7 +1602,7 @@ How can I help you today? You can ask me questions or upload a legislative text
                 </p>
               </div>
               <p className="text-gray-400 text-xs">
-                Supported formats: PDF, Word (.doc/.docx), Text (.txt)
+                Supported formats: PDF, Word (.doc/.docx), Text (.txt), legislation XML (.xml: Akoma Ntoso, CLML, USLM)
               </p>
             </div>
           </div>
@@ -555,7 +1612,8 @@ How can I help you today? You can ask me questions or upload a legislative text
               <div className="flex items-center gap-3">
                 <div className="text-3xl">
                   {uploadedFile.name.endsWith('.pdf') ? '📕' :
-                    uploadedFile.name.endsWith('.docx') || uploadedFile.name.endsWith('.doc') ? '📘' : '📄'}
+                    uploadedFile.name.endsWith('.docx') || uploadedFile.name.endsWith('.doc') ? '📘' :
+                      uploadedFile.name.endsWith('.xml') ? '🏛️' : '📄'}
                 </div>
                 <div>
                   <p className="text-gray-900 font-medium">{uploadedFile.name}</p>
@@ -608,19 +1666,47 @@ How can I help you today? You can ask me questions or upload a legislative text
                     <p className="text-emerald-700 font-medium">Extraction Complete!</p>
                     <p className="text-gray-600 text-sm mt-1">
                       {extractionMethod === 'ai'
-                        ? 'Claude AI has populated the form below with extracted details. Review and adjust as needed.'
+                        ? `${serverStatus.providerLabel || 'AI'} has populated the form below with extracted details. Click a 🔍 badge to check the source text before relying on a field.`
                         : 'Pattern matching has extracted basic details. Review and enhance as needed.'}
                     </p>
                     {documentInfo && (
                       <p className="text-gray-500 text-xs mt-2">
                         📄 {documentInfo.pageCount ? `${documentInfo.pageCount} pages • ` : ''}{documentText.length.toLocaleString()} characters extracted
-                        {extractionMethod === 'ai' && ' • Analyzed by Claude 3.5'}
+                        {extractionMethod === 'ai' && ` • Analyzed by ${serverStatus.model || serverStatus.providerLabel || 'AI'}`}
+                        {extractionChunks.length > 1 && ` in ${extractionChunks.length} parts`}
+                      </p>
+                    )}
+                    {monitoring.secondaryLegislation.some(item => item.source) && (
+                      <p className="text-gray-600 text-xs mt-2">
+                        📜 {monitoring.secondaryLegislation.filter(item => item.source).length} delegated power(s) found in the Act are listed as secondary legislation on the Implementation Tracking tab.
                       </p>
                     )}
+                    {monitoring.implementationMilestones.some(item => item.commencement) && (
+                      <p className="text-gray-600 text-xs mt-2">
+                        🚦 {monitoring.implementationMilestones.filter(item => item.commencement).length} commencement provision(s) found in the Act are listed as implementation milestones.
+                      </p>
+                    )}
+                    {monitoring.reviewProvisions.length > 0 && (
+                      <p className="text-gray-600 text-xs mt-2">
+                        📅 {monitoring.reviewProvisions.length} review, sunset or reporting provision(s) found in the Act are counted down under Review Clauses on the Implementation Tracking tab.
+                      </p>
+                    )}
+                    {Object.keys(extractionValidationErrors).filter(field => !EXTRACTED_LISTS[field]).length > 0 && (
+                      <p className="text-red-600 text-xs mt-2">
+                        ⚠️ {Object.keys(extractionValidationErrors).filter(field => !EXTRACTED_LISTS[field]).length} field(s) failed validation and were left blank — they are flagged below.
+                      </p>
+                    )}
+                    {Object.entries(EXTRACTED_LISTS).filter(([field]) => extractionValidationErrors[field]).map(([field, list]) => (
+                      <p key={field} className="text-red-600 text-xs mt-2">
+                        ⚠️ Some {list} found by the AI failed validation and were left out ({extractionValidationErrors[field]}). Check the list against the Act.
+                      </p>
+                    ))}
                   </div>
                 </div>
               </div>
             )}
+
+            {renderDocumentOutline()}
           </div>
         )}
 
@@ -650,7 +1736,7 @@ How can I help you today? You can ask me questions or upload a legislative text
         </p>
         <div className="grid md:grid-cols-2 gap-4">
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Country/Region</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Country/Region{renderFieldBadge('suggestedCountry')}</label>
             <input
               type="text"
               value={context.country}
@@ -658,9 +1744,10 @@ How can I help you today? You can ask me questions or upload a legislative text
               placeholder="e.g., United Kingdom, Kenya, Albania..."
               className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 text-gray-900 placeholder-gray-400 focus:border-[#5f259f] focus:ring-2 focus:ring-[#5f259f]/20 transition-all"
             />
+            {renderFieldDetails('suggestedCountry')}
           </div>
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Level of Government</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Level of Government{renderFieldBadge('jurisdictionLevel')}</label>
             <select
               value={context.jurisdiction}
               onChange={(e) => setContext({ ...context, jurisdiction: e.target.value })}
@@ -672,9 +1759,10 @@ How can I help you today? You can ask me questions or upload a legislative text
               <option value="local">Local/Municipal Council</option>
               <option value="supranational">Supranational Body (e.g., EU)</option>
             </select>
+            {renderFieldDetails('jurisdictionLevel')}
           </div>
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Parliament Type</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Parliament Type{renderFieldBadge('parliamentType')}</label>
             <select
               value={context.parliamentType}
               onChange={(e) => setContext({ ...context, parliamentType: e.target.value })}
@@ -686,6 +1774,7 @@ How can I help you today? You can ask me questions or upload a legislative text
               <option value="presidential">Presidential System Legislature</option>
               <option value="other">Other</option>
             </select>
+            {renderFieldDetails('parliamentType')}
           </div>
         </div>
       </div>
@@ -698,7 +1787,7 @@ How can I help you today? You can ask me questions or upload a legislative text
         <div className="space-y-4">
           <div className="grid md:grid-cols-2 gap-4">
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Legislation Title/Name</label>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Legislation Title/Name{renderFieldBadge('legislationTitle')}</label>
               <input
                 type="text"
                 value={context.legislationTitle}
@@ -706,9 +1795,10 @@ How can I help you today? You can ask me questions or upload a legislative text
                 placeholder="e.g., Community Empowerment Act 2015"
                 className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 text-gray-900 placeholder-gray-400 focus:border-[#5f259f] focus:ring-2 focus:ring-[#5f259f]/20 transition-all"
               />
+              {renderFieldDetails('legislationTitle')}
             </div>
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Year Enacted</label>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Year Enacted{renderFieldBadge('legislationYear')}</label>
               <input
                 type="text"
                 value={context.legislationYear}
@@ -716,10 +1806,34 @@ How can I help you today? You can ask me questions or upload a legislative text
                 placeholder="e.g., 2015"
                 className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 text-gray-900 placeholder-gray-400 focus:border-[#5f259f] focus:ring-2 focus:ring-[#5f259f]/20 transition-all"
               />
+              {renderFieldDetails('legislationYear')}
+            </div>
+          </div>
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Royal Assent / Enactment Date{renderFieldBadge('assentDate')}</label>
+              <input
+                type="date"
+                value={context.assentDate}
+                onChange={(e) => setContext({ ...context, assentDate: e.target.value })}
+                className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 text-gray-900 focus:border-[#5f259f] focus:ring-2 focus:ring-[#5f259f]/20 transition-all"
+              />
+              {renderFieldDetails('assentDate')}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Commencement Date{renderFieldBadge('commencementDate')}</label>
+              <input
+                type="date"
+                value={context.commencementDate}
+                onChange={(e) => setContext({ ...context, commencementDate: e.target.value })}
+                className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 text-gray-900 focus:border-[#5f259f] focus:ring-2 focus:ring-[#5f259f]/20 transition-all"
+              />
+              {renderFieldDetails('commencementDate')}
             </div>
           </div>
+          <p className="text-xs text-gray-500 -mt-2">Review and sunset dates are counted from these; without them they are estimated from the year enacted.</p>
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Brief Summary</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Brief Summary{renderFieldBadge('legislationSummary')}</label>
             <textarea
               value={context.legislationSummary}
               onChange={(e) => setContext({ ...context, legislationSummary: e.target.value })}
@@ -727,9 +1841,10 @@ How can I help you today? You can ask me questions or upload a legislative text
               rows={3}
               className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 text-gray-900 placeholder-gray-400 focus:border-[#5f259f] focus:ring-2 focus:ring-[#5f259f]/20 transition-all"
             />
+            {renderFieldDetails('legislationSummary')}
           </div>
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Primary Objectives (as stated when passed)</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Primary Objectives (as stated when passed){renderFieldBadge('primaryObjectives')}</label>
             <textarea
               value={context.primaryObjectives}
               onChange={(e) => setContext({ ...context, primaryObjectives: e.target.value })}
@@ -737,9 +1852,10 @@ How can I help you today? You can ask me questions or upload a legislative text
               rows={3}
               className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 text-gray-900 placeholder-gray-400 focus:border-[#5f259f] focus:ring-2 focus:ring-[#5f259f]/20 transition-all"
             />
+            {renderFieldDetails('primaryObjectives')}
           </div>
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Key Implementing Agencies</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Key Implementing Agencies{renderFieldBadge('implementingAgencies')}</label>
             <input
               type="text"
               value={context.implementingAgencies}
@@ -747,6 +1863,7 @@ How can I help you today? You can ask me questions or upload a legislative text
               placeholder="e.g., Ministry of Health, Local Authorities, Regulatory Agency X..."
               className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 text-gray-900 placeholder-gray-400 focus:border-[#5f259f] focus:ring-2 focus:ring-[#5f259f]/20 transition-all"
             />
+            {renderFieldDetails('implementingAgencies')}
           </div>
         </div>
       </div>
@@ -802,9 +1919,11 @@ How can I help you today? You can ask me questions or upload a legislative text
         {aiSuggestions.stakeholders && (
           <div className="bg-slate-900/50 rounded-lg p-4 mb-6 border border-amber-600/30">
             <h4 className="text-amber-400 font-medium mb-2">{aiSuggestions.stakeholders.title}</h4>
+            {aiSuggestions.stakeholders.notice && <p className="text-slate-400 text-xs mb-3">ℹ️ {aiSuggestions.stakeholders.notice}</p>}
             <div className="text-slate-300 text-sm whitespace-pre-line mb-4">
               {aiSuggestions.stakeholders.content}
             </div>
+            {renderSuggestionItems('stakeholders')}
             {aiSuggestions.stakeholders.tips && aiSuggestions.stakeholders.tips.length > 0 && (
               <div className="bg-slate-800 rounded-lg p-3">
                 <h5 className="text-emerald-400 text-sm font-medium mb-2">💡 Tips for {context.country || 'your context'}:</h5>
@@ -878,7 +1997,7 @@ How can I help you today? You can ask me questions or upload a legislative text
           />
         </div>
         <button
-          onClick={addStakeholder}
+          onClick={() => addStakeholder()}
           className="bg-emerald-600 hover:bg-emerald-500 text-white px-6 py-2 rounded-lg font-medium transition-all"
         >
           + Add Stakeholder
@@ -942,6 +2061,7 @@ How can I help you today? You can ask me questions or upload a legislative text
                   <div className="flex items-center gap-2 mb-1">
                     <span className="font-medium text-white">{s.name}</span>
                     <span className="text-xs bg-slate-700 text-slate-300 px-2 py-0.5 rounded">{s.type}</span>
+                    {s.aiProposed && renderAiProposedBadge()}
                   </div>
                   <div className="flex gap-3 text-sm">
                     <span style={{ color: getInfluenceInterestColor(s.influence) }}>
@@ -1001,9 +2121,11 @@ How can I help you today? You can ask me questions or upload a legislative text
         {aiSuggestions.consultation && (
           <div className="bg-slate-900/50 rounded-lg p-4 mb-6 border border-amber-600/30">
             <h4 className="text-amber-400 font-medium mb-2">{aiSuggestions.consultation.title}</h4>
+            {aiSuggestions.consultation.notice && <p className="text-slate-400 text-xs mb-3">ℹ️ {aiSuggestions.consultation.notice}</p>}
             <div className="text-slate-300 text-sm whitespace-pre-line mb-4">
               {aiSuggestions.consultation.content}
             </div>
+            {renderSuggestionItems('consultation')}
             {aiSuggestions.consultation.tips && aiSuggestions.consultation.tips.length > 0 && (
               <div className="bg-slate-800 rounded-lg p-3">
                 <h5 className="text-emerald-400 text-sm font-medium mb-2">💡 Key Reminders:</h5>
@@ -1034,6 +2156,7 @@ How can I help you today? You can ask me questions or upload a legislative text
                     {consultation.methods.includes(method.id) ? '✓' : '○'}
                   </span>
                   {method.label}
+                  {consultation.aiProposedMethods?.includes(method.id) && renderAiProposedBadge()}
                 </div>
                 <p className="text-sm text-slate-400 mt-1">{method.description}</p>
               </button>
@@ -1061,6 +2184,9 @@ How can I help you today? You can ask me questions or upload a legislative text
               rows={5}
               className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 text-gray-900 placeholder-gray-400 focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-all"
             />
+            {aiProposedQuestionCount > 0 && (
+              <p className="text-xs text-amber-400 mt-1">✨ {aiProposedQuestionCount} of these questions {aiProposedQuestionCount === 1 ? 'was' : 'were'} proposed by AI suggestions.</p>
+            )}
           </div>
           <div className="grid md:grid-cols-2 gap-4">
             <div>
@@ -1087,22 +2213,511 @@ How can I help you today? You can ask me questions or upload a legislative text
         </div>
       </div>
 
-      {consultation.methods.length > 0 && (
-        <div className="bg-gradient-to-r from-emerald-900/50 to-teal-900/50 rounded-xl p-6 border border-emerald-700">
-          <h4 className="text-lg font-semibold text-emerald-400 mb-3">📋 Your Consultation Plan</h4>
-          <div className="space-y-2 text-slate-300">
-            <p><strong className="text-white">Methods:</strong> {consultation.methods.map(m => consultationMethods.find(cm => cm.id === m)?.label).join(', ')}</p>
-            {consultation.targetGroups.length > 0 && (
-              <p><strong className="text-white">Target Groups:</strong> {consultation.targetGroups.join(', ')}</p>
-            )}
-            {consultation.timeline && <p><strong className="text-white">Timeline:</strong> {consultation.timeline}</p>}
+      {consultation.methods.length > 0 && (
+        <div className="bg-gradient-to-r from-emerald-900/50 to-teal-900/50 rounded-xl p-6 border border-emerald-700">
+          <h4 className="text-lg font-semibold text-emerald-400 mb-3">📋 Your Consultation Plan</h4>
+          <div className="space-y-2 text-slate-300">
+            <p><strong className="text-white">Methods:</strong> {consultation.methods.map(m => consultationMethods.find(cm => cm.id === m)?.label).join(', ')}</p>
+            {consultation.targetGroups.length > 0 && (
+              <p><strong className="text-white">Target Groups:</strong> {consultation.targetGroups.join(', ')}</p>
+            )}
+            {consultation.timeline && <p><strong className="text-white">Timeline:</strong> {consultation.timeline}</p>}
+          </div>
+        </div>
+      )}
+
+      {renderNavButtons()}
+    </div>
+  );
+
+  const renderResponsibleBodies = () => (
+    <datalist id="responsible-bodies">
+      {responsibleBodies.map(name => <option key={name} value={name} />)}
+    </datalist>
+  );
+
+  // A secondary legislation or milestone row: status, responsible agency, statutory deadline and completion date,
+  // and for powers and commencement clauses found in the Act, a link back to the provision (with the
+  // parliamentary procedure for powers and the commencement trigger for milestones)
+  const renderTrackedItem = (type, item) => {
+    const overdue = overdueDays(item);
+    const sourceKey = `source:${item.id}`;
+    const isSourceOpen = openCitationField === sourceKey;
+    const dateClass = 'bg-white border border-gray-300 rounded px-2 py-1 text-sm text-gray-900 focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-all';
+    return (
+      <div key={item.id} className={`bg-slate-900 rounded-lg p-3 ${overdue > 0 ? 'border border-red-700' : ''}`}>
+        <div className="flex items-center justify-between gap-3">
+          <span className="text-white flex items-center gap-2">
+            {item.text}{item.aiProposed && renderAiProposedBadge()}{item.aiExtracted && renderAiExtractedBadge()}
+            {overdue > 0 && (
+              <span className="text-xs bg-red-600 text-white px-2 py-0.5 rounded-full whitespace-nowrap">⏰ {overdueLabel(overdue)}</span>
+            )}
+          </span>
+          <select
+            value={item.status}
+            onChange={(e) => updateMonitoringStatus(type, item.id, e.target.value)}
+            className={`rounded px-3 py-1 text-sm font-medium ${STATUS_SELECT_CLASSES[item.status] || STATUS_SELECT_CLASSES.pending}`}
+          >
+            <option value="pending">Pending</option>
+            <option value="inprogress">In Progress</option>
+            <option value="completed">Completed</option>
+            <option value="delayed">Delayed</option>
+          </select>
+          <button onClick={() => removeMonitoringItem(type, item.id)} className="text-slate-500 hover:text-red-400 text-sm" title={`Remove ${MONITORING_LIST_LABELS[type].toLowerCase()}`}>×</button>
+        </div>
+        {item.source && (
+          <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-slate-400">
+            <button
+              type="button"
+              onClick={() => setOpenCitationField(isSourceOpen ? null : sourceKey)}
+              className="bg-slate-700 hover:bg-slate-600 text-slate-200 px-2 py-0.5 rounded-full"
+              title={item.commencement ? 'Show the commencement clause in the uploaded Act' : 'Show the enabling provision in the uploaded Act'}
+            >
+              📜 {item.source.section || 'Source provision'}
+            </button>
+            {item.statutoryDeadline && <span>The Act says: {item.statutoryDeadline}</span>}
+            {item.commencement && <span>Commences: {commencementLabel(item.commencement)}</span>}
+          </div>
+        )}
+        {item.source && isSourceOpen && (
+          <div className="mt-2 bg-gray-50 border border-gray-200 rounded-lg p-3 text-sm">
+            {Number.isInteger(item.source.start) && documentText
+              ? renderPassage({ ...item.source, text: item.source.quote })
+              : <p className="text-gray-600 font-serif leading-relaxed">“{item.source.quote}”</p>}
+          </div>
+        )}
+        <div className={`grid gap-2 mt-2 ${type === 'secondaryLegislation' ? 'md:grid-cols-4' : 'md:grid-cols-3'}`}>
+          <label className="text-xs text-slate-400 flex flex-col gap-1">
+            Responsible agency
+            <input
+              type="text"
+              list="responsible-bodies"
+              value={item.agency || ''}
+              onChange={(e) => updateMonitoringItem(type, item.id, { agency: e.target.value })}
+              placeholder="e.g., Ministry of Environment"
+              className={`${dateClass} placeholder-gray-400`}
+            />
+          </label>
+          <label className="text-xs text-slate-400 flex flex-col gap-1">
+            Statutory deadline
+            <input
+              type="date"
+              value={item.deadline || ''}
+              onChange={(e) => updateMonitoringItem(type, item.id, { deadline: e.target.value })}
+              className={dateClass}
+            />
+          </label>
+          <label className="text-xs text-slate-400 flex flex-col gap-1">
+            Completed on
+            <input
+              type="date"
+              value={item.completedOn || ''}
+              onChange={(e) => updateMonitoringItem(type, item.id, { completedOn: e.target.value })}
+              className={dateClass}
+            />
+          </label>
+          {type === 'secondaryLegislation' && (
+            <label className="text-xs text-slate-400 flex flex-col gap-1">
+              Parliamentary procedure
+              <select
+                value={item.procedure || ''}
+                onChange={(e) => updateMonitoringItem(type, item.id, { procedure: e.target.value })}
+                className={dateClass}
+              >
+                <option value="">Not recorded</option>
+                {Object.entries(PROCEDURES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+            </label>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // A review, sunset, reporting or expiry provision with its trigger and a countdown to its due date
+  const renderReviewProvision = (item) => {
+    const inputClass = 'bg-white border border-gray-300 rounded px-2 py-1 text-sm text-gray-900 placeholder-gray-400 focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-all';
+    const trigger = item.trigger || {};
+    const update = (changes) => updateMonitoringItem('reviewProvisions', item.id, changes);
+    const updateTrigger = (changes) => update({ trigger: { ...trigger, ...changes } });
+    const due = reviewDueDate(item, context);
+    const countdown = due && countdownLabel(due.date);
+    const overdue = countdown?.endsWith('overdue');
+    const sourceKey = `source:${item.id}`;
+    const isSourceOpen = openCitationField === sourceKey;
+    const isPeriod = trigger.event === 'commencement' || trigger.event === 'assent';
+
+    return (
+      <div key={item.id} className={`bg-slate-900 rounded-lg p-3 ${overdue ? 'border border-red-700' : ''}`}>
+        <div className="flex items-center justify-between gap-3">
+          <span className="text-white flex items-center gap-2 flex-wrap">
+            {CLAUSE_TYPES[item.type] || CLAUSE_TYPES.review}{item.aiExtracted && renderAiExtractedBadge()}
+            {countdown && (
+              <span className={`text-xs px-2 py-0.5 rounded-full whitespace-nowrap ${overdue ? 'bg-red-600 text-white' : 'bg-blue-600 text-white'}`}>
+                ⏳ {countdown}
+              </span>
+            )}
+          </span>
+          <button onClick={() => removeMonitoringItem('reviewProvisions', item.id)} className="text-slate-500 hover:text-red-400 text-sm" title="Remove">×</button>
+        </div>
+        <p className="text-xs text-slate-400 mt-1">
+          {triggerLabel(trigger)}
+          {due ? ` • due ${due.date}${due.estimated ? ' (estimated - add the assent or commencement date in Setup)' : ''}` : ''}
+        </p>
+        {item.quote && (
+          <div className="mt-2 text-xs">
+            <button
+              type="button"
+              onClick={() => setOpenCitationField(isSourceOpen ? null : sourceKey)}
+              className="bg-slate-700 hover:bg-slate-600 text-slate-200 px-2 py-0.5 rounded-full"
+              title="Show the provision in the uploaded Act"
+            >
+              📜 {item.section || 'Source provision'}
+            </button>
+          </div>
+        )}
+        {item.quote && isSourceOpen && (
+          <div className="mt-2 bg-gray-50 border border-gray-200 rounded-lg p-3 text-sm">
+            {Number.isInteger(item.start) && documentText
+              ? renderPassage({ start: item.start, end: item.end, text: item.quote })
+              : <p className="text-gray-600 font-serif leading-relaxed">“{item.quote}”</p>}
+          </div>
+        )}
+        <div className="grid gap-2 mt-2 md:grid-cols-3">
+          <label className="text-xs text-slate-400 flex flex-col gap-1">
+            Type
+            <select value={item.type} onChange={(e) => update({ type: e.target.value })} className={inputClass}>
+              {Object.entries(CLAUSE_TYPES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </label>
+          <label className="text-xs text-slate-400 flex flex-col gap-1">
+            Obligated body
+            <input
+              type="text"
+              list="responsible-bodies"
+              value={item.obligatedBody || ''}
+              onChange={(e) => update({ obligatedBody: e.target.value })}
+              placeholder="e.g., Secretary of State"
+              className={inputClass}
+            />
+          </label>
+          <label className="text-xs text-slate-400 flex flex-col gap-1">
+            Section
+            <input
+              type="text"
+              value={item.section || ''}
+              onChange={(e) => update({ section: e.target.value })}
+              placeholder="e.g., Section 30(1)"
+              className={inputClass}
+            />
+          </label>
+        </div>
+        <label className="text-xs text-slate-400 flex flex-col gap-1 mt-2">
+          What it requires
+          <input
+            type="text"
+            value={item.description || ''}
+            onChange={(e) => update({ description: e.target.value })}
+            placeholder="e.g., Review of the operation of the Act, laid before Parliament"
+            className={inputClass}
+          />
+        </label>
+        <div className="grid gap-2 mt-2 md:grid-cols-3">
+          <label className="text-xs text-slate-400 flex flex-col gap-1">
+            Triggered
+            <select value={trigger.event || ''} onChange={(e) => updateTrigger({ event: e.target.value })} className={inputClass}>
+              <option value="">Not recorded</option>
+              {Object.entries(TRIGGER_EVENTS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </label>
+          {trigger.event === 'date' && (
+            <label className="text-xs text-slate-400 flex flex-col gap-1">
+              Date
+              <input type="date" value={trigger.date || ''} onChange={(e) => updateTrigger({ date: e.target.value })} className={inputClass} />
+            </label>
+          )}
+          {isPeriod && (
+            <>
+              <label className="text-xs text-slate-400 flex flex-col gap-1">
+                Years after
+                <input type="number" min="0" value={trigger.years || 0} onChange={(e) => updateTrigger({ years: Math.max(0, Number(e.target.value) || 0) })} className={inputClass} />
+              </label>
+              <label className="text-xs text-slate-400 flex flex-col gap-1">
+                Months after
+                <input type="number" min="0" value={trigger.months || 0} onChange={(e) => updateTrigger({ months: Math.max(0, Number(e.target.value) || 0) })} className={inputClass} />
+              </label>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  // A data indicator: unit, baseline, target, the observed series and its trend chart
+  const renderIndicator = (item) => {
+    const inputClass = 'bg-white border border-gray-300 rounded px-2 py-1 text-sm text-gray-900 placeholder-gray-400 focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-all';
+    const chart = indicatorChartSvg(item);
+    const observations = item.observations || [];
+    const draft = newObservations[item.id] || { date: '', value: '' };
+    const notice = indicatorNotices[item.id];
+    const update = (changes) => updateMonitoringItem('dataIndicators', item.id, changes);
+    const numberField = (label, field, placeholder) => (
+      <label className="text-xs text-slate-400 flex flex-col gap-1">
+        {label}
+        <input
+          type="number"
+          step="any"
+          value={item[field] ?? ''}
+          onChange={(e) => update({ [field]: parseIndicatorValue(e.target.value) })}
+          placeholder={placeholder}
+          className={inputClass}
+        />
+      </label>
+    );
+    const dateField = (label, field) => (
+      <label className="text-xs text-slate-400 flex flex-col gap-1">
+        {label}
+        <input
+          type="text"
+          value={item[field] || ''}
+          onChange={(e) => update({ [field]: e.target.value })}
+          onBlur={(e) => update({ [field]: normalizeIndicatorDate(e.target.value) || e.target.value.trim() })}
+          placeholder="YYYY or YYYY-MM-DD"
+          className={inputClass}
+        />
+      </label>
+    );
+
+    return (
+      <div key={item.id} className="bg-slate-900 rounded-lg p-4">
+        <div className="flex items-center justify-between gap-3">
+          <span className="text-white flex items-center gap-2">📊 {item.text}{item.aiProposed && renderAiProposedBadge()}</span>
+          <label className="text-xs bg-slate-700 hover:bg-slate-600 text-slate-200 px-3 py-1 rounded cursor-pointer whitespace-nowrap" title="Two columns: date, value. A header row is optional.">
+            ⬆ Import CSV
+            <input
+              type="file"
+              accept=".csv,text/csv,text/plain"
+              className="hidden"
+              onChange={(e) => {
+                importIndicatorCsv(item.id, e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mt-3">
+          <label className="text-xs text-slate-400 flex flex-col gap-1">
+            Unit
+            <input
+              type="text"
+              value={item.unit || ''}
+              onChange={(e) => update({ unit: e.target.value })}
+              placeholder="e.g., %, cases, days"
+              className={inputClass}
+            />
+          </label>
+          {numberField('Baseline value', 'baselineValue', 'e.g., 40')}
+          {dateField('Baseline date', 'baselineDate')}
+          {numberField('Target value', 'targetValue', 'e.g., 75')}
+          {dateField('Target date', 'targetDate')}
+        </div>
+
+        <div className="mt-3">
+          <p className="text-xs text-slate-400 mb-1">Observed values</p>
+          {observations.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-2">
+              {observations.map(o => (
+                <span key={o.date} className="bg-slate-800 text-slate-300 px-2 py-1 rounded text-xs flex items-center gap-1">
+                  {o.date}: {o.value.toLocaleString('en')}{item.unit ? ` ${item.unit}` : ''}
+                  <button onClick={() => removeObservation(item.id, o.date)} className="text-slate-500 hover:text-red-400" title="Remove">×</button>
+                </span>
+              ))}
+            </div>
+          )}
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={draft.date}
+              onChange={(e) => setNewObservations(prev => ({ ...prev, [item.id]: { ...draft, date: e.target.value } }))}
+              placeholder="Date (YYYY or YYYY-MM-DD)"
+              className={`${inputClass} w-48`}
+            />
+            <input
+              type="text"
+              inputMode="decimal"
+              value={draft.value}
+              onChange={(e) => setNewObservations(prev => ({ ...prev, [item.id]: { ...draft, value: e.target.value } }))}
+              onKeyDown={(e) => e.key === 'Enter' && addObservation(item.id)}
+              placeholder="Value"
+              className={`${inputClass} w-32`}
+            />
+            <button onClick={() => addObservation(item.id)} className="text-sm bg-emerald-600 hover:bg-emerald-500 text-white px-3 py-1 rounded">
+              Add
+            </button>
+          </div>
+          {notice && (
+            <p className={`text-xs mt-2 ${notice.type === 'error' ? 'text-red-400' : 'text-emerald-400'}`}>
+              {notice.type === 'error' ? '⚠️' : '✓'} {notice.text}
+            </p>
+          )}
+        </div>
+
+        {chart && (
+          <div className="mt-3 bg-white rounded-lg p-2 [&>svg]:w-full [&>svg]:h-auto" dangerouslySetInnerHTML={{ __html: chart }} />
+        )}
+        <p className="text-sm text-slate-300 mt-2">{describeProgress(item)}</p>
+      </div>
+    );
+  };
+
+  // Gantt view of dated items against the Act's enactment year
+  const renderImplementationTimeline = () => {
+    const timeline = buildTimeline(monitoring, context.legislationYear);
+    if (!timeline) return null;
+    const labelEvery = Math.ceil(timeline.years.length / 12);
+    return (
+      <div className="bg-gradient-to-r from-slate-800 to-slate-700 rounded-xl p-6 border border-slate-600">
+        <h4 className="text-white font-medium mb-1 flex items-center gap-2">
+          <span>🗓️</span> Implementation Timeline
+        </h4>
+        <p className="text-slate-400 text-xs mb-4">
+          Each bar runs from enactment{context.legislationYear ? ` (${context.legislationYear})` : ''} to completion, or to today while the item is open.
+          ◆ marks the statutory deadline.
+          {timeline.undated > 0 && ` ${timeline.undated} item${timeline.undated === 1 ? ' has' : 's have'} no dates yet.`}
+        </p>
+        <div className="space-y-2">
+          <div className="relative h-5 ml-[35%] text-xs text-slate-400">
+            {timeline.years.map((tick, i) => i % labelEvery === 0 && (
+              <span key={tick.year} className="absolute -translate-x-1/2" style={{ left: `${tick.position}%` }}>{tick.year}</span>
+            ))}
           </div>
+          {timeline.rows.map(({ item, list, overdue, deadlinePosition, completedPosition, endPosition }) => {
+            const start = timeline.enactedPosition;
+            const onTimeEnd = overdue ? deadlinePosition : endPosition;
+            return (
+              <div key={`${list}-${item.id}`} className="flex items-center gap-2">
+                <div className="w-[35%] text-sm text-slate-300 truncate" title={`${TRACKED_LISTS[list]}: ${item.text}${item.agency ? ` (${item.agency})` : ''}`}>
+                  {item.text}
+                </div>
+                <div className="relative flex-1 h-6 bg-slate-900 rounded">
+                  {timeline.years.map(tick => (
+                    <div key={tick.year} className="absolute top-0 bottom-0 border-l border-slate-800" style={{ left: `${tick.position}%` }} />
+                  ))}
+                  <div
+                    className={`absolute top-1.5 h-3 rounded ${item.status === 'completed' || completedPosition !== null ? 'bg-emerald-600' : item.status === 'inprogress' ? 'bg-amber-600' : 'bg-slate-500'}`}
+                    style={{ left: `${start}%`, width: `${Math.max(0.5, onTimeEnd - start)}%` }}
+                  />
+                  {overdue && (
+                    <div className="absolute top-1.5 h-3 bg-red-600 rounded-r" style={{ left: `${deadlinePosition}%`, width: `${Math.max(0.5, endPosition - deadlinePosition)}%` }} />
+                  )}
+                  {deadlinePosition !== null && (
+                    <span className="absolute top-0.5 -translate-x-1/2 text-xs text-white" style={{ left: `${deadlinePosition}%` }} title={`Deadline ${item.deadline}`}>◆</span>
+                  )}
+                  {completedPosition !== null && (
+                    <span className="absolute top-0.5 -translate-x-1/2 text-xs text-emerald-300" style={{ left: `${completedPosition}%` }} title={`Completed ${item.completedOn}`}>✓</span>
+                  )}
+                  <div className="absolute top-0 bottom-0 border-l-2 border-amber-400" style={{ left: `${timeline.todayPosition}%` }} title={`Today (${todayIso()})`} />
+                </div>
+              </div>
+            );
+          })}
         </div>
-      )}
+        <div className="flex flex-wrap gap-4 mt-4 text-xs text-slate-400">
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-emerald-600" /> Completed</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-amber-600" /> In progress</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-slate-500" /> Pending or delayed</span>
+          <span className="flex items-center gap-1"><span className="w-3 h-3 rounded bg-red-600" /> Overdue</span>
+          <span className="flex items-center gap-1"><span className="w-0.5 h-3 bg-amber-400" /> Today</span>
+        </div>
+      </div>
+    );
+  };
 
-      {renderNavButtons()}
-    </div>
-  );
+  // Share of required secondary legislation adopted, on time or late, overall and per agency
+  const renderAdoptionBarometer = () => {
+    const barometer = adoptionBarometer(monitoring.secondaryLegislation);
+    if (!barometer) return null;
+    const hasAgencies = monitoring.secondaryLegislation.some(item => item.agency?.trim());
+    const hasDates = monitoring.secondaryLegislation.some(item => item.deadline || item.completedOn);
+    return (
+      <div className="bg-gradient-to-r from-slate-800 to-slate-700 rounded-xl p-6 border border-slate-600">
+        <h4 className="text-white font-medium mb-1 flex items-center gap-2">
+          <span>🏛️</span> Regulation Adoption Barometer
+        </h4>
+        <p className="text-slate-400 text-xs mb-4">
+          How much of the secondary legislation the Act requires has been adopted, and whether it came on time.
+        </p>
+        <div className="flex items-center gap-3 mb-4">
+          <div className="flex-1 h-3 bg-slate-900 rounded-full overflow-hidden">
+            <div className="h-full bg-emerald-500" style={{ width: `${barometer.adoptedPercent}%` }} />
+          </div>
+          <span className="text-2xl font-bold text-emerald-400">{barometer.adoptedPercent}%</span>
+          <span className="text-sm text-slate-400">{barometer.adopted} of {barometer.required} adopted</span>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-center">
+          <div className="bg-emerald-900/30 rounded-lg p-3">
+            <div className="text-2xl font-bold text-emerald-400">{barometer.onTime}</div>
+            <div className="text-sm text-slate-400">Adopted on time</div>
+          </div>
+          <div className="bg-amber-900/30 rounded-lg p-3">
+            <div className="text-2xl font-bold text-amber-400">{barometer.late}</div>
+            <div className="text-sm text-slate-400">Adopted late</div>
+          </div>
+          <div className="bg-slate-800 rounded-lg p-3">
+            <div className="text-2xl font-bold text-slate-300">{delayLabel(barometer.averageDelay)}</div>
+            <div className="text-sm text-slate-400">Average delay</div>
+          </div>
+          <div className="bg-red-900/30 rounded-lg p-3">
+            <div className="text-2xl font-bold text-red-400">{barometer.overdue}</div>
+            <div className="text-sm text-slate-400">Overdue</div>
+          </div>
+        </div>
+        {barometer.undated > 0 && (
+          <p className="text-xs text-slate-400 mt-3">
+            {barometer.undated} adopted item{barometer.undated === 1 ? ' has' : 's have'} no deadline or adoption date, so {barometer.undated === 1 ? 'it is' : 'they are'} not counted as on time or late.
+          </p>
+        )}
+        {!hasDates && (
+          <p className="text-xs text-slate-400 mt-3">Add statutory deadlines and completion dates to see which regulations were adopted on time.</p>
+        )}
+        {hasAgencies ? (
+          <table className="w-full text-sm mt-4">
+            <thead>
+              <tr className="text-slate-400 text-xs text-left border-b border-slate-600">
+                <th className="py-2 font-medium">Agency</th>
+                <th className="py-2 font-medium">Adopted</th>
+                <th className="py-2 font-medium text-right">On time</th>
+                <th className="py-2 font-medium text-right">Late</th>
+                <th className="py-2 font-medium text-right">Overdue</th>
+                <th className="py-2 font-medium text-right">Average delay</th>
+              </tr>
+            </thead>
+            <tbody>
+              {barometer.agencies.map(a => (
+                <tr key={a.agency} className="border-b border-slate-700 text-slate-300">
+                  <td className="py-2 pr-3">{a.agency}</td>
+                  <td className="py-2 pr-3">
+                    <div className="flex items-center gap-2">
+                      <div className="w-24 h-2 bg-slate-900 rounded-full overflow-hidden">
+                        <div className="h-full bg-emerald-500" style={{ width: `${a.adoptedPercent}%` }} />
+                      </div>
+                      <span className="text-xs">{a.adopted}/{a.required} ({a.adoptedPercent}%)</span>
+                    </div>
+                  </td>
+                  <td className="py-2 text-right">{a.onTime}</td>
+                  <td className="py-2 text-right">{a.late}</td>
+                  <td className={`py-2 text-right ${a.overdue > 0 ? 'text-red-400 font-semibold' : ''}`}>{a.overdue}</td>
+                  <td className="py-2 text-right">{delayLabel(a.averageDelay)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-xs text-slate-400 mt-3">Record the responsible agency for each regulation to break the figures down by agency.</p>
+        )}
+      </div>
+    );
+  };
 
   const renderMonitoringTab = () => (
     <>
@@ -1137,9 +2752,11 @@ How can I help you today? You can ask me questions or upload a legislative text
           {aiSuggestions.monitoring && (
             <div className="bg-slate-900/50 rounded-lg p-4 mb-6 border border-amber-600/30">
               <h4 className="text-amber-400 font-medium mb-2">{aiSuggestions.monitoring.title}</h4>
+              {aiSuggestions.monitoring.notice && <p className="text-slate-400 text-xs mb-3">ℹ️ {aiSuggestions.monitoring.notice}</p>}
               <div className="text-slate-300 text-sm whitespace-pre-line mb-4">
                 {aiSuggestions.monitoring.content}
               </div>
+              {renderSuggestionItems('monitoring')}
               {aiSuggestions.monitoring.tips && aiSuggestions.monitoring.tips.length > 0 && (
                 <div className="bg-slate-800 rounded-lg p-3">
                   <h5 className="text-emerald-400 text-sm font-medium mb-2">💡 Tips:</h5>
@@ -1185,25 +2802,7 @@ How can I help you today? You can ask me questions or upload a legislative text
           </div>
           {monitoring.secondaryLegislation.length > 0 && (
             <div className="space-y-2">
-              {monitoring.secondaryLegislation.map((item) => (
-                <div key={item.id} className="flex items-center justify-between bg-slate-900 rounded-lg p-3">
-                  <span className="text-white">{item.text}</span>
-                  <select
-                    value={item.status}
-                    onChange={(e) => updateMonitoringStatus('secondaryLegislation', item.id, e.target.value)}
-                    className={`rounded px-3 py-1 text-sm font-medium ${item.status === 'completed' ? 'bg-emerald-600 text-white' :
-                      item.status === 'delayed' ? 'bg-red-600 text-white' :
-                        item.status === 'inprogress' ? 'bg-amber-600 text-white' :
-                          'bg-slate-700 text-slate-300'
-                      }`}
-                  >
-                    <option value="pending">Pending</option>
-                    <option value="inprogress">In Progress</option>
-                    <option value="completed">Completed</option>
-                    <option value="delayed">Delayed</option>
-                  </select>
-                </div>
-              ))}
+              {monitoring.secondaryLegislation.map(item => renderTrackedItem('secondaryLegislation', item))}
             </div>
           )}
         </div>
@@ -1239,25 +2838,7 @@ How can I help you today? You can ask me questions or upload a legislative text
           </div>
           {monitoring.implementationMilestones.length > 0 && (
             <div className="space-y-2">
-              {monitoring.implementationMilestones.map((item) => (
-                <div key={item.id} className="flex items-center justify-between bg-slate-900 rounded-lg p-3">
-                  <span className="text-white">{item.text}</span>
-                  <select
-                    value={item.status}
-                    onChange={(e) => updateMonitoringStatus('implementationMilestones', item.id, e.target.value)}
-                    className={`rounded px-3 py-1 text-sm font-medium ${item.status === 'completed' ? 'bg-emerald-600 text-white' :
-                      item.status === 'delayed' ? 'bg-red-600 text-white' :
-                        item.status === 'inprogress' ? 'bg-amber-600 text-white' :
-                          'bg-slate-700 text-slate-300'
-                      }`}
-                  >
-                    <option value="pending">Pending</option>
-                    <option value="inprogress">In Progress</option>
-                    <option value="completed">Completed</option>
-                    <option value="delayed">Delayed</option>
-                  </select>
-                </div>
-              ))}
+              {monitoring.implementationMilestones.map(item => renderTrackedItem('implementationMilestones', item))}
             </div>
           )}
         </div>
@@ -1292,12 +2873,8 @@ How can I help you today? You can ask me questions or upload a legislative text
             </button>
           </div>
           {monitoring.dataIndicators.length > 0 && (
-            <div className="flex flex-wrap gap-2">
-              {monitoring.dataIndicators.map((item) => (
-                <span key={item.id} className="bg-slate-900 text-slate-300 px-3 py-2 rounded-lg text-sm">
-                  📊 {item.text}
-                </span>
-              ))}
+            <div className="space-y-3">
+              {monitoring.dataIndicators.map(renderIndicator)}
             </div>
           )}
         </div>
@@ -1306,21 +2883,42 @@ How can I help you today? You can ask me questions or upload a legislative text
         <div className="bg-gradient-to-r from-slate-800 to-slate-700 rounded-xl p-6 border border-slate-600">
           <h4 className="text-white font-medium mb-3 flex items-center gap-2">
             <span>📅</span> Review Clauses / Sunset Provisions
+            {renderFieldBadge('reviewClauses')}
           </h4>
+          <p className="text-slate-400 text-sm mb-3">
+            Provisions that require the Act to be reviewed, reported on or renewed, with the time left until each falls due.
+          </p>
+          {monitoring.reviewProvisions.length > 0 && (
+            <div className="space-y-2 mb-3">
+              {monitoring.reviewProvisions.map(renderReviewProvision)}
+            </div>
+          )}
+          <button
+            onClick={addReviewProvision}
+            className="bg-emerald-600 hover:bg-emerald-500 text-white px-4 py-2 rounded-lg font-medium transition-all mb-3"
+          >
+            + Add provision
+          </button>
+          <label className="block text-xs text-slate-400 mb-1">Notes</label>
           <textarea
             value={monitoring.reviewClauses}
             onChange={(e) => setMonitoring({ ...monitoring, reviewClauses: e.target.value })}
-            placeholder="Does the legislation include any mandatory review dates, sunset clauses, or reporting requirements? List them here..."
+            placeholder="Anything else about mandatory review dates, sunset clauses, or reporting requirements..."
             rows={3}
             className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 text-gray-900 placeholder-gray-400 focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-all"
           />
+          {renderFieldDetails('reviewClauses')}
         </div>
 
+        {renderImplementationTimeline()}
+        {renderAdoptionBarometer()}
+        {renderResponsibleBodies()}
+
         {/* Summary Stats */}
         {(monitoring.secondaryLegislation.length > 0 || monitoring.implementationMilestones.length > 0) && (
           <div className="bg-gradient-to-r from-blue-900/50 to-indigo-900/50 rounded-xl p-6 border border-blue-700">
             <h4 className="text-lg font-semibold text-blue-400 mb-3">📊 Implementation Status Overview</h4>
-            <div className="grid grid-cols-4 gap-4 text-center">
+            <div className="grid grid-cols-5 gap-4 text-center">
               <div className="bg-slate-800 rounded-lg p-3">
                 <div className="text-2xl font-bold text-slate-300">
                   {[...monitoring.secondaryLegislation, ...monitoring.implementationMilestones].filter(i => i.status === 'pending').length}
@@ -1345,6 +2943,12 @@ How can I help you today? You can ask me questions or upload a legislative text
                 </div>
                 <div className="text-sm text-slate-400">Delayed</div>
               </div>
+              <div className="bg-red-900/50 rounded-lg p-3 border border-red-700">
+                <div className="text-2xl font-bold text-red-300">
+                  {[...monitoring.secondaryLegislation, ...monitoring.implementationMilestones].filter(i => overdueDays(i) > 0).length}
+                </div>
+                <div className="text-sm text-slate-400">Overdue</div>
+              </div>
             </div>
           </div>
         )}
@@ -1354,6 +2958,137 @@ How can I help you today? You can ask me questions or upload a legislative text
     </>
   );
 
+  // Structured recommendations, each checked against the SMART tips in Box 12 of the 2023 Manual
+  const renderRecommendations = () => {
+    const fieldClass = 'w-full bg-white border border-gray-300 rounded-lg px-3 py-2 text-sm text-gray-900 placeholder-gray-400 focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-all';
+    return (
+      <div>
+        <div className="flex justify-between items-end mb-2">
+          <div>
+            <label className="block text-sm font-medium text-slate-300">Recommendations</label>
+            <p className="text-slate-400 text-xs mt-1">
+              Address each recommendation to a specific body and say what should change, how it will be followed up and by when (Box 12 of the 2023 Manual).
+            </p>
+          </div>
+          <button
+            onClick={addRecommendation}
+            className="bg-emerald-600 hover:bg-emerald-500 text-white px-4 py-2 rounded-lg text-sm font-medium transition-all whitespace-nowrap"
+          >
+            + Add Recommendation
+          </button>
+        </div>
+
+        {renderResponsibleBodies()}
+
+        {assessment.recommendations.length === 0 && (
+          <p className="text-slate-500 text-sm italic">No recommendations yet.</p>
+        )}
+        <div className="space-y-4">
+          {assessment.recommendations.map((rec, index) => {
+            const warnings = checkRecommendation(rec);
+            const problems = SMART_CRITERIA.flatMap(criterion => warnings[criterion.id]);
+            return (
+              <div key={rec.id} className="bg-slate-900 rounded-lg p-4 border border-slate-700">
+                <div className="flex items-center justify-between mb-3">
+                  <span className="text-amber-400 font-medium">Recommendation {index + 1}</span>
+                  <div className="flex items-center gap-1">
+                    {SMART_CRITERIA.map(criterion => {
+                      const met = warnings[criterion.id].length === 0;
+                      return (
+                        <span
+                          key={criterion.id}
+                          title={`${criterion.label}: ${met ? criterion.hint : warnings[criterion.id].join(' ')}`}
+                          className={`w-6 h-6 flex items-center justify-center rounded text-xs font-bold ${met ? 'bg-emerald-600 text-white' : 'bg-slate-700 text-slate-400'}`}
+                        >
+                          {criterion.letter}
+                        </span>
+                      );
+                    })}
+                    <button onClick={() => removeRecommendation(rec.id)} className="text-red-400 hover:text-red-300 ml-3 text-sm">
+                      Remove
+                    </button>
+                  </div>
+                </div>
+
+                <div className="grid md:grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-xs text-slate-400 mb-1">Addressed to</label>
+                    <input
+                      type="text"
+                      list="responsible-bodies"
+                      value={rec.addressee}
+                      onChange={(e) => updateRecommendation(rec.id, { addressee: e.target.value })}
+                      placeholder="e.g., Ministry of Environment"
+                      className={fieldClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-slate-400 mb-1">Deadline</label>
+                    <input
+                      type="text"
+                      value={rec.deadline}
+                      onChange={(e) => updateRecommendation(rec.id, { deadline: e.target.value })}
+                      placeholder="e.g., By 31 March 2027, within 6 months, short-term"
+                      className={fieldClass}
+                    />
+                  </div>
+                  <div className="md:col-span-2">
+                    <label className="block text-xs text-slate-400 mb-1">Action</label>
+                    <textarea
+                      value={rec.action}
+                      onChange={(e) => updateRecommendation(rec.id, { action: e.target.value })}
+                      placeholder="e.g., Lay the outstanding Emissions Reporting Regulations before Parliament"
+                      rows={2}
+                      className={fieldClass}
+                    />
+                  </div>
+                  <div className="md:col-span-2">
+                    <label className="block text-xs text-slate-400 mb-1">Measure / follow-up</label>
+                    <input
+                      type="text"
+                      value={rec.measure}
+                      onChange={(e) => updateRecommendation(rec.id, { measure: e.target.value })}
+                      placeholder="e.g., Regulations in force; committee to request a progress update in 6 months"
+                      className={fieldClass}
+                    />
+                  </div>
+                </div>
+
+                <div className="mt-3">
+                  <span className="block text-xs text-slate-400 mb-1">Evidence</span>
+                  {assessment.evidenceSources.length > 0 ? (
+                    <div className="flex flex-wrap gap-2">
+                      {assessment.evidenceSources.map(source => {
+                        const linked = (rec.evidence || []).includes(source);
+                        return (
+                          <button
+                            key={source}
+                            onClick={() => toggleRecommendationEvidence(rec, source)}
+                            className={`text-xs px-2 py-1 rounded-full border transition-all ${linked ? 'bg-purple-600 border-purple-500 text-white' : 'border-slate-600 text-slate-400 hover:border-slate-400'}`}
+                          >
+                            {linked ? '✓ ' : ''}{source}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  ) : (
+                    <p className="text-xs text-slate-500">List evidence sources above to link them here.</p>
+                  )}
+                </div>
+
+                {problems.length > 0 && (
+                  <ul className="mt-3 text-xs text-amber-400 space-y-1">
+                    {problems.map(problem => <li key={problem}>⚠️ {problem}</li>)}
+                  </ul>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  };
+
   const renderAssessmentTab = () => (
     <div className="space-y-6">
       <div className="bg-gradient-to-r from-slate-800 to-slate-700 rounded-xl p-6 border border-slate-600">
@@ -1386,6 +3121,7 @@ How can I help you today? You can ask me questions or upload a legislative text
         {aiSuggestions.assessment && (
           <div className="bg-slate-900/50 rounded-lg p-4 mb-6 border border-amber-600/30">
             <h4 className="text-amber-400 font-medium mb-2">{aiSuggestions.assessment.title}</h4>
+            {aiSuggestions.assessment.notice && <p className="text-slate-400 text-xs mb-3">ℹ️ {aiSuggestions.assessment.notice}</p>}
             <div className="text-slate-300 text-sm whitespace-pre-line mb-4">
               {aiSuggestions.assessment.content}
             </div>
@@ -1466,22 +3202,6 @@ How can I help you today? You can ask me questions or upload a legislative text
             </div>
           </div>
 
-          <div>
-            <label className="block text-sm font-medium text-slate-300 mb-1">
-              Recommendations
-            </label>
-            <p className="text-slate-400 text-xs mb-2">
-              Based on your assessment, what changes would you recommend?
-            </p>
-            <textarea
-              value={assessment.recommendations}
-              onChange={(e) => setAssessment({ ...assessment, recommendations: e.target.value })}
-              placeholder="Consider:&#10;- Amendments to the primary legislation&#10;- Changes to secondary legislation/regulations&#10;- Improved implementation guidance&#10;- Additional resources needed&#10;- Repeal or sunset provisions"
-              rows={5}
-              className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 text-gray-900 placeholder-gray-400 focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-all"
-            />
-          </div>
-
           <div>
             <label className="block text-sm font-medium text-slate-300 mb-1">
               Evidence Sources Used
@@ -1494,6 +3214,8 @@ How can I help you today? You can ask me questions or upload a legislative text
               className="w-full bg-white border border-gray-300 rounded-lg px-4 py-2 text-gray-900 placeholder-gray-400 focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-all"
             />
           </div>
+
+          {renderRecommendations()}
         </div>
       </div>
 
@@ -1501,7 +3223,169 @@ How can I help you today? You can ask me questions or upload a legislative text
     </div>
   );
 
-  // Send message to chatbot
+  // Post-report phase: the government's response to each recommendation and the committee's follow-up
+  const renderFollowUpTab = () => {
+    const today = todayIso();
+    const summary = followUpSummary(assessment, today);
+    const recommendations = assessment.recommendations.filter(r => r.action.trim());
+    const dateClass = 'bg-white border border-gray-300 rounded-lg px-3 py-2 text-sm text-gray-900 focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-all';
+
+    return (
+      <div className="space-y-6">
+        <div className="bg-gradient-to-r from-slate-800 to-slate-700 rounded-xl p-6 border border-slate-600">
+          <h3 className="text-xl font-semibold text-amber-400 flex items-center gap-2">
+            <span>📬</span> Government Response & Follow-up
+          </h3>
+          <p className="text-slate-300 text-sm mt-1 mb-6">
+            After the report is published the government is invited to "comply or explain" for each recommendation, and the committee
+            follows up on what it committed to (Steps 9 and 10 of the 2023 Manual).
+          </p>
+
+          <div className="grid md:grid-cols-2 gap-4 mb-6">
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">Report published</label>
+              <input
+                type="date"
+                value={assessment.reportPublished}
+                onChange={(e) => setAssessment({ ...assessment, reportPublished: e.target.value })}
+                className={`w-full ${dateClass}`}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">Government response due</label>
+              <input
+                type="date"
+                value={assessment.responseDue}
+                onChange={(e) => setAssessment({ ...assessment, responseDue: e.target.value })}
+                className={`w-full ${dateClass}`}
+              />
+            </div>
+          </div>
+
+          {/* Dashboard */}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+            <div className={`rounded-lg p-4 text-center ${summary.awaiting > 0 && summary.responseDaysOverdue > 0 ? 'bg-red-900/50 border border-red-700' : 'bg-slate-900'}`}>
+              <div className="text-2xl font-bold text-white">{summary.awaiting}</div>
+              <div className="text-xs text-slate-400">Awaiting response</div>
+              {summary.awaiting > 0 && summary.responseDaysOverdue > 0 && (
+                <div className="text-xs text-red-400 mt-1">{overdueLabel(summary.responseDaysOverdue)}</div>
+              )}
+            </div>
+            {Object.entries(RESPONSE_DECISIONS).map(([decision, label]) => (
+              <div key={decision} className="bg-slate-900 rounded-lg p-4 text-center">
+                <div className="text-2xl font-bold text-white">{summary.decisions[decision]}</div>
+                <div className="text-xs text-slate-400">{label}</div>
+              </div>
+            ))}
+            <div className="bg-slate-900 rounded-lg p-4 text-center">
+              <div className="text-2xl font-bold text-emerald-400">{summary.implemented}</div>
+              <div className="text-xs text-slate-400">Implemented</div>
+            </div>
+          </div>
+
+          {(summary.followUpsDue.length > 0 || (summary.awaiting > 0 && summary.responseDaysOverdue > 0)) && (
+            <div className="mt-4 bg-red-900/30 border border-red-700 rounded-lg p-4">
+              <h4 className="text-red-300 font-medium mb-2">⏰ Needs chasing</h4>
+              <ul className="text-sm text-slate-300 space-y-1">
+                {summary.responseDaysOverdue > 0 && summary.outstanding.map(({ number, recommendation, daysOverdue }) => (
+                  <li key={`response-${recommendation.id}`}>
+                    <strong className="text-white">Recommendation {number}</strong> - no government response, {overdueLabel(daysOverdue)}
+                  </li>
+                ))}
+                {summary.followUpsDue.map(({ number, recommendation, daysOverdue }) => (
+                  <li key={`followup-${recommendation.id}`}>
+                    <strong className="text-white">Recommendation {number}</strong> - follow-up {overdueLabel(daysOverdue)}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-gradient-to-r from-slate-800 to-slate-700 rounded-xl p-6 border border-slate-600">
+          <h4 className="text-white font-medium mb-3 flex items-center gap-2">
+            <span>📋</span> Responses by Recommendation
+          </h4>
+          {recommendations.length === 0 ? (
+            <p className="text-slate-500 text-sm italic">Add recommendations on the Impact Assessment tab to track the government's response to them.</p>
+          ) : (
+            <div className="space-y-3">
+              {recommendations.map(rec => {
+                const response = { ...emptyResponse(), ...rec.response };
+                const number = assessment.recommendations.indexOf(rec) + 1;
+                return (
+                  <div key={rec.id} className="bg-slate-900 rounded-lg p-4">
+                    <p className="text-white text-sm mb-3">
+                      <span className="text-amber-400 font-medium">{number}.</span>{' '}
+                      {rec.addressee.trim() && <strong>{rec.addressee.trim()}: </strong>}{rec.action.trim()}
+                    </p>
+                    <div className="grid md:grid-cols-4 gap-3 items-end">
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Response received</label>
+                        <input
+                          type="date"
+                          value={response.received}
+                          onChange={(e) => updateRecommendationResponse(rec.id, { received: e.target.value })}
+                          className={`w-full ${dateClass}`}
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Government position</label>
+                        <select
+                          value={response.decision}
+                          onChange={(e) => updateRecommendationResponse(rec.id, { decision: e.target.value })}
+                          className={`w-full rounded px-3 py-2 text-sm font-medium ${DECISION_SELECT_CLASSES[response.decision]}`}
+                        >
+                          <option value="">Awaiting response</option>
+                          {Object.entries(RESPONSE_DECISIONS).map(([decision, label]) => (
+                            <option key={decision} value={decision}>{label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Implementation</label>
+                        <select
+                          value={response.implementationStatus}
+                          onChange={(e) => updateRecommendationResponse(rec.id, { implementationStatus: e.target.value })}
+                          disabled={response.decision === 'rejected'}
+                          className={`w-full rounded px-3 py-2 text-sm font-medium disabled:opacity-50 ${STATUS_SELECT_CLASSES[response.implementationStatus]}`}
+                        >
+                          <option value="pending">Pending</option>
+                          <option value="inprogress">In Progress</option>
+                          <option value="completed">Completed</option>
+                          <option value="delayed">Delayed</option>
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-xs text-slate-400 mb-1">Follow up on</label>
+                        <input
+                          type="date"
+                          value={response.followUpDate}
+                          onChange={(e) => updateRecommendationResponse(rec.id, { followUpDate: e.target.value })}
+                          className={`w-full ${dateClass}`}
+                        />
+                      </div>
+                    </div>
+                    <input
+                      type="text"
+                      value={response.notes}
+                      onChange={(e) => updateRecommendationResponse(rec.id, { notes: e.target.value })}
+                      placeholder="What the government committed to, or why it declined"
+                      className="w-full mt-3 bg-white border border-gray-300 rounded-lg px-3 py-2 text-sm text-gray-900 placeholder-gray-400 focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-all"
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {renderNavButtons()}
+      </div>
+    );
+  };
+
+  // Send message to chatbot, rendering the reply token-by-token as it streams in
   const sendChatMessage = async (message) => {
     if (!message.trim()) return;
 
@@ -1510,34 +3394,62 @@ How can I help you today? You can ask me questions or upload a legislative text
     setChatMessages(prev => [...prev, userMessage]);
     setChatInput('');
     setIsChatLoading(true);
+    setIsChatStreaming(false);
+
+    const controller = new AbortController();
+    chatAbortRef.current = controller;
+    let started = false;
+    let replyText = '';
+
+    // Replace the in-progress assistant bubble, or append it on the first delta
+    const showReply = (content) => {
+      const replace = started;
+      started = true;
+      setChatMessages(prev => replace
+        ? [...prev.slice(0, -1), { role: 'assistant', content }]
+        : [...prev, { role: 'assistant', content }]);
+    };
 
     try {
-      const apiBase = import.meta.env.DEV ? 'http://localhost:3001' : '';
-      const response = await fetch(`${apiBase}/api/chat`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
+      await streamChatMessage(
+        {
           messages: [...chatMessages, userMessage],
           documentText: chatDocumentText,
           context: context // Pass legislation context
-        }),
-      });
-
-      const data = await response.json();
-
-      if (data.success) {
-        setChatMessages(prev => [...prev, { role: 'assistant', content: data.message }]);
+        },
+        {
+          signal: controller.signal,
+          onDelta: (_delta, fullText) => {
+            replyText = fullText;
+            setIsChatStreaming(true);
+            showReply(fullText);
+          },
+        }
+      );
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        showReply(started ? `${replyText}\n\n*Generation stopped.*` : '*Generation stopped.*');
+      } else if (error.incomplete && started) {
+        showReply(`${replyText}\n\n⚠️ *The connection dropped before this reply was complete.*`);
+      } else if (error instanceof TypeError) {
+        console.error('Chat error:', error);
+        setChatMessages(prev => [...prev, { role: 'assistant', content: '⚠️ Unable to connect to the assistant. Please check if the server is running.' }]);
       } else {
+        console.error('Chat error:', error);
         setChatMessages(prev => [...prev, { role: 'assistant', content: '⚠️ Sorry, I encountered an error. Please try again.' }]);
       }
-    } catch (error) {
-      console.error('Chat error:', error);
-      setChatMessages(prev => [...prev, { role: 'assistant', content: '⚠️ Unable to connect to the assistant. Please check if the server is running.' }]);
     } finally {
+      chatAbortRef.current = null;
       setIsChatLoading(false);
+      setIsChatStreaming(false);
     }
   };
 
+  // Abort the in-flight chat request; the server stops its upstream call when the connection closes
+  const stopChatGeneration = () => {
+    chatAbortRef.current?.abort();
+  };
+
   // Handle chat file upload
   const handleChatFileUpload = async (e) => {
     const file = e.target.files[0];
@@ -1602,7 +3514,7 @@ How can I help you today? You can ask me questions or upload a legislative text
           </div>
         ))}
 
-        {isChatLoading && (
+        {isChatLoading && !isChatStreaming && (
           <div className="flex justify-start">
             <div className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm">
               <div className="flex items-center gap-2 text-[#5f259f]">
@@ -1622,7 +3534,7 @@ How can I help you today? You can ask me questions or upload a legislative text
             <span className="text-xl">📎</span>
             <input
               type="file"
-              accept=".pdf,.doc,.docx,.txt"
+              accept=".pdf,.doc,.docx,.txt,.xml"
               onChange={handleChatFileUpload}
               className="hidden"
             />
@@ -1639,14 +3551,23 @@ How can I help you today? You can ask me questions or upload a legislative text
             disabled={isChatLoading}
           />
 
-          {/* Send Button */}
-          <button
-            onClick={() => sendChatMessage(chatInput)}
-            disabled={isChatLoading || !chatInput.trim()}
-            className="px-6 py-3 bg-[#5f259f] hover:bg-[#4c1d7f] disabled:bg-gray-300 text-white rounded-lg font-medium transition-colors"
-          >
-            Send
-          </button>
+          {/* Send / Stop Button */}
+          {isChatLoading ? (
+            <button
+              onClick={stopChatGeneration}
+              className="px-6 py-3 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 rounded-lg font-medium transition-colors whitespace-nowrap"
+            >
+              ⏹ Stop generating
+            </button>
+          ) : (
+            <button
+              onClick={() => sendChatMessage(chatInput)}
+              disabled={!chatInput.trim()}
+              className="px-6 py-3 bg-[#5f259f] hover:bg-[#4c1d7f] disabled:bg-gray-300 text-white rounded-lg font-medium transition-colors"
+            >
+              Send
+            </button>
+          )}
         </div>
 
         {/* Quick Actions */}
@@ -1680,22 +3601,134 @@ How can I help you today? You can ask me questions or upload a legislative text
     </div>
   );
 
-  const renderExportTab = () => (
-    <div className="space-y-6">
+  const renderTermsOfReference = () => {
+    const fieldClass = 'w-full bg-white border border-gray-300 rounded-lg px-4 py-2 text-gray-900 placeholder-gray-400 focus:border-purple-500 focus:ring-1 focus:ring-purple-500 transition-all';
+    return (
       <div className="bg-gradient-to-r from-slate-800 to-slate-700 rounded-xl p-6 border border-slate-600">
         <h3 className="text-xl font-semibold text-amber-400 mb-4 flex items-center gap-2">
-          <span>📄</span> Generate PLS Report
+          <span>📜</span> Terms of Reference
         </h3>
         <p className="text-slate-300 mb-6">
-          Compile your work into a structured Post-Legislative Scrutiny report that can be shared with your committee.
+          Draft the Terms of Reference your committee adopts to launch the inquiry: its scope, the questions it will address
+          (grouped under the headings of Box 7 of the 2023 WFD Manual), the witnesses it will hear from and its timeline.
+          The draft is built from your objectives, key questions, stakeholder map and consultation timeline - edit it freely before downloading.
         </p>
 
         <button
-          onClick={generateReport}
+          onClick={draftTerms}
           className="bg-amber-600 hover:bg-amber-500 text-white px-6 py-3 rounded-lg font-medium transition-all text-lg"
         >
-          📋 Generate Report Preview
+          {termsOfReference.draftedAt ? '🔄 Redraft from Project' : '📝 Draft Terms of Reference'}
         </button>
+
+        {termsOfReference.draftedAt && (
+          <div className="space-y-4 mt-6">
+            <p className="text-xs text-slate-400">Drafted {new Date(termsOfReference.draftedAt).toLocaleString()}. Your edits are saved with the project.</p>
+            <div>
+              <label className="block text-sm font-medium text-slate-300 mb-1">Scope of the Inquiry</label>
+              <textarea
+                value={termsOfReference.scope}
+                onChange={(e) => setTermsOfReference({ ...termsOfReference, scope: e.target.value })}
+                rows={5}
+                className={fieldClass}
+              />
+            </div>
+
+            <div>
+              <h4 className="text-sm font-medium text-slate-300 mb-1">Questions the Inquiry Will Address</h4>
+              <p className="text-xs text-slate-400 mb-3">
+                One question per line. Your key questions are sorted under the Box 7 headings; headings with none of your own start with Box 7's questions - delete any that don't apply.
+              </p>
+              <div className="grid md:grid-cols-2 gap-4">
+                {TOR_QUESTION_CATEGORIES.map(category => (
+                  <div key={category.id}>
+                    <label className="block text-sm text-slate-300 mb-1">{category.label}</label>
+                    <textarea
+                      value={termsOfReference.questions[category.id] || ''}
+                      onChange={(e) => updateTermsQuestions(category.id, e.target.value)}
+                      placeholder={category.examples[0]}
+                      rows={4}
+                      className={fieldClass}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">Witnesses (one per line)</label>
+                <textarea
+                  value={termsOfReference.witnesses}
+                  onChange={(e) => setTermsOfReference({ ...termsOfReference, witnesses: e.target.value })}
+                  placeholder="Add stakeholders on the Stakeholder Mapping tab, or list witnesses here"
+                  rows={5}
+                  className={fieldClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-300 mb-1">Timeline</label>
+                <textarea
+                  value={termsOfReference.timeline}
+                  onChange={(e) => setTermsOfReference({ ...termsOfReference, timeline: e.target.value })}
+                  rows={5}
+                  className={fieldClass}
+                />
+              </div>
+            </div>
+
+            <div className="flex flex-wrap gap-3">
+              {Object.entries(reportFormats).map(([format, { label }]) => (
+                <button
+                  key={format}
+                  onClick={() => downloadReport(format, 'termsOfReference')}
+                  disabled={reportDownload !== null}
+                  className="bg-slate-900 hover:bg-slate-800 disabled:opacity-60 border border-slate-500 text-white px-4 py-2 rounded-lg font-medium transition-all"
+                >
+                  {reportDownload === `termsOfReference:${format}` ? '⏳ Preparing...' : `⬇ ${label}`}
+                </button>
+              ))}
+            </div>
+            {reportDownloadError?.documentType === 'termsOfReference' && (
+              <p className="text-red-400 text-sm">⚠️ {reportDownloadError.message}</p>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderExportTab = () => (
+    <div className="space-y-6">
+      <div className="bg-gradient-to-r from-slate-800 to-slate-700 rounded-xl p-6 border border-slate-600">
+        <h3 className="text-xl font-semibold text-amber-400 mb-4 flex items-center gap-2">
+          <span>📄</span> Generate PLS Report
+        </h3>
+        <p className="text-slate-300 mb-6">
+          Compile your work into a structured Post-Legislative Scrutiny report that can be shared with your committee.
+        </p>
+
+        <div className="flex flex-wrap gap-3">
+          <button
+            onClick={generateReport}
+            className="bg-amber-600 hover:bg-amber-500 text-white px-6 py-3 rounded-lg font-medium transition-all text-lg"
+          >
+            📋 Generate Report Preview
+          </button>
+          {Object.entries(reportFormats).map(([format, { label }]) => (
+            <button
+              key={format}
+              onClick={() => downloadReport(format)}
+              disabled={reportDownload !== null}
+              className="bg-slate-900 hover:bg-slate-800 disabled:opacity-60 border border-slate-500 text-white px-6 py-3 rounded-lg font-medium transition-all text-lg"
+            >
+              {reportDownload === `report:${format}` ? '⏳ Preparing...' : `⬇ Download ${label}`}
+            </button>
+          ))}
+        </div>
+        {reportDownloadError?.documentType === 'report' && (
+          <p className="text-red-400 text-sm mt-3">⚠️ {reportDownloadError.message}</p>
+        )}
       </div>
 
       {exportReady && (
@@ -1764,7 +3797,10 @@ How can I help you today? You can ask me questions or upload a legislative text
                           item.status === 'delayed' ? 'text-red-600' :
                             item.status === 'inprogress' ? 'text-amber-600' :
                               'text-slate-500'
-                      }>{item.status}</span></li>
+                      }>{item.status}</span>
+                        {item.deadline && <span className="text-slate-500"> (due {item.deadline}{item.agency ? `, ${item.agency}` : ''})</span>}
+                        {overdueDays(item) > 0 && <span className="text-red-700 font-semibold"> - overdue</span>}
+                      </li>
                     ))}
                   </ul>
                 </div>
@@ -1779,15 +3815,41 @@ How can I help you today? You can ask me questions or upload a legislative text
                           item.status === 'delayed' ? 'text-red-600' :
                             item.status === 'inprogress' ? 'text-amber-600' :
                               'text-slate-500'
-                      }>{item.status}</span></li>
+                      }>{item.status}</span>
+                        {item.deadline && <span className="text-slate-500"> (due {item.deadline}{item.agency ? `, ${item.agency}` : ''})</span>}
+                        {overdueDays(item) > 0 && <span className="text-red-700 font-semibold"> - overdue</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {monitoring.dataIndicators.length > 0 && (
+                <div className="mb-3">
+                  <strong className="text-slate-800">Data Indicators:</strong>
+                  <ul className="list-disc list-inside text-slate-700">
+                    {monitoring.dataIndicators.map(item => (
+                      <li key={item.id}>{item.text} - <span className="text-slate-500">{describeProgress(item)}</span></li>
                     ))}
                   </ul>
                 </div>
               )}
-              {monitoring.reviewClauses && (
+              {(monitoring.reviewProvisions.length > 0 || monitoring.reviewClauses) && (
                 <div>
                   <strong className="text-slate-800">Review Clauses:</strong>
-                  <p className="text-slate-700">{monitoring.reviewClauses}</p>
+                  {monitoring.reviewProvisions.length > 0 && (
+                    <ul className="list-disc list-inside text-slate-700">
+                      {monitoring.reviewProvisions.map(item => {
+                        const due = reviewDueDate(item, context);
+                        return (
+                          <li key={item.id}>
+                            {CLAUSE_TYPES[item.type] || CLAUSE_TYPES.review}{item.section && ` (${item.section})`} - {triggerLabel(item.trigger)}
+                            {due && <span className="text-slate-500"> - due {due.date}{due.estimated ? ' (estimated)' : ''}, {countdownLabel(due.date)}</span>}
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  )}
+                  {monitoring.reviewClauses && <p className="text-slate-700">{monitoring.reviewClauses}</p>}
                 </div>
               )}
             </section>
@@ -1819,8 +3881,19 @@ How can I help you today? You can ask me questions or upload a legislative text
 
             <section>
               <h3 className="text-lg font-semibold text-slate-800 border-b border-slate-200 pb-1 mb-2">6. Recommendations</h3>
-              {assessment.recommendations ? (
-                <p className="text-slate-700 whitespace-pre-line">{assessment.recommendations}</p>
+              {assessment.recommendations.some(r => r.action.trim()) ? (
+                <ol className="list-decimal list-inside text-slate-700 space-y-2">
+                  {assessment.recommendations.filter(r => r.action.trim()).map(r => (
+                    <li key={r.id}>
+                      {r.addressee.trim() && <strong>{r.addressee.trim()}: </strong>}{r.action.trim()}
+                      {(r.measure.trim() || r.deadline.trim()) && (
+                        <p className="text-slate-500 text-xs ml-5">
+                          {[r.measure.trim() && `Measure: ${r.measure.trim()}`, r.deadline.trim() && `Deadline: ${r.deadline.trim()}`].filter(Boolean).join(' • ')}
+                        </p>
+                      )}
+                    </li>
+                  ))}
+                </ol>
               ) : (
                 <p className="text-slate-500 italic">No recommendations provided.</p>
               )}
@@ -1843,6 +3916,8 @@ How can I help you today? You can ask me questions or upload a legislative text
           </div>
         </div>
       )}
+
+      {renderTermsOfReference()}
     </div>
   );
 
@@ -1966,11 +4041,13 @@ How can I help you today? You can ask me questions or upload a legislative text
         {/* PLS Tool Sub-tabs */}
         {mainTab === 'tool' && (
           <>
+            {renderProjectBar()}
             {activeTab === 'setup' && renderSetupTab()}
             {activeTab === 'stakeholders' && renderStakeholdersTab()}
             {activeTab === 'consultation' && renderConsultationTab()}
             {activeTab === 'monitoring' && renderMonitoringTab()}
             {activeTab === 'assessment' && renderAssessmentTab()}
+            {activeTab === 'followup' && renderFollowUpTab()}
             {activeTab === 'export' && renderExportTab()}
           </>
         )}
@@ -2194,8 +4271,9 @@ How can I help you today? You can ask me questions or upload a legislative text
                     <div>
                       <h3 className="font-semibold text-blue-800">Summary</h3>
                       <p className="text-blue-700 text-sm mt-1">
-                        Your data is processed locally and through the Anthropic API.
+                        Your data is processed locally and through the AI provider the server is configured with (the Anthropic API by default).
                         <strong> Anthropic does not use data submitted through its API to train models</strong> when using our configuration.
+                        Projects you share are stored on the server.
                       </p>
                     </div>
                   </div>
@@ -2208,8 +4286,9 @@ How can I help you today? You can ask me questions or upload a legislative text
                     <h4 className="font-semibold text-gray-800 mb-2">🖥️ Local Browser Storage</h4>
                     <p className="text-gray-700 text-sm">
                       All form data you enter (legislation details, stakeholder information, consultation plans, etc.)
-                      is stored <strong>locally in your browser's session</strong>. This data is not sent to any server
-                      except when you actively use the PLS Assistant chat feature.
+                      is saved automatically as a project <strong>in your browser's local storage (IndexedDB) on this device</strong>,
+                      so you can return to a review over several weeks. It stays there until you delete the project.
+                      This data is not sent to any server except when you actively use AI features.
                     </p>
                   </div>
 
@@ -2225,9 +4304,14 @@ How can I help you today? You can ask me questions or upload a legislative text
                   <div className="bg-gray-50 rounded-lg p-4 mb-4">
                     <h4 className="font-semibold text-gray-800 mb-2">📄 Uploaded Documents</h4>
                     <p className="text-gray-700 text-sm">
-                      Documents you upload are processed locally in your browser to extract text.
-                      The extracted text may be sent to Anthropic when using AI-powered features
-                      (extraction or chat). Documents are not stored on any server.
+                      Documents you upload are processed locally in your browser to extract text, and are kept with
+                      the project in your browser's storage. When you use AI-powered features (extraction, suggestions
+                      or chat), the extracted text is sent to the AI provider the server is configured with: Anthropic
+                      by default, or an OpenAI-compatible endpoint, which may be a model running on your own network.
+                      If the server records replies for testing (LLM_RECORD_FIXTURES=1), the requests, including
+                      document text, are also written to files in its fixtures/llm folder. When you 🌐 Share a project,
+                      the full document text and all your wizard data are saved in the server's project store, where
+                      anyone using the same server can open them until the project is deleted.
                     </p>
                   </div>
 
@@ -2244,7 +4328,7 @@ How can I help you today? You can ask me questions or upload a legislative text
                     </p>
                   </div>
 
-                  <p className="text-gray-700 mb-4">When you interact with the PLS Assistant, the following data is sent to Anthropic:</p>
+                  <p className="text-gray-700 mb-4">When you interact with the PLS Assistant, the following data is sent to the configured AI provider (Anthropic by default):</p>
                   <ul className="list-disc list-inside text-gray-700 space-y-2 mb-4">
                     <li>Your chat messages and conversation history</li>
                     <li>Uploaded document text (when relevant to the conversation)</li>
@@ -2262,7 +4346,7 @@ How can I help you today? You can ask me questions or upload a legislative text
                     <tbody>
                       <tr>
                         <td className="border border-gray-200 px-4 py-2">Form data (PLS Tool)</td>
-                        <td className="border border-gray-200 px-4 py-2">Browser session only</td>
+                        <td className="border border-gray-200 px-4 py-2">This browser, until you delete the project</td>
                       </tr>
                       <tr>
                         <td className="border border-gray-200 px-4 py-2">Chat history</td>
@@ -2270,7 +4354,15 @@ How can I help you today? You can ask me questions or upload a legislative text
                       </tr>
                       <tr>
                         <td className="border border-gray-200 px-4 py-2">Uploaded documents</td>
-                        <td className="border border-gray-200 px-4 py-2">Not stored (processed locally)</td>
+                        <td className="border border-gray-200 px-4 py-2">This browser, with the project. Shared projects also keep it on the server until they are deleted</td>
+                      </tr>
+                      <tr>
+                        <td className="border border-gray-200 px-4 py-2">Shared projects</td>
+                        <td className="border border-gray-200 px-4 py-2">The server's project store, until someone deletes the project</td>
+                      </tr>
+                      <tr>
+                        <td className="border border-gray-200 px-4 py-2">Recorded AI fixtures</td>
+                        <td className="border border-gray-200 px-4 py-2">The server's fixtures/llm folder, only when LLM_RECORD_FIXTURES=1, until removed</td>
                       </tr>
                       <tr>
                         <td className="border border-gray-200 px-4 py-2">Anthropic API logs</td>
@@ -47,9 +47,103 @@ export async function extractLegislationWithAI(text, filename) {
         ...result.data,
         _method: result.method, // 'ai' or 'fallback'
         _warning: result.warning,
+        _sources: result.sources, // field -> indexes of the document chunks it came from
+        _citations: result.citations, // field -> { confidence, passages: [{ start, end, text }] }
+        _delegatedPowers: result.delegatedPowers || [], // [{ section, holder, instrument, purpose, procedure, deadline, quote, start, end }]
+        _reviewProvisions: result.reviewProvisions || [], // [{ type, description, obligatedBody, trigger, section, quote, start, end }]
+        _validationErrors: result.validationErrors || [], // [{ field, message }] left blank after failing schema checks
+        _chunks: result.chunks, // [{ index, start, end, heading }]
     };
 }
 
+/**
+ * Get AI suggestions for one PLS Tool tab ('stakeholders', 'consultation', 'monitoring' or 'assessment')
+ * tailored to the project's current state and the uploaded legislation.
+ * `options` lists the values the wizard accepts ({ stakeholderTypes, consultationMethods }).
+ * Resolves with { title, content, tips, items } where items are structured proposals to add.
+ */
+export async function getAISuggestions(section, project, documentText, options) {
+    const response = await fetch(`${API_BASE_URL}/api/suggest`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ section, project, documentText, options }),
+    });
+
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || 'Failed to generate suggestions');
+    }
+
+    return result.suggestions;
+}
+
+/**
+ * Stream a PLS Assistant reply over Server-Sent Events
+ * Calls onDelta(text) for each chunk of text as it arrives and resolves with the full reply.
+ * Rejects with `incomplete: true` if the stream closes before the server's done event.
+ * Pass an AbortSignal to stop generating; the server aborts its upstream request too.
+ */
+export async function streamChatMessage({ messages, documentText, context }, { onDelta, signal } = {}) {
+    const response = await fetch(`${API_BASE_URL}/api/chat/stream`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ messages, documentText, context }),
+        signal,
+    });
+
+    // Validation and configuration errors come back as plain JSON; a proxy in the way may answer with HTML
+    if (!response.ok || !response.headers.get('content-type')?.includes('text/event-stream')) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || `Chat failed (${response.status})`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let fullText = '';
+    let finished = false;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            let data = '';
+            for (const line of rawEvent.split('\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            }
+            if (!data) continue;
+            const payload = JSON.parse(data);
+
+            if (event === 'delta') {
+                fullText += payload.text;
+                onDelta?.(payload.text, fullText);
+            } else if (event === 'done') {
+                finished = true;
+            } else if (event === 'error') {
+                throw new Error(payload.error || 'Chat failed');
+            }
+        }
+    }
+
+    if (!finished) {
+        throw Object.assign(new Error('The connection closed before the reply was complete'), { incomplete: true });
+    }
+    return fullText;
+}
+
 /**
  * Fallback extraction using simple pattern matching (client-side)
  * Used when backend is not available
@@ -101,6 +195,8 @@ export function extractLegislationFallback(text, filename) {
     return {
         legislationTitle,
         legislationYear,
+        assentDate: '',
+        commencementDate: '',
         legislationSummary: legislationSummary || 'This legislation establishes a framework for governance in its designated policy area.',
         primaryObjectives: primaryObjectives || '• To be extracted from the document\n• Review the full text for specific objectives',
         implementingAgencies: implementingAgencies || 'Relevant government ministries and agencies',
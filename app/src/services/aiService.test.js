@@ -0,0 +1,38 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { streamChatMessage } from './aiService';
+
+const sse = (...events) => events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+
+const respondWith = (body, init) => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(body, init)));
+};
+
+const EVENT_STREAM = { headers: { 'Content-Type': 'text/event-stream' } };
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+describe('streamChatMessage', () => {
+    it('resolves with the full reply once the server is done', async () => {
+        respondWith(sse(['delta', { text: 'Section 3 ' }], ['delta', { text: 'requires a review.' }], ['done', {}]), EVENT_STREAM);
+        const onDelta = vi.fn();
+        await expect(streamChatMessage({ messages: [] }, { onDelta })).resolves.toBe('Section 3 requires a review.');
+        expect(onDelta).toHaveBeenLastCalledWith('requires a review.', 'Section 3 requires a review.');
+    });
+
+    it('rejects as incomplete when the stream ends without a done event', async () => {
+        respondWith(sse(['delta', { text: 'Section 3 ' }]), EVENT_STREAM);
+        await expect(streamChatMessage({ messages: [] })).rejects.toMatchObject({ incomplete: true });
+    });
+
+    it('reports the server error from a JSON reply', async () => {
+        respondWith(JSON.stringify({ success: false, error: 'Messages array is required' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+        await expect(streamChatMessage({ messages: [] })).rejects.toThrow('Messages array is required');
+    });
+
+    it('falls back to the status when the error body is not JSON', async () => {
+        respondWith('<html>Bad Gateway</html>', { status: 502, headers: { 'Content-Type': 'text/html' } });
+        await expect(streamChatMessage({ messages: [] })).rejects.toThrow('Chat failed (502)');
+    });
+});
@@ -0,0 +1,198 @@
+// Commencement
+// Acts often come into force in stages: some sections on Royal Assent, others after a set period
+// or on a fixed date, and the rest on a day a minister appoints by regulations or order. This reads
+// the commencement clauses in the Act's text and turns each one into an implementation milestone:
+// { id, text, status, deadline, completedOn, agency, sections,
+//   commencement: { trigger: 'assent' | 'period' | 'date' | 'regulations', date, years, months, days, holder },
+//   source: { section, start, end, quote } }
+// A milestone is completed once its provisions are known to be in force. Provisions waiting for
+// regulations stay pending until the clerk records the commencement order.
+
+import { addToDate, todayIso } from './dates';
+import { HOLDER, calendarDate, clean, findHeadings, followingSubsections, parseCount, provisionAround, sectionAt } from './legislationText';
+
+export const COMMENCEMENT_TRIGGERS = {
+    assent: 'On Royal Assent or publication',
+    period: 'A set period after Royal Assent',
+    date: 'On a fixed date',
+    regulations: 'By regulations or order',
+};
+
+const IN_FORCE = /\b(?:(?:shall|will|is\s+to|are\s+to)\s+)?(?:comes?|enters?|entry)\s+into\s+(?:force|operation|effect)\b|\b(?:shall\s+)?(?:takes?|take)\s+effect\b|\b(?:shall\s+)?commences?\s+(?=on\b)/gi;
+// What the clause brings into force has to name provisions, not just any "comes into force"
+const PROVISIONS = /\b(?:this\s+(?:Act|Law|section|Part|Chapter)|sections?|Parts?|Chapters?|Schedules?|articles?|provisions?|paragraphs?|subsections?)\b/i;
+const BY_REGULATIONS = new RegExp(String.raw`(?:\b(${HOLDER})\s+may\s+)?(?:by\s+(?:regulations?|order|notice|decree|proclamation|statutory\s+instrument)|appoints?\b)`, 'i');
+const DAY_AFTER = /\bday\s+(?:after|following)\b/i;
+const PERIOD = /\b(\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fourteen|fifteen|eighteen|twenty|twenty-one|twenty-four|twenty-eight|thirty|thirty-six|sixty|ninety)(?:\s*\(\d+\))?\s+(days?|weeks?|months?|years?)\b/i;
+const ASSENT = /\bRoyal\s+Assent|\bassent\b|\bis\s+passed\b|\bpassing\b|\benact|\bpublication\b|\bpublished\b/i;
+const LIST_ITEM = /^\s*\(([a-z]{1,4})\)\s*(.+?)[;,.]?\s*(?:and|or)?\s*$/;
+
+/**
+ * How a provision comes into force, read from the wording after "comes into force"
+ */
+export function parseCommencementTrigger(wording) {
+    const empty = { trigger: '', date: '', years: 0, months: 0, days: 0, holder: '' };
+    const regulations = wording.match(BY_REGULATIONS);
+    if (regulations) return { ...empty, trigger: 'regulations', holder: regulations[1] ? clean(regulations[1]).replace(/^the\s+/i, '') : '' };
+    const date = calendarDate(wording);
+    if (date) return { ...empty, trigger: 'date', date };
+    const period = wording.match(PERIOD);
+    const count = period && parseCount(period[1]);
+    if (count && ASSENT.test(wording)) {
+        const unit = period[2].toLowerCase();
+        if (unit.startsWith('year')) return { ...empty, trigger: 'period', years: count };
+        if (unit.startsWith('month')) return { ...empty, trigger: 'period', months: count };
+        return { ...empty, trigger: 'period', days: unit.startsWith('week') ? count * 7 : count };
+    }
+    if (DAY_AFTER.test(wording) && ASSENT.test(wording)) return { ...empty, trigger: 'period', days: 1 };
+    if (ASSENT.test(wording)) return { ...empty, trigger: 'assent' };
+    return empty;
+}
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// "(a) section 5;" lines that follow "The following provisions come into force..."
+function listedProvisions(text, offset) {
+    const items = [];
+    for (const line of followingSubsections(text, offset, 1200).split('\n')) {
+        const item = line.match(LIST_ITEM);
+        if (item) items.push(clean(item[2]));
+        else if (items.length > 0 && line.trim()) break;
+    }
+    return items.join(', ');
+}
+
+// The provisions a clause brings into force, from the words before "comes into force"
+function provisionsCovered(subject, text, to, section) {
+    const covered = clean(subject)
+        .replace(/^\(\w+\)\s*/, '')
+        .replace(/^(?:Subject\s+to|Except\s+(?:as\s+provided\s+(?:by|in)|for))\s+[^,]{1,120},\s*/i, '')
+        .replace(/[\s,:;—–-]+$/, '');
+    if (/^the\s+following\s+provisions/i.test(covered)) {
+        const listed = listedProvisions(text, to);
+        if (listed) return capitalize(listed);
+    }
+    const here = section.replace(/\(.*$/, '');
+    return capitalize(here ? covered.replace(/\bthis\s+section\b/i, here) : covered);
+}
+
+/**
+ * Find the commencement clauses of an Act, in document order, as
+ * { sections, trigger, date, years, months, days, holder, section, quote, start, end }
+ */
+export function detectCommencement(text) {
+    const clauses = [];
+    const seen = new Set();
+    const headings = findHeadings(text);
+    for (const match of text.matchAll(IN_FORCE)) {
+        const { from, to } = provisionAround(text, match.index, match.index + match[0].length);
+        const subject = text.slice(from, match.index);
+        if (seen.has(from) || !PROVISIONS.test(subject)) continue;
+        const found = parseCommencementTrigger(text.slice(match.index + match[0].length, to));
+        if (!found.trigger) continue;
+        seen.add(from);
+        const section = sectionAt(text, match.index, headings);
+        clauses.push({
+            sections: provisionsCovered(subject, text, to, section),
+            ...found,
+            section,
+            quote: clean(text.slice(from, to)),
+            start: from,
+            end: to,
+        });
+    }
+    return clauses;
+}
+
+/**
+ * When a commencement trigger brings provisions into force, as { date, estimated }, or null when
+ * that is not yet known (regulations, or Royal Assent without a date). A period runs from the
+ * assent date, or from 1 January of the year enacted as an estimate.
+ */
+export function commencementDate(commencement, { assentDate, legislationYear } = {}) {
+    const { trigger, date, years = 0, months = 0, days = 0 } = commencement || {};
+    if (trigger === 'date') return date ? { date, estimated: false } : null;
+    if (trigger !== 'assent' && trigger !== 'period') return null;
+    const year = Number.parseInt(legislationYear, 10);
+    const start = assentDate
+        ? { date: assentDate, estimated: false }
+        : year > 1800 ? { date: `${year}-01-01`, estimated: true } : null;
+    if (!start) return null;
+    return { date: addToDate(start.date, { years, months, days }), estimated: start.estimated };
+}
+
+/**
+ * Status, deadline and completion date for a commencement milestone as of `today`
+ * Provisions that commence on Royal Assent are in force: the Act under review has been passed.
+ */
+export function commencementStatus(commencement, context, today = todayIso()) {
+    const due = commencementDate(commencement, context);
+    if (!due) {
+        return { status: commencement?.trigger === 'assent' ? 'completed' : 'pending', deadline: '', completedOn: '' };
+    }
+    const exact = due.estimated ? '' : due.date;
+    return due.date <= today
+        ? { status: 'completed', deadline: exact, completedOn: exact }
+        : { status: 'pending', deadline: exact, completedOn: '' };
+}
+
+/**
+ * "On Royal Assent", "2 months after Royal Assent", "On 2026-04-01",
+ * "On a day appointed by the Secretary of State by regulations or order"
+ */
+export function commencementLabel(commencement = {}) {
+    const { trigger, date, years = 0, months = 0, days = 0, holder } = commencement;
+    const plural = (count, unit) => count > 0 && `${count} ${unit}${count === 1 ? '' : 's'}`;
+    switch (trigger) {
+        case 'assent': return 'On Royal Assent';
+        case 'date': return date ? `On ${date}` : 'On a date not yet recorded';
+        case 'period': {
+            const period = [plural(years, 'year'), plural(months, 'month'), plural(days, 'day')].filter(Boolean).join(' ');
+            return `${period || 'A period'} after Royal Assent`;
+        }
+        case 'regulations': return `On a day appointed${holder ? ` by the ${holder}` : ''} by regulations or order`;
+        default: return 'Commencement not recorded';
+    }
+}
+
+/**
+ * Implementation milestones for commencement clauses not already in the list
+ */
+export function commencementMilestones(clauses, existing = [], context = {}, nextId = () => Date.now(), today = todayIso()) {
+    const key = (text) => text.toLowerCase().replace(/[^\p{L}\d]+/gu, ' ').trim();
+    const known = new Set(existing.map(item => key(item.text)));
+    const knownSources = new Set(existing.filter(item => item.source).map(item => item.source.start));
+    const milestones = [];
+    for (const clause of clauses) {
+        const text = `Commencement: ${clause.sections || 'provisions'}`;
+        if (known.has(key(text)) || (clause.start !== null && knownSources.has(clause.start))) continue;
+        known.add(key(text));
+        const commencement = {
+            trigger: clause.trigger,
+            date: clause.date || '',
+            years: clause.years || 0,
+            months: clause.months || 0,
+            days: clause.days || 0,
+            holder: clause.holder || '',
+        };
+        milestones.push({
+            id: nextId(),
+            text,
+            ...commencementStatus(commencement, context, today),
+            agency: clause.trigger === 'regulations' ? clause.holder || '' : '',
+            sections: clause.sections || '',
+            commencement,
+            source: { section: clause.section || '', start: clause.start ?? null, end: clause.end ?? null, quote: clause.quote || '' },
+        });
+    }
+    return milestones;
+}
+
+/**
+ * The date the whole Act came into force, when one commencement clause covers it all
+ */
+export function actCommencementDate(clauses, context) {
+    const whole = clauses.find(clause => /^this\s+(?:Act|Law)$/i.test(clause.sections));
+    const due = whole && commencementDate(whole, context);
+    return due && !due.estimated ? due.date : '';
+}
@@ -0,0 +1,37 @@
+// Date helpers
+// Dates the user enters are kept as YYYY-MM-DD strings, the value format of <input type="date">,
+// so they save, export and compare without time-zone surprises.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Today's date in the user's time zone as YYYY-MM-DD
+ */
+export function todayIso(now = new Date()) {
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days `date` is past `today` (both YYYY-MM-DD); 0 or less when not yet due, null without a date
+ */
+export function daysOverdue(date, today = todayIso()) {
+    if (!date) return null;
+    const due = Date.parse(date);
+    if (Number.isNaN(due)) return null;
+    return Math.round((Date.parse(today) - due) / DAY_MS);
+}
+
+/**
+ * `date` (YYYY-MM-DD) moved on by whole years, months and days
+ */
+export function addToDate(date, { years = 0, months = 0, days = 0 } = {}) {
+    const [y, m, d] = date.split('-').map(Number);
+    return new Date(Date.UTC(y + years, m - 1 + months, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * "3 days overdue", "1 day overdue" or "due today"
+ */
+export function overdueLabel(days) {
+    return days > 0 ? `${days} day${days === 1 ? '' : 's'} overdue` : 'due today';
+}
@@ -0,0 +1,123 @@
+// Delegated Powers
+// Step 4 of the 2023 WFD Manual asks staff to review the secondary legislation an Act authorises
+// (Figure 5). This finds the enabling provisions in the Act's text - "the Minister may by
+// regulations...", "the Authority shall make rules..." - so they can be tracked as secondary
+// legislation. A power is
+// { section, holder, instrument, purpose, procedure: 'affirmative' | 'negative' | 'none', deadline, quote, start, end }
+// where start/end are offsets of the quote in the document text (null when it could not be found).
+// The AI extraction returns powers in the same shape; detectDelegatedPowers() is the pattern-matching
+// version used when it is not available.
+
+import { HOLDER, calendarDate, clean, findHeadings, followingSubsections, provisionAround, sectionAt } from './legislationText';
+
+export const PROCEDURES = {
+    affirmative: 'Affirmative procedure',
+    negative: 'Negative procedure',
+    none: 'No parliamentary procedure',
+};
+
+// How the power is exercised
+const ACTION = String.raw`(?:by\s+(?:regulations?|orders?|rules?|decrees?|notice|statutory\s+instrument)|make\s+(?:regulations?|rules?|orders?|by-?laws?|decrees?)|issue\s+(?:regulations?|rules?|orders?|decrees?|guidelines|directions|codes?\s+of\s+practice)|prescribe\b)`;
+
+const ENABLING_PATTERNS = [
+    // "The Minister may, after consulting the Board, by regulations prescribe..."
+    new RegExp(String.raw`\b(${HOLDER})\s+(?:may|shall|must|is\s+to)(?:\s*,[^,.;]{0,150},)?\s+(${ACTION})`, 'g'),
+    // "Regulations may be made by the Secretary of State..."
+    new RegExp(String.raw`\b((?:Regulations|Rules|Orders?|By-?laws|Decrees?))\s+(?:may|shall|must)\s+be\s+(?:made|issued)\s+by\s+(${HOLDER})`, 'g'),
+];
+
+const AFFIRMATIVE = /affirmative|approved\s+by\s+(?:a\s+)?resolution|draft[^.]{0,150}laid\s+before[^.]{0,150}approved|approval\s+of\s+(?:the\s+|each\s+)?(?:Parliament|National\s+Assembly|Assembly|House|Houses|Legislature)/i;
+const NEGATIVE = /negative\s+(?:resolution|procedure)|annul(?:led|ment)|disallow|laid\s+before\s+(?:the\s+|each\s+)?(?:Parliament|National\s+Assembly|Assembly|House|Houses|Legislature)/i;
+const DEADLINE = /\b(?:within\s+(?:a\s+period\s+of\s+)?[\w-]+(?:\s*\(\d+\))?\s+(?:days|weeks|months|years)\b[^.;]{0,80}|not\s+later\s+than\s+[^.;,]{3,60}|(?:before|by)\s+(?:the\s+)?\d{1,2}(?:st|nd|rd|th)?\s+[A-Z][a-z]+,?\s+\d{4})/i;
+
+// What the power is for, from the words after the enabling phrase, without its deadline
+function purposeOf(rest, deadline) {
+    return clean(deadline ? rest.replace(deadline, '') : rest)
+        .replace(/^(?:prescribe|make\s+provision\s+(?:for|about|as\s+to)|provide\s+for|specify|set\s+out|establish|determine|in\s+relation\s+to|with\s+respect\s+to|about|for|on|concerning|as\s+to|to)\s+/i, '')
+        .replace(/[\s.;:,]+$/, '')
+        .slice(0, 160);
+}
+
+const instrumentName = (word) => {
+    const lower = word.toLowerCase();
+    if (lower.startsWith('order')) return 'Order';
+    if (lower.startsWith('rule')) return 'Rules';
+    if (lower.startsWith('decree')) return 'Decree';
+    if (lower.startsWith('by')) return 'By-laws';
+    if (lower.startsWith('guideline')) return 'Guidelines';
+    if (lower.startsWith('direction')) return 'Directions';
+    if (lower.startsWith('code')) return 'Code of practice';
+    if (lower.startsWith('notice')) return 'Notice';
+    return 'Regulations';
+};
+
+/**
+ * The parliamentary procedure that applies to a power, judged from the provision's wording
+ */
+export function detectProcedure(provision) {
+    if (AFFIRMATIVE.test(provision)) return 'affirmative';
+    if (NEGATIVE.test(provision)) return 'negative';
+    return 'none';
+}
+
+/**
+ * Find enabling provisions in the text of an Act, in document order
+ */
+export function detectDelegatedPowers(text) {
+    const powers = [];
+    const seen = new Set();
+    const headings = findHeadings(text);
+    ENABLING_PATTERNS.forEach((pattern, kind) => {
+        for (const match of text.matchAll(pattern)) {
+            const { from, to } = provisionAround(text, match.index, match.index + match[0].length);
+            if (seen.has(from)) continue;
+            seen.add(from);
+            const quote = text.slice(from, to).trim();
+            const [holder, instrument] = kind === 0 ? [match[1], match[2]] : [match[2], match[1]];
+            // The procedure is often in a later subsection of the same provision
+            const provision = text.slice(from, to) + followingSubsections(text, to);
+            const deadline = quote.match(DEADLINE)?.[0] || '';
+            powers.push({
+                section: sectionAt(text, match.index, headings),
+                holder: clean(holder).replace(/^the\s+/i, ''),
+                instrument: instrumentName(clean(instrument).replace(/^(?:by|make|issue)\s+/i, '')),
+                purpose: purposeOf(text.slice(match.index + match[0].length, to), deadline),
+                procedure: detectProcedure(provision),
+                deadline: clean(deadline).replace(/,+$/, ''),
+                quote: clean(quote),
+                start: from,
+                end: to,
+            });
+        }
+    });
+    return powers.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Secondary legislation items for detected powers not already in the list
+ * Each item links back to its source: { section, start, end, quote }
+ */
+export function powersToSecondaryLegislation(powers, existing = [], nextId = () => Date.now(), extra = {}) {
+    const key = (text) => text.toLowerCase().replace(/[^\p{L}\d]+/gu, ' ').trim();
+    const known = new Set(existing.map(item => key(item.text)));
+    const knownSources = new Set(existing.filter(item => item.source).map(item => item.source.start));
+    const items = [];
+    for (const power of powers) {
+        const where = power.section ? ` under ${power.section}` : '';
+        const text = `${power.instrument || 'Regulations'}${where}${power.purpose ? `: ${power.purpose}` : ''}`;
+        if (known.has(key(text)) || (power.start !== null && knownSources.has(power.start))) continue;
+        known.add(key(text));
+        items.push({
+            id: nextId(),
+            text,
+            status: 'pending',
+            agency: power.holder || '',
+            deadline: calendarDate(power.deadline),
+            statutoryDeadline: power.deadline || '',
+            procedure: PROCEDURES[power.procedure] ? power.procedure : 'none',
+            source: { section: power.section || '', start: power.start ?? null, end: power.end ?? null, quote: power.quote || '' },
+            ...extra,
+        });
+    }
+    return items;
+}
@@ -1,33 +1,68 @@
 // Document Parser Service
-// Extracts text from PDF, Word, and text files
+// Extracts text from PDF, Word, text and legislation XML (Akoma Ntoso, CLML, USLM) files
 
 import * as pdfjsLib from 'pdfjs-dist';
 import mammoth from 'mammoth';
+import { parseLegislationXml } from './legislationXml';
 
 // Set up PDF.js worker - use unpkg CDN which mirrors npm directly
 // This ensures the worker version matches the installed package
 const PDFJS_VERSION = pdfjsLib.version;
 pdfjsLib.GlobalWorkerOptions.workerSrc = `https://unpkg.com/pdfjs-dist@${PDFJS_VERSION}/build/pdf.worker.min.mjs`;
 
+/**
+ * Rebuild a PDF page's lines from its text items. pdf.js marks the end of a line with hasEOL;
+ * a change of baseline also starts a new line, for files that do not set it. Headings stay on
+ * lines of their own so the document structure can be read back.
+ */
+function pageLines(items) {
+    let text = '';
+    let lastY = null;
+    for (const item of items) {
+        if (typeof item.str !== 'string') continue;
+        const y = item.transform?.[5];
+        const newLine = lastY !== null && y !== undefined && Math.abs(y - lastY) > 2;
+        if (text && !text.endsWith('\n')) {
+            if (newLine) text += '\n';
+            else if (item.str && !/\s$/.test(text) && !/^\s/.test(item.str)) text += ' ';
+        }
+        text += item.str;
+        if (item.hasEOL) text += '\n';
+        if (y !== undefined) lastY = y;
+    }
+    return text.replace(/[ \t]+\n/g, '\n').trimEnd();
+}
+
 /**
  * Extract text from a PDF file
+ * Returns { text, pages } where pages holds each page's character range in text
  */
 async function extractTextFromPDF(file) {
     const arrayBuffer = await file.arrayBuffer();
     const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
 
     let fullText = '';
+    const pages = [];
 
     for (let i = 1; i <= pdf.numPages; i++) {
         const page = await pdf.getPage(i);
         const textContent = await page.getTextContent();
-        const pageText = textContent.items
-            .map(item => item.str)
-            .join(' ');
+        const pageText = pageLines(textContent.items);
+        pages.push({ number: i, start: fullText.length, end: fullText.length + pageText.length });
         fullText += pageText + '\n\n';
     }
 
-    return fullText.trim();
+    // Keep page offsets aligned with the trimmed text
+    const leading = fullText.length - fullText.trimStart().length;
+    const text = fullText.trim();
+    return {
+        text,
+        pages: pages.map(p => ({
+            number: p.number,
+            start: Math.max(0, p.start - leading),
+            end: Math.min(text.length, Math.max(0, p.end - leading)),
+        })),
+    };
 }
 
 /**
@@ -47,26 +82,30 @@ async function extractTextFromTxt(file) {
 }
 
 /**
- * Main function to extract text from any supported file type
+ * Extract a document with its page layout from any supported file type
+ * Returns { text, pages }; pages is empty for formats without fixed pages. Legislation XML also
+ * returns the Act's marked-up structure and metadata as { structure, metadata }.
  */
-export async function extractTextFromDocument(file) {
+export async function extractDocument(file) {
     const fileName = file.name.toLowerCase();
 
     try {
         if (fileName.endsWith('.pdf')) {
             return await extractTextFromPDF(file);
         } else if (fileName.endsWith('.docx')) {
-            return await extractTextFromWord(file);
+            return { text: await extractTextFromWord(file), pages: [] };
         } else if (fileName.endsWith('.doc')) {
             // .doc files are legacy format, mammoth might not support them fully
             // Try mammoth first, fall back to error message
             try {
-                return await extractTextFromWord(file);
+                return { text: await extractTextFromWord(file), pages: [] };
             } catch (e) {
                 throw new Error('Legacy .doc format is not fully supported. Please convert to .docx or PDF.');
             }
         } else if (fileName.endsWith('.txt')) {
-            return await extractTextFromTxt(file);
+            return { text: await extractTextFromTxt(file), pages: [] };
+        } else if (fileName.endsWith('.xml')) {
+            return parseLegislationXml(await file.text());
         } else {
             throw new Error(`Unsupported file type: ${fileName}`);
         }
@@ -76,6 +115,22 @@ export async function extractTextFromDocument(file) {
     }
 }
 
+/**
+ * Main function to extract text from any supported file type
+ */
+export async function extractTextFromDocument(file) {
+    const { text } = await extractDocument(file);
+    return text;
+}
+
+/**
+ * Find the page number containing a character offset, or null when pages are unknown
+ */
+export function pageForOffset(pages, offset) {
+    const page = pages?.find(p => offset >= p.start && offset <= p.end);
+    return page ? page.number : null;
+}
+
 /**
  * Get basic info about the document
  */
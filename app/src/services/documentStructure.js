@@ -0,0 +1,166 @@
+// Document Structure
+// Reads the plain text of an Act back into its drafting structure: Parts (or Titles), Chapters,
+// Sections or Articles, numbered subsections and Schedules (or Annexes). Westminster-style Acts
+// ("PART 2", "5 Duty to supply water", "(1) ..."), civil-law codes ("Article 12") and Spanish-language
+// laws ("TÍTULO I", "CAPÍTULO II", "Artículo 3º") are recognised. The result is a tree of
+// { id, kind, number, heading, label, start, end, children }
+// where start/end are character offsets into the text. It drives the document outline on the
+// Setup tab and the section references shown next to every quoted passage.
+
+// Rank in the hierarchy: a node nests under the nearest open node of lower rank
+const RANKS = { schedule: 0, part: 1, chapter: 2, section: 3, subsection: 4 };
+
+const NUMBER = String.raw`(\d+[A-Z]?|[IVXLC]+|[A-Z]|(?:one|two|three|four|five|six|seven|eight|nine|ten|primero|segundo|tercero|cuarto|quinto|único|unico))`;
+// "PART 2", "Part 2 — Water supply", "TÍTULO I. Disposiciones generales"
+// A heading on the same line is set off by punctuation or in capitals, so "Part 3 comes into force" is not one
+const DIVISION = (words) => new RegExp(String.raw`^(?:${words})\s+${NUMBER}\b\.?(?:\s*[:.—–-]\s*(.+)|\s*$|\s+([A-ZÁÉÍÓÚÑ][^a-z]{2,}))`);
+const LINE_PATTERNS = [
+    { kind: 'schedule', pattern: new RegExp(String.raw`^(?:SCHEDULE|Schedule|ANNEX|Annex|ANEXO|Anexo|APPENDIX|Appendix)(?:\s+${NUMBER})?\b\.?(?:\s*[:.—–-]\s*(.+)|\s*$|\s+([A-ZÁÉÍÓÚÑ][^a-z]{2,}))`) },
+    { kind: 'part', pattern: DIVISION('PART|Part|TITLE|Title|TÍTULO|Título|TITULO|Titulo|LIBRO|Libro|BOOK|Book') },
+    { kind: 'chapter', pattern: DIVISION('CHAPTER|Chapter|CAPÍTULO|Capítulo|CAPITULO|Capitulo') },
+    // "Section 5", "SECTION 5. Heading", "§ 5"
+    { kind: 'section', label: 'Section', pattern: /^(?:Section|SECTION|Sec\.|§)\s*(\d+[A-Z]?)\.?(?:\s*[:.—–-]+\s*(.*)|\s*$|\s+([A-Z(].*))$/ },
+    // "Article 12", "Artículo 3º.- Objeto", "Art. 4"
+    { kind: 'section', label: 'Article', pattern: /^(?:Article|ARTICLE|Artículo|ARTÍCULO|Articulo|ARTICULO|Art\.)\s+(\d+[A-Za-z]?)(?:\s*(?:º|°|o\.|er|bis))?\.?(?:\s*[:.—–-]+\s*(.*)|\s*$|\s+([A-ZÁÉÍÓÚÑ(].*))$/ },
+    // "5 Duty to supply water" or "5. The Minister shall..." - accepted only in ascending order
+    { kind: 'section', label: 'Section', bare: true, pattern: /^(\d{1,3}[A-Z]?)\.?\s+([A-Z(][^\n]*)$/ },
+    { kind: 'subsection', pattern: /^\((\d+[A-Z]?)\)\s+(.*)$/ },
+];
+
+// Headings run to a line without a full stop; longer lines are the provision's own text
+const isHeadingLine = (line) => line.length > 1 && line.length <= 100 && !/[.;:,]$/.test(line) && !/^\(/.test(line);
+
+const clean = (text) => text.replace(/\s+/g, ' ').trim();
+
+// The label a unit is known by, keeping the Act's own word ("Title", "Annex", "Artículo") but
+// spelling out abbreviations
+function ownLabel(line, number, fallback) {
+    const word = line.match(/^[^\s\d]+/)[0];
+    const own = /[.§]$/.test(word) ? fallback : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+    return number ? `${own} ${number}` : own;
+}
+
+/**
+ * Recognise one line of an Act as a structural heading, or null
+ * `lastBare` is the number of the last bare-numbered section, so stray numbered lines are not taken
+ * for one; inside an Article or labelled Section, numbered paragraphs ("1. ...") are its subsections.
+ * `inline` is the number of a subsection that starts on the same line ("5 (1) The Minister...").
+ */
+function headingOf(line, lastBare, inLabelledSection) {
+    for (const { kind, label, bare, pattern } of LINE_PATTERNS) {
+        const match = line.match(pattern);
+        if (!match) continue;
+        const number = (match[1] || '').replace(/\s+/g, '');
+        const rest = clean(match[2] || match[3] || '');
+        if (bare && inLabelledSection) return { kind: 'subsection', number, heading: '', label: `(${number})` };
+        if (bare && Number.parseInt(number, 10) <= lastBare) continue;
+        if (kind === 'subsection') return { kind, number, heading: '', label: `(${number})` };
+        if (kind === 'section') {
+            const inline = rest.match(/^\((\d+[A-Z]?)\)\s/)?.[1] || '';
+            // "5. The Minister shall..." is a section whose text starts on the heading line
+            return { kind, number, heading: isHeadingLine(rest) ? rest : '', label: bare ? `${label} ${number}` : ownLabel(line, number, label), bare, inline };
+        }
+        return { kind, number, heading: rest, label: ownLabel(line, number) };
+    }
+    return null;
+}
+
+/**
+ * Parse an Act's text into its structural tree
+ */
+export function parseStructure(text) {
+    const root = { kind: 'root', children: [], start: 0, end: text.length };
+    const stack = [root];
+    let lastBare = 0;
+    let offset = 0;
+    let pendingHeading = null; // a heading-less division whose title may be on the next line
+    let count = 0;
+    const bareSections = new Set(); // sections numbered without a "Section"/"Article" label
+
+    const open = (found, start) => {
+        while (stack.length > 1 && RANKS[stack[stack.length - 1].kind] >= RANKS[found.kind]) stack.pop();
+        const node = { id: `n${++count}`, kind: found.kind, number: found.number, heading: found.heading, label: found.label, start, end: text.length, children: [] };
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+        return node;
+    };
+
+    for (const rawLine of text.split('\n')) {
+        const lineStart = offset;
+        offset += rawLine.length + 1;
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        const section = stack.findLast(node => node.kind === 'section');
+        const found = headingOf(line, lastBare, section ? !bareSections.has(section) : false);
+        if (!found) {
+            if (pendingHeading && isHeadingLine(line)) pendingHeading.heading = line;
+            pendingHeading = null;
+            continue;
+        }
+        // Schedules restart the numbering of the sections in them
+        if (found.kind === 'schedule') lastBare = 0;
+        else if (found.bare) lastBare = Number.parseInt(found.number, 10);
+        // Subsections only exist inside a section
+        if (found.kind === 'subsection' && !section) continue;
+
+        // Numbered provisions of a Schedule are its paragraphs
+        if (found.bare && stack.some(node => node.kind === 'schedule')) found.label = `Paragraph ${found.number}`;
+        const start = lineStart + rawLine.indexOf(line);
+        const node = open(found, start);
+        if (found.bare) bareSections.add(node);
+        if (found.inline) open({ kind: 'subsection', number: found.inline, heading: '', label: `(${found.inline})` }, start + line.indexOf(`(${found.inline})`));
+        pendingHeading = !node.heading && node.kind !== 'subsection' && !found.inline ? node : null;
+    }
+
+    setEnds(root.children, text.length);
+    return root.children;
+}
+
+// Each node runs until its next sibling, or the end of its parent
+function setEnds(nodes, end) {
+    nodes.forEach((node, i) => {
+        node.end = i + 1 < nodes.length ? nodes[i + 1].start : end;
+        setEnds(node.children, node.end);
+    });
+}
+
+/**
+ * The nodes containing `offset`, outermost first
+ */
+export function nodesAt(tree, offset) {
+    const path = [];
+    let level = tree;
+    for (;;) {
+        const node = level.find(n => offset >= n.start && offset < n.end);
+        if (!node) return path;
+        path.push(node);
+        level = node.children;
+    }
+}
+
+/**
+ * A citation for a character offset, e.g. "Part 2, Section 5(3)" or "Schedule 1, Section 4", or ''
+ */
+export function citationAt(tree, offset) {
+    const path = nodesAt(tree, offset);
+    const parts = [];
+    for (const node of path) {
+        if (node.kind === 'subsection' && parts.length > 0) parts[parts.length - 1] += node.label;
+        else if (node.kind !== 'chapter') parts.push(node.label);
+    }
+    return parts.join(', ');
+}
+
+/**
+ * Count the nodes of each kind, e.g. { part: 3, section: 42, subsection: 120 }
+ */
+export function structureSummary(tree) {
+    const counts = {};
+    const visit = (nodes) => nodes.forEach(node => {
+        counts[node.kind] = (counts[node.kind] || 0) + 1;
+        visit(node.children);
+    });
+    visit(tree);
+    return counts;
+}
@@ -0,0 +1,13 @@
+// Download helper shared by project and report exports
+
+/**
+ * Save a generated file through the browser's download prompt
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
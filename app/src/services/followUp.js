@@ -0,0 +1,62 @@
+// Government Response Follow-up
+// PLS does not end with the report: the committee invites the government to "comply or explain"
+// (Step 9 of the 2023 WFD Manual) and then follows up on what it committed to (Step 10).
+// Each recommendation carries the government's response:
+// { received: 'YYYY-MM-DD' | '', decision: '' | 'accepted' | 'partial' | 'rejected',
+//   implementationStatus: 'pending' | 'inprogress' | 'completed' | 'delayed', followUpDate: 'YYYY-MM-DD' | '', notes }
+// and the assessment records when the report was published and when the response is due.
+
+import { daysOverdue, todayIso } from './dates';
+
+export const RESPONSE_DECISIONS = {
+    accepted: 'Accepted',
+    partial: 'Partially accepted',
+    rejected: 'Rejected',
+};
+
+/**
+ * Response record for a recommendation the government has not answered yet
+ */
+export function emptyResponse() {
+    return { received: '', decision: '', implementationStatus: 'pending', followUpDate: '', notes: '' };
+}
+
+/**
+ * Dashboard figures for the follow-up phase
+ * Returns { total, awaiting, decisions: { accepted, partial, rejected }, implemented, responseDaysOverdue,
+ * outstanding: [{ number, recommendation, daysOverdue }], followUpsDue: [{ number, recommendation, daysOverdue }] }
+ * where `number` is the recommendation's position in the report
+ */
+export function followUpSummary({ recommendations = [], responseDue }, today = todayIso()) {
+    const listed = recommendations
+        .map((recommendation, i) => ({ number: i + 1, recommendation, response: { ...emptyResponse(), ...recommendation.response } }))
+        .filter(({ recommendation }) => recommendation.action?.trim());
+
+    const responseOverdue = daysOverdue(responseDue, today);
+    const responseDaysOverdue = responseOverdue > 0 ? responseOverdue : 0;
+    const outstanding = listed
+        .filter(({ response }) => !response.received && !response.decision)
+        .map(({ number, recommendation }) => ({ number, recommendation, daysOverdue: responseDaysOverdue }));
+
+    // Commitments whose follow-up date has arrived and which are not yet implemented
+    const followUpsDue = listed
+        .filter(({ response }) => response.decision !== 'rejected' && response.implementationStatus !== 'completed')
+        .map(({ number, recommendation, response }) => ({ number, recommendation, daysOverdue: daysOverdue(response.followUpDate, today) }))
+        .filter(item => item.daysOverdue !== null && item.daysOverdue >= 0)
+        .sort((a, b) => b.daysOverdue - a.daysOverdue);
+
+    const decisions = Object.fromEntries(Object.keys(RESPONSE_DECISIONS).map(decision => [
+        decision,
+        listed.filter(({ response }) => response.decision === decision).length,
+    ]));
+
+    return {
+        total: listed.length,
+        awaiting: outstanding.length,
+        decisions,
+        implemented: listed.filter(({ response }) => response.decision && response.decision !== 'rejected' && response.implementationStatus === 'completed').length,
+        responseDaysOverdue,
+        outstanding,
+        followUpsDue,
+    };
+}
@@ -0,0 +1,85 @@
+// Implementation Timeline
+// Secondary legislation and implementation milestones can carry a statutory deadline, the date they
+// were actually completed and the agency responsible:
+// { id, text, status, deadline: 'YYYY-MM-DD' | '', completedOn: 'YYYY-MM-DD' | '', agency }
+// An item still open after its deadline is overdue, whatever status was last set by hand.
+// buildTimeline() lays the dated items out against the Act's enactment year for the Gantt view.
+
+import { daysOverdue, todayIso } from './dates';
+
+export const TRACKED_LISTS = {
+    secondaryLegislation: 'Secondary legislation',
+    implementationMilestones: 'Milestone',
+};
+
+/**
+ * Whether an item is done: marked completed or given a completion date
+ */
+export const isDone = (item) => item.status === 'completed' || !!item.completedOn;
+
+/**
+ * Days an open item is past its deadline, or 0 when it is done, on time or has no deadline
+ */
+export function overdueDays(item, today = todayIso()) {
+    if (isDone(item)) return 0;
+    return Math.max(0, daysOverdue(item.deadline, today) ?? 0);
+}
+
+export function isOverdue(item, today = todayIso()) {
+    return overdueDays(item, today) > 0;
+}
+
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+/**
+ * Lay out the dated items between the start of the enactment year (or the earliest date, if the
+ * year is unknown) and the end of the latest year any item or today falls in.
+ * Returns null when no item has a date, otherwise
+ * { startYear, endYear, years: [{ year, position }], enactedPosition, todayPosition, undated,
+ *   rows: [{ item, list, overdue, deadlinePosition, completedPosition, endPosition }] }
+ * where positions are percentages across the chart.
+ */
+export function buildTimeline(monitoring, legislationYear, today = todayIso()) {
+    const items = Object.keys(TRACKED_LISTS).flatMap(list => (monitoring[list] || []).map(item => ({ item, list })));
+    const dated = items.filter(({ item }) => isDate(item.deadline) || isDate(item.completedOn));
+    if (dated.length === 0) return null;
+
+    const years = dated.flatMap(({ item }) => [item.deadline, item.completedOn].filter(isDate).map(date => Number(date.slice(0, 4))));
+    const enacted = Number.parseInt(legislationYear, 10);
+    const hasEnactment = Number.isInteger(enacted) && enacted > 1800;
+    const startYear = hasEnactment ? Math.min(enacted, ...years) : Math.min(...years);
+    const endYear = Math.max(Number(today.slice(0, 4)), ...years);
+
+    const start = Date.UTC(startYear, 0, 1);
+    const span = Date.UTC(endYear + 1, 0, 1) - start;
+    const position = (date) => (isDate(date) ? Math.min(100, Math.max(0, ((Date.parse(date) - start) / span) * 100)) : null);
+
+    const todayPosition = position(today);
+    const enactedPosition = hasEnactment ? position(`${enacted}-01-01`) : 0;
+    const rows = dated
+        .map(({ item, list }) => {
+            const overdue = isOverdue(item, today);
+            const deadlinePosition = position(item.deadline);
+            const completedPosition = position(item.completedOn);
+            return {
+                item,
+                list,
+                overdue,
+                deadlinePosition,
+                completedPosition,
+                // The bar runs from enactment to completion, or to today while the item is open
+                endPosition: completedPosition ?? (isDone(item) ? deadlinePosition : Math.max(todayPosition, deadlinePosition ?? 0)),
+            };
+        })
+        .sort((a, b) => (a.deadlinePosition ?? a.completedPosition) - (b.deadlinePosition ?? b.completedPosition));
+
+    return {
+        startYear,
+        endYear,
+        years: Array.from({ length: endYear - startYear + 1 }, (_, i) => ({ year: startYear + i, position: position(`${startYear + i}-01-01`) })),
+        enactedPosition,
+        todayPosition,
+        undated: items.length - dated.length,
+        rows,
+    };
+}
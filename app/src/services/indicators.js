@@ -0,0 +1,219 @@
+// Data Indicators
+// Quantitative indicators show whether the law is moving the numbers it promised to move.
+// An indicator in `monitoring.dataIndicators` is
+// { id, text, unit, baselineValue, baselineDate, targetValue, targetDate, observations: [{ date, value }], aiProposed? }
+// where values are numbers (or null when not set) and dates are YYYY, YYYY-MM or YYYY-MM-DD strings.
+// Observations are entered by hand or imported from a two-column CSV (date, value).
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Parse a number typed or imported by the user: "1,250", "12.5%", " 40 " -> number, anything else -> null
+ */
+export function parseIndicatorValue(raw) {
+    if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+    const cleaned = String(raw ?? '').trim().replace(/[,%\s]/g, '');
+    if (cleaned === '' || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)) return null;
+    return Number(cleaned);
+}
+
+/**
+ * Normalise a date to YYYY, YYYY-MM or YYYY-MM-DD; accepts DD/MM/YYYY and MM/YYYY too. Returns '' if unrecognised.
+ */
+export function normalizeIndicatorDate(raw) {
+    const text = String(raw ?? '').trim();
+    let match;
+    if ((match = text.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/))) {
+        const [, year, month, day] = match;
+        return [year, month?.padStart(2, '0'), day?.padStart(2, '0')].filter(Boolean).join('-');
+    }
+    if ((match = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/))) {
+        return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    }
+    if ((match = text.match(/^(\d{1,2})[/.](\d{4})$/))) {
+        return `${match[2]}-${match[1].padStart(2, '0')}`;
+    }
+    return '';
+}
+
+// Start of the period a date names, for plotting
+const dateTime = (date) => {
+    const [year, month = 1, day = 1] = date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+};
+
+/**
+ * Observations with a date and a value, oldest first
+ */
+export function sortedObservations(indicator) {
+    return (indicator.observations || [])
+        .filter(o => o.date && typeof o.value === 'number')
+        .sort((a, b) => dateTime(a.date) - dateTime(b.date));
+}
+
+// Split one CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',' || char === ';' || char === '\t') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Read observations from CSV text with a date in the first column and a value in the second.
+ * A header row and rows that don't parse are skipped. Returns { observations, skipped };
+ * throws if no row could be read.
+ */
+export function parseIndicatorCsv(text) {
+    const lines = String(text).split(/\r?\n/).filter(line => line.trim() !== '');
+    const observations = [];
+    let skipped = 0;
+    lines.forEach((line, i) => {
+        const [rawDate, rawValue] = splitCsvLine(line);
+        const date = normalizeIndicatorDate(rawDate);
+        const value = parseIndicatorValue(rawValue);
+        if (date && value !== null) {
+            observations.push({ date, value });
+        } else if (i > 0) {
+            // The first row may be a header
+            skipped++;
+        }
+    });
+    if (observations.length === 0) {
+        throw new Error('No rows could be read. Use two columns: a date (e.g. 2024 or 2024-06-30) and a number.');
+    }
+    return { observations, skipped };
+}
+
+/**
+ * Add observations to an indicator's series; an incoming value replaces any existing one for the same date
+ */
+export function mergeObservations(existing = [], incoming = []) {
+    const byDate = new Map(existing.map(o => [o.date, o]));
+    for (const observation of incoming) byDate.set(observation.date, observation);
+    return sortedObservations({ observations: [...byDate.values()] });
+}
+
+/**
+ * How far the latest observation has moved from the baseline towards the target
+ * Returns null without a baseline, target and at least one observation; otherwise
+ * { latest, progress } where progress is the share of the baseline-to-target gap closed (may be negative or above 1)
+ */
+export function indicatorProgress(indicator) {
+    const observations = sortedObservations(indicator);
+    const { baselineValue, targetValue } = indicator;
+    if (observations.length === 0 || typeof baselineValue !== 'number' || typeof targetValue !== 'number' || baselineValue === targetValue) {
+        return null;
+    }
+    const latest = observations[observations.length - 1];
+    return { latest, progress: (latest.value - baselineValue) / (targetValue - baselineValue) };
+}
+
+export const formatIndicatorValue = (value, unit) => `${Number(value.toFixed(2)).toLocaleString('en')}${unit ? ` ${unit}` : ''}`;
+
+/**
+ * One-line summary for the tab and the report, e.g. "Latest 42 % (2025): 60% of the way from baseline to target"
+ */
+export function describeProgress(indicator) {
+    const observations = sortedObservations(indicator);
+    if (observations.length === 0) return 'No observations recorded yet.';
+    const latest = observations[observations.length - 1];
+    const latestText = `Latest ${formatIndicatorValue(latest.value, indicator.unit)} (${latest.date})`;
+    const result = indicatorProgress(indicator);
+    if (!result) return `${latestText}. Add a baseline and a target to measure progress.`;
+    const percent = Math.round(result.progress * 100);
+    if (result.progress >= 1) return `${latestText}: target met.`;
+    if (result.progress < 0) return `${latestText}: moving away from the target (${Math.abs(percent)}% worse than the baseline).`;
+    return `${latestText}: ${percent}% of the way from baseline to target.`;
+}
+
+/**
+ * Trend chart for an indicator as a standalone SVG string, with the baseline and target as dashed lines
+ * Returns null when there is nothing to plot
+ */
+export function indicatorChartSvg(indicator, { width = 560, height = 220 } = {}) {
+    const observations = sortedObservations(indicator);
+    const points = [
+        ...observations.map(o => ({ time: dateTime(o.date), value: o.value })),
+        ...(typeof indicator.baselineValue === 'number' && normalizeIndicatorDate(indicator.baselineDate)
+            ? [{ time: dateTime(normalizeIndicatorDate(indicator.baselineDate)), value: indicator.baselineValue }]
+            : []),
+    ];
+    if (points.length === 0) return null;
+
+    const references = [indicator.baselineValue, indicator.targetValue].filter(v => typeof v === 'number');
+    const values = [...points.map(p => p.value), ...references];
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const pad = (max - min) * 0.1;
+    min -= pad;
+    max += pad;
+
+    const targetDate = normalizeIndicatorDate(indicator.targetDate);
+    const targetTime = targetDate ? dateTime(targetDate) : NaN;
+    const times = [...points.map(p => p.time), ...(Number.isFinite(targetTime) ? [targetTime] : [])];
+    let start = Math.min(...times);
+    let end = Math.max(...times);
+    if (start === end) {
+        start -= 180 * 86400000;
+        end += 180 * 86400000;
+    }
+
+    const left = 56;
+    const right = 16;
+    const top = 16;
+    const bottom = 32;
+    const x = (time) => left + ((time - start) / (end - start)) * (width - left - right);
+    const y = (value) => top + (1 - (value - min) / (max - min)) * (height - top - bottom);
+    const fmt = (n) => n.toFixed(1);
+    const label = (value) => escapeXml(Number(value.toPrecision(4)).toLocaleString('en'));
+    const year = (time) => new Date(time).getUTCFullYear();
+
+    const line = observations.map(o => `${fmt(x(dateTime(o.date)))},${fmt(y(o.value))}`).join(' ');
+    const reference = (value, color, name) => `<line x1="${left}" x2="${width - right}" y1="${fmt(y(value))}" y2="${fmt(y(value))}" stroke="${color}" stroke-width="1.5" stroke-dasharray="6 4"/>`
+        + `<text x="${width - right}" y="${fmt(y(value) - 4)}" text-anchor="end" font-size="10" fill="${color}">${name} ${label(value)}</text>`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" role="img" aria-label="${escapeXml(`Trend chart: ${indicator.text}`)}">`
+        + `<rect width="${width}" height="${height}" fill="#ffffff"/>`
+        + `<line x1="${left}" x2="${left}" y1="${top}" y2="${height - bottom}" stroke="#94a3b8"/>`
+        + `<line x1="${left}" x2="${width - right}" y1="${height - bottom}" y2="${height - bottom}" stroke="#94a3b8"/>`
+        + `<text x="${left - 6}" y="${fmt(top + 4)}" text-anchor="end" font-size="10" fill="#64748b">${label(max)}</text>`
+        + `<text x="${left - 6}" y="${height - bottom}" text-anchor="end" font-size="10" fill="#64748b">${label(min)}</text>`
+        + (indicator.unit ? `<text x="12" y="${fmt(height / 2)}" font-size="10" fill="#64748b" transform="rotate(-90 12 ${fmt(height / 2)})" text-anchor="middle">${escapeXml(indicator.unit)}</text>` : '')
+        + `<text x="${left}" y="${height - 12}" font-size="10" fill="#64748b">${year(start)}</text>`
+        + `<text x="${width - right}" y="${height - 12}" text-anchor="end" font-size="10" fill="#64748b">${year(end)}</text>`
+        + (typeof indicator.baselineValue === 'number' ? reference(indicator.baselineValue, '#64748b', 'Baseline') : '')
+        + (typeof indicator.targetValue === 'number' ? reference(indicator.targetValue, '#059669', 'Target') : '')
+        + (observations.length > 1 ? `<polyline points="${line}" fill="none" stroke="#5f259f" stroke-width="2.5"/>` : '')
+        + observations.map(o => `<circle cx="${fmt(x(dateTime(o.date)))}" cy="${fmt(y(o.value))}" r="3.5" fill="#5f259f"/>`).join('')
+        + '</svg>';
+}
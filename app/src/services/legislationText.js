@@ -0,0 +1,105 @@
+// Legislation Text
+// Helpers for reading the plain text of an Act: where its sections and articles begin, the
+// provision around a phrase, who a provision addresses, and the dates and periods it states.
+// Shared by the pattern-matching detectors for delegated powers, review clauses and commencement.
+
+// A minister, the government, or a named public body
+export const HOLDER = String.raw`(?:the\s+)?(?:(?:Cabinet\s+)?Ministers?|Secretary\s+of\s+State|Cabinet|Government|Governor[- ]General|President|Prime\s+Minister|Treasury|(?:[A-Z][\w'&-]*[ \t]+){0,4}(?:Authority|Commission|Board|Agency|Ministry|Department|Council|Regulator|Commissioner|Office))(?:\s+(?:of|for|responsible\s+for)[ \t]+[A-Z][\w'&-]*(?:[ \t]+(?:and[ \t]+)?[A-Z][\w'&-]*){0,4})?`;
+
+// Section and article headings, and numbered subsections within them
+const HEADING_PATTERNS = [
+    { pattern: /(?:^|\n)\s*(?:Section|SECTION|Sec\.|§)\s*(\d+[A-Z]?)/g, label: 'Section' },
+    { pattern: /(?:^|\n|\s)(?:Article|ARTICLE|Art\.)\s+(\d+[A-Za-z]?)/g, label: 'Article' },
+    { pattern: /\n\s*(\d{1,3}[A-Z]?)\.?\s+(?=[A-Z(])/g, label: 'Section' },
+];
+const SUBSECTION = /\n\s*\((\d+[A-Z]?)\)\s/g;
+const NEXT_HEADING = /\n\s*(?:(?:Section|SECTION|Sec\.|§|Article|ARTICLE|Art\.)\s*\d|\d{1,3}[A-Z]?\.?\s+[A-Z])/;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, fourteen: 14, fifteen: 15, eighteen: 18, twenty: 20, 'twenty-one': 21, 'twenty-four': 24,
+    'twenty-eight': 28, thirty: 30, 'thirty-six': 36, sixty: 60, ninety: 90,
+};
+
+export const clean = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Section and article headings in document order, as { index, end, label }
+ */
+export const findHeadings = (text) => HEADING_PATTERNS
+    .flatMap(({ pattern, label }) => [...text.matchAll(pattern)].map(match => ({ index: match.index, end: match.index + match[0].length, label: `${label} ${match[1]}` })))
+    .sort((a, b) => a.index - b.index);
+
+/**
+ * "Section 12(3)" for the provision containing `offset`, or '' when no heading precedes it
+ * Pass `headings` from findHeadings() to avoid scanning the text again
+ */
+export function sectionAt(text, offset, headings = findHeadings(text)) {
+    const heading = headings.filter(h => h.end <= offset).pop();
+    if (!heading) return '';
+    const subsections = [...text.slice(heading.index, offset).matchAll(SUBSECTION)];
+    return subsections.length > 0 ? `${heading.label}(${subsections[subsections.length - 1][1]})` : heading.label;
+}
+
+/**
+ * The sentence or numbered subsection around text[start, end), as { from, to } offsets
+ */
+export function provisionAround(text, start, end) {
+    const before = text.slice(Math.max(0, start - 300), start);
+    const breaks = [before.lastIndexOf('. '), before.lastIndexOf(';'), before.lastIndexOf('\n')];
+    const from = start - before.length + Math.max(...breaks) + 1;
+    const after = text.slice(end, end + 400);
+    const stop = after.search(/\.(?:\s|$)|;|\n\s*\n|\n\s*\(\w+\)/);
+    const to = stop === -1 ? end + after.length : end + stop + 1;
+    let trimmed = from;
+    while (trimmed < start && /\s/.test(text[trimmed])) trimmed++;
+    return { from: trimmed, to };
+}
+
+/**
+ * Up to `limit` characters after `offset` that still belong to the same section - later
+ * subsections often say which procedure or deadline applies
+ */
+export function followingSubsections(text, offset, limit = 800) {
+    const following = text.slice(offset, offset + limit);
+    const nextHeading = following.search(NEXT_HEADING);
+    return nextHeading === -1 ? following : following.slice(0, nextHeading);
+}
+
+/**
+ * The minister or body a provision puts under a duty or gives a power, e.g. "Secretary of State", or ''
+ */
+export function dutyHolder(provision) {
+    const match = provision.match(new RegExp(String.raw`\b(${HOLDER})\s+(?:shall|must|may|is\s+to|will)\b`));
+    return match ? clean(match[1]).replace(/^the\s+/i, '') : '';
+}
+
+/**
+ * A calendar date in a phrase ("by 31 March 2026", "on December 31, 2030", "not later than 2026-03-31")
+ * as YYYY-MM-DD, or '' when the phrase has none, e.g. because it is relative to commencement
+ */
+export function calendarDate(phrase) {
+    const text = String(phrase || '');
+    const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+    if (iso) return iso[0];
+    const format = (year, month, day) => `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    const dayFirst = text.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s+(?:day\s+of\s+)?([A-Za-z]+),?\s+(\d{4})\b/);
+    if (dayFirst && MONTHS.includes(dayFirst[2].toLowerCase())) {
+        return format(dayFirst[3], MONTHS.indexOf(dayFirst[2].toLowerCase()), dayFirst[1]);
+    }
+    const monthFirst = text.match(/\b([A-Za-z]+)\s+(\d{1,2})(?:st|nd|rd|th)?,\s+(\d{4})\b/);
+    if (monthFirst && MONTHS.includes(monthFirst[1].toLowerCase())) {
+        return format(monthFirst[3], MONTHS.indexOf(monthFirst[1].toLowerCase()), monthFirst[2]);
+    }
+    return '';
+}
+
+/**
+ * A count written in figures or words ("5", "five", "twenty-four"), or null
+ */
+export function parseCount(word) {
+    const text = String(word || '').toLowerCase();
+    if (/^\d+$/.test(text)) return Number(text);
+    return NUMBER_WORDS[text] ?? null;
+}
@@ -0,0 +1,531 @@
+// Legislation XML
+// Reads legislation published as structured XML instead of guessing its structure from flat text.
+// Three formats are read:
+// - Akoma Ntoso (LegalDocML), with the Act's title, number, country and dates in its FRBR metadata
+// - legislation.gov.uk CLML, with extent restrictions, prospective provisions and the editors'
+//   commencement, amendment and extent annotations
+// - US House USLM (US Code titles and public laws), with the Code's amendment and effective date notes
+// A file is read into the same document model as a PDF:
+// { text, pages: [], structure, metadata }
+// where structure is the tree documentStructure.js builds from plain text, with offsets into text:
+// [{ id, kind: 'part' | 'chapter' | 'section' | 'subsection' | 'schedule', number, heading, label, start, end, children,
+//    extent?, prospective? }]
+// and metadata is
+// { format, title, number, country, date, assentDate, commencementDate, extent,
+//   references: [{ text, href }], notes: [{ type: 'commencement' | 'amendment' | 'extent', provision, text }] }
+
+import { citationAt } from './documentStructure';
+
+export const XML_FORMATS = {
+    akomaNtoso: 'Akoma Ntoso',
+    clml: 'legislation.gov.uk CLML',
+    uslm: 'USLM',
+};
+
+// Annotations kept with a provision in the document metadata
+export const NOTE_TYPES = {
+    commencement: 'Commencement information',
+    amendment: 'Amendments',
+    extent: 'Extent information',
+};
+
+const DUBLIN_CORE = /^http:\/\/purl\.org\/dc\//;
+
+// Akoma Ntoso hierarchy elements and the structural unit each one is
+const AKN_KINDS = {
+    book: 'part',
+    title: 'part',
+    part: 'part',
+    subpart: 'chapter',
+    chapter: 'chapter',
+    subchapter: 'chapter',
+    division: 'chapter',
+    section: 'section',
+    article: 'section',
+    rule: 'section',
+    subsection: 'subsection',
+};
+// Numbered elements below subsections, kept in the text with their number but not in the outline
+const AKN_LEVELS = new Set(['paragraph', 'subparagraph', 'clause', 'subclause', 'point', 'indent', 'item', 'alinea', 'list', 'blockList', 'level', 'hcontainer']);
+// Elements whose text is one line of the document
+const AKN_LINES = new Set(['p', 'longTitle', 'docTitle', 'docNumber', 'formula', 'listIntroduction', 'listWrapUp', 'tr']);
+// Elements read for their number and heading, or skipped
+const AKN_SKIPPED = new Set(['meta', 'num', 'heading', 'subheading', 'authorialNote']);
+
+const clean = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+const nameOf = (node) => node.localName || node.nodeName.replace(/^.*:/, '');
+const elementChildren = (node) => Array.from(node.childNodes || []).filter(child => child.nodeType === 1);
+const childNamed = (node, name) => elementChildren(node).find(child => nameOf(child) === name);
+const descendants = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+const firstDescendant = (node, name) => descendants(node, name)[0] || null;
+const dublinCore = (node, name) => clean(Array.from(node.getElementsByTagName('*')).find(e => nameOf(e) === name && DUBLIN_CORE.test(e.namespaceURI || ''))?.textContent);
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Parse XML text into a document, throwing a readable error when it is not well formed
+ */
+function parseXml(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    const error = doc.getElementsByTagName('parsererror')[0];
+    if (error || !doc.documentElement) throw new Error(`The XML file is not well formed${error ? `: ${clean(error.textContent).slice(0, 200)}` : ''}`);
+    return doc;
+}
+
+/**
+ * Collects the document text line by line, with a structure tree whose offsets point into it
+ */
+function createDocumentBuilder() {
+    const lines = [];
+    let length = 0;
+    let prefix = '';
+    let count = 0;
+    const root = { children: [] };
+    const stack = [root];
+    const elements = new Map(); // marked-up element -> outline node
+
+    return {
+        // Add a line of text; a pending number such as "(a)" goes in front of it
+        line(text) {
+            const value = clean(prefix ? `${prefix} ${clean(text)}` : text);
+            prefix = '';
+            if (!value) return;
+            lines.push(value);
+            length += value.length + 1;
+        },
+        // Keep a number for the next line, so "(a)" and its text share a line
+        number(value) {
+            if (value) prefix = clean(`${prefix} ${value}`);
+        },
+        // Leave a blank line before a new division
+        gap() {
+            if (lines.length > 0 && lines[lines.length - 1] !== '') {
+                lines.push('');
+                length += 1;
+            }
+        },
+        // Start a unit of the outline for the given elements, e.g. a CLML section and its heading group
+        open(kind, number, heading, label, markup = [], details = {}) {
+            const node = { id: `n${++count}`, kind, number, heading, label, start: length, end: length, children: [], ...details };
+            stack[stack.length - 1].children.push(node);
+            stack.push(node);
+            markup.forEach(element => elements.set(element, node));
+            return node;
+        },
+        close() {
+            const node = stack.pop();
+            node.end = Math.max(node.start, length - 1);
+        },
+        // Where an element sits in the Act, e.g. "Part 2, Section 4(2)", once the document is finished
+        provision(element) {
+            for (let node = element; node; node = node.parentNode) {
+                const unit = elements.get(node);
+                if (unit) return citationAt(root.children, unit.start) || unit.label;
+            }
+            return '';
+        },
+        finish() {
+            const text = lines.join('\n');
+            return { text, structure: root.children };
+        },
+    };
+}
+
+// "5." -> "5", "(2)" -> "2", "PART 1" -> "1"
+const bareNumber = (num) => clean(num).replace(/^[^\d\s]+\s+(?=\S)/, '').replace(/^\(|\)?\.?$/g, '');
+
+// The label a unit is known by: its own number text when that names the unit ("PART I", "Article 3"),
+// otherwise the element's name and number
+function unitLabel(kind, element, num) {
+    const text = clean(num).replace(/\.$/, '');
+    if (kind === 'subsection') return `(${bareNumber(num)})`;
+    if (text.toLowerCase() === element.toLowerCase()) return element;
+    const word = text.match(/^([A-Za-zÀ-ÿ]+)\s+(\S+)/);
+    if (word && Number.isNaN(Number(word[1]))) return `${capitalize(word[1].toLowerCase())} ${word[2]}`;
+    return text ? `${element} ${text}` : element;
+}
+
+/**
+ * Walk an Akoma Ntoso element, adding its text and structure to the builder
+ */
+function walkAkomaNtoso(node, builder) {
+    const name = nameOf(node);
+    if (AKN_SKIPPED.has(name)) return;
+
+    const kind = AKN_KINDS[name] || (name === 'hcontainer' && /schedule|annex/i.test(node.getAttribute('name') || '') ? 'schedule' : null);
+    if (kind) {
+        const num = clean(childNamed(node, 'num')?.textContent);
+        const heading = clean(childNamed(node, 'heading')?.textContent);
+        const element = kind === 'schedule' ? 'Schedule' : capitalize(name);
+        const label = unitLabel(kind, element, num);
+        if (kind !== 'subsection') builder.gap();
+        builder.open(kind, bareNumber(num), heading, label);
+        if (kind === 'subsection') builder.number(label);
+        else builder.line(heading ? `${label} ${heading}` : label);
+        elementChildren(node).forEach(child => walkAkomaNtoso(child, builder));
+        builder.close();
+        return;
+    }
+
+    // A Schedule attached to the Act as its own document
+    if (name === 'attachment' || (name === 'component' && childNamed(node, 'doc'))) {
+        const heading = clean((firstDescendant(node, 'docTitle') || firstDescendant(node, 'heading'))?.textContent);
+        const num = clean(firstDescendant(node, 'docNumber')?.textContent);
+        // Without a number, a heading such as "FIRST SCHEDULE" names the Schedule itself
+        const label = !num && /schedule|annex|appendix/i.test(heading) ? heading : unitLabel('schedule', 'Schedule', num);
+        builder.gap();
+        builder.open('schedule', bareNumber(num), heading === label ? '' : heading, label);
+        builder.line(heading && heading !== label ? `${label} ${heading}` : label);
+        elementChildren(node).forEach(child => walkAkomaNtoso(child, builder));
+        builder.close();
+        return;
+    }
+
+    if (AKN_LEVELS.has(name)) builder.number(clean(childNamed(node, 'num')?.textContent));
+    if (name === 'tr') {
+        builder.line(elementChildren(node).map(cell => clean(cell.textContent)).join(' | '));
+        return;
+    }
+    if (AKN_LINES.has(name)) {
+        builder.line(node.textContent);
+        return;
+    }
+    elementChildren(node).forEach(child => walkAkomaNtoso(child, builder));
+}
+
+// The date of a lifecycle event whose id or reference mentions one of the words
+function eventDate(meta, pattern) {
+    const event = descendants(meta, 'eventRef').find(e => pattern.test(`${e.getAttribute('eId')} ${e.getAttribute('refersTo')} ${e.getAttribute('type')} ${e.getAttribute('source')}`));
+    return event?.getAttribute('date') || '';
+}
+
+function akomaNtosoMetadata(act) {
+    const meta = childNamed(act, 'meta');
+    const work = meta && firstDescendant(meta, 'FRBRWork');
+    const value = (name) => (work && firstDescendant(work, name)?.getAttribute('value')) || '';
+    const date = (work && firstDescendant(work, 'FRBRdate')?.getAttribute('date')) || '';
+    const title = clean((firstDescendant(act, 'shortTitle') || firstDescendant(act, 'docTitle'))?.textContent)
+        || (work && descendants(work, 'FRBRalias').find(a => /title|short/i.test(a.getAttribute('name') || ''))?.getAttribute('value'))
+        || value('FRBRalias');
+    return {
+        format: 'akomaNtoso',
+        title: clean(title),
+        number: value('FRBRnumber'),
+        country: value('FRBRcountry'),
+        date,
+        assentDate: (meta && eventDate(meta, /assent|enact|promulgat/i)) || date,
+        commencementDate: (meta && eventDate(meta, /commenc|in-?force|entry/i)) || '',
+        extent: '',
+    };
+}
+
+// References to other legislation, each once
+function referencesIn(node, name = 'ref', attribute = 'href') {
+    const references = new Map();
+    for (const ref of descendants(node, name)) {
+        const text = clean(ref.textContent);
+        const href = ref.getAttribute(attribute) || '';
+        if (text && !references.has(href || text)) references.set(href || text, { text, href });
+    }
+    return [...references.values()];
+}
+
+/**
+ * Read an Akoma Ntoso document (the <akomaNtoso> root element)
+ */
+function readAkomaNtoso(root) {
+    const act = elementChildren(root)[0];
+    if (!act) throw new Error('The Akoma Ntoso file has no document in it');
+    const builder = createDocumentBuilder();
+    elementChildren(act).forEach(child => walkAkomaNtoso(child, builder));
+    const { text, structure } = builder.finish();
+    return { text, pages: [], structure, metadata: { ...akomaNtosoMetadata(act), references: referencesIn(act), notes: [] } };
+}
+
+// Lines of an element that mixes text with block elements, such as a USLM <content> holding the
+// words of an amendment and then the <quotedContent> it inserts
+function walkMixed(node, builder, blocks, walk) {
+    let text = '';
+    for (const child of Array.from(node.childNodes || [])) {
+        if (child.nodeType === 1 && blocks.has(nameOf(child))) {
+            if (clean(text)) builder.line(text);
+            text = '';
+            walk(child);
+        } else if (child.nodeType === 1 || child.nodeType === 3) {
+            text += child.textContent;
+        }
+    }
+    if (clean(text)) builder.line(text);
+}
+
+// CLML: legislation.gov.uk's Crown Legislation Markup Language
+const CLML_KINDS = { Part: 'part', Chapter: 'chapter', Schedule: 'schedule', P1: 'section', P2: 'subsection' };
+const CLML_LEVELS = new Set(['P3', 'P4', 'P5', 'P6', 'P7']);
+const CLML_LINES = new Set(['Title', 'Number', 'LongTitle', 'DateText', 'Text', 'tr']);
+// Editorial matter, tables of contents and alternative versions are not the Act's text
+const CLML_SKIPPED = new Set(['Metadata', 'Contents', 'Commentaries', 'Footnotes', 'MarginNotes', 'Resources', 'Versions', 'Pnumber']);
+// Children a unit's number and heading are read from
+const CLML_HEADINGS = new Set(['Number', 'Title', 'TitleBlock']);
+// Commentary types: I commencement information, F textual amendments, E extent information
+const CLML_NOTES = { I: 'commencement', F: 'amendment', E: 'extent' };
+
+const clmlHeading = (node) => clean((childNamed(node, 'Title') || (childNamed(node, 'TitleBlock') && childNamed(childNamed(node, 'TitleBlock'), 'Title')))?.textContent);
+
+/**
+ * Walk a CLML element. `state` says whether it is in a Schedule, in secondary legislation (whose
+ * sections are regulations), in quoted amending text (whose units are not the Act's own), and
+ * which heading group a section is the first of.
+ */
+function walkClml(node, builder, state) {
+    const name = nameOf(node);
+    if (CLML_SKIPPED.has(name) || DUBLIN_CORE.test(node.namespaceURI || '')) return;
+    const walkChildren = (children, childState = state) => children.forEach(child => walkClml(child, builder, childState));
+
+    // A section's heading is on the group around it
+    if (name === 'P1group' && !state.quoted) {
+        const heading = clean(childNamed(node, 'Title')?.textContent);
+        const children = elementChildren(node).filter(child => nameOf(child) !== 'Title');
+        const first = children.find(child => nameOf(child) === 'P1');
+        if (!first) builder.line(heading);
+        children.forEach(child => walkClml(child, builder, child === first ? { ...state, heading, group: node } : { ...state, heading: '', group: null }));
+        return;
+    }
+
+    const kind = CLML_KINDS[name];
+    const pnumber = clean(childNamed(node, 'Pnumber')?.textContent);
+    if (kind && !state.quoted) {
+        const number = kind === 'section' || kind === 'subsection' ? pnumber : bareNumber(childNamed(node, 'Number')?.textContent);
+        const heading = kind === 'section' ? state.heading : clmlHeading(node);
+        let label;
+        if (kind === 'subsection') label = `(${pnumber})`;
+        else if (kind === 'section') label = `${state.schedule ? 'Paragraph' : state.secondary ? 'Regulation' : 'Section'} ${number}`;
+        else label = unitLabel(kind, capitalize(kind), clean(childNamed(node, 'Number')?.textContent));
+        const marked = [node, state.group].filter(Boolean);
+        const extent = marked.map(e => e.getAttribute('RestrictExtent')).find(Boolean);
+        const details = {
+            ...(extent ? { extent } : {}),
+            ...(marked.some(e => e.getAttribute('Status') === 'Prospective') ? { prospective: true } : {}),
+        };
+        if (kind !== 'subsection') builder.gap();
+        builder.open(kind, number, heading, label, marked, details);
+        if (kind === 'subsection') builder.number(label);
+        else builder.line(heading ? `${label} ${heading}` : label);
+        walkChildren(elementChildren(node).filter(child => !CLML_HEADINGS.has(nameOf(child))),
+            { ...state, schedule: state.schedule || kind === 'schedule', heading: '', group: null });
+        builder.close();
+        return;
+    }
+
+    if (CLML_LEVELS.has(name) || (kind && state.quoted)) builder.number(name === 'P1' ? pnumber : pnumber && `(${pnumber})`);
+    if (name === 'tr') {
+        builder.line(elementChildren(node).map(cell => clean(cell.textContent)).join(' | '));
+        return;
+    }
+    if (CLML_LINES.has(name)) {
+        builder.line(node.textContent);
+        return;
+    }
+    walkChildren(elementChildren(node), name === 'BlockAmendment' ? { ...state, quoted: true } : state);
+}
+
+// Commentaries on the Act's provisions, in the order they are first referred to
+function clmlNotes(body, root, builder) {
+    const commentaries = new Map(descendants(root, 'Commentary').map(c => [c.getAttribute('id'), c]));
+    const notes = [];
+    const seen = new Set();
+    for (const element of descendants(body, '*')) {
+        const ref = nameOf(element) === 'CommentaryRef' ? element.getAttribute('Ref') : element.getAttribute('CommentaryRef');
+        const commentary = ref && !seen.has(ref) && commentaries.get(ref);
+        const type = commentary && CLML_NOTES[commentary.getAttribute('Type')];
+        if (!type) continue;
+        seen.add(ref);
+        notes.push({ type, provision: builder.provision(element), text: clean(commentary.textContent) });
+    }
+    return notes;
+}
+
+function clmlMetadata(root, body) {
+    const meta = childNamed(root, 'Metadata');
+    const attribute = (name, attr = 'Value') => (meta && firstDescendant(meta, name)?.getAttribute(attr)) || '';
+    const date = attribute('EnactmentDate', 'Date') || attribute('Made', 'Date');
+    const comingIntoForce = meta && firstDescendant(meta, 'ComingIntoForce');
+    return {
+        format: 'clml',
+        title: (meta && dublinCore(meta, 'title')) || clean(firstDescendant(body, 'Title')?.textContent),
+        number: attribute('Number'),
+        country: 'gb',
+        date,
+        assentDate: date,
+        commencementDate: (comingIntoForce && firstDescendant(comingIntoForce, 'DateTime')?.getAttribute('Date')) || '',
+        extent: root.getAttribute('RestrictExtent') || '',
+    };
+}
+
+/**
+ * Read a CLML document (the <Legislation> root element)
+ */
+function readClml(root) {
+    const body = childNamed(root, 'Primary') || childNamed(root, 'Secondary');
+    if (!body) throw new Error('The CLML file has no primary or secondary legislation in it');
+    const builder = createDocumentBuilder();
+    walkClml(body, builder, { schedule: false, secondary: nameOf(body) === 'Secondary', quoted: false, heading: '', group: null });
+    const { text, structure } = builder.finish();
+    return {
+        text,
+        pages: [],
+        structure,
+        metadata: { ...clmlMetadata(root, body), references: referencesIn(body, 'Citation', 'URI'), notes: clmlNotes(body, root, builder) },
+    };
+}
+
+// USLM: the US House's markup for the US Code and public laws
+const USLM_ROOTS = new Set(['uscDoc', 'pLaw', 'lawDoc', 'bill', 'resolution']);
+const USLM_KINDS = {
+    division: 'part',
+    title: 'part',
+    subtitle: 'part',
+    chapter: 'chapter',
+    subchapter: 'chapter',
+    part: 'chapter',
+    subpart: 'chapter',
+    section: 'section',
+    subsection: 'subsection',
+};
+const USLM_LEVELS = new Set(['paragraph', 'subparagraph', 'clause', 'subclause', 'item', 'subitem', 'subsubitem']);
+const USLM_TEXT = new Set(['content', 'chapeau', 'continuation', 'proviso', 'p', 'docTitle', 'officialTitle', 'enactingFormula']);
+const USLM_BLOCKS = new Set(['p', 'quotedContent', 'table', 'layout']);
+// Notes and source credits are editorial; notes are kept separately below
+const USLM_SKIPPED = new Set(['meta', 'num', 'heading', 'toc', 'notes', 'note', 'sourceCredit', 'sidenote']);
+
+const uslmNumber = (node) => {
+    const num = childNamed(node, 'num');
+    return { value: clean(num?.getAttribute('value')) || bareNumber(num?.textContent), text: clean(num?.textContent) };
+};
+
+/**
+ * Walk a USLM element; inside quoted amending text units are kept as text, not outline entries
+ */
+function walkUslm(node, builder, quoted = false) {
+    const name = nameOf(node);
+    if (USLM_SKIPPED.has(name) || DUBLIN_CORE.test(node.namespaceURI || '')) return;
+    const walk = (child) => walkUslm(child, builder, quoted || name === 'quotedContent');
+
+    const kind = USLM_KINDS[name];
+    const num = uslmNumber(node);
+    if (kind && !quoted) {
+        const heading = clean(childNamed(node, 'heading')?.textContent).replace(/\.$/, '');
+        let label;
+        if (kind === 'subsection') label = `(${num.value})`;
+        else if (kind === 'section') label = num.value ? `Section ${num.value}` : 'Section';
+        else label = num.value ? `${capitalize(name)} ${num.value}` : capitalize(name);
+        if (kind !== 'subsection') builder.gap();
+        builder.open(kind, num.value, heading, label, [node]);
+        if (kind === 'subsection') builder.number(label);
+        else builder.line(heading ? `${label} ${heading}` : label);
+        if (kind === 'subsection' && heading) builder.line(heading);
+        elementChildren(node).forEach(walk);
+        builder.close();
+        return;
+    }
+
+    if (kind || USLM_LEVELS.has(name)) {
+        builder.number(num.text);
+        const heading = clean(childNamed(node, 'heading')?.textContent);
+        if (heading) builder.line(heading);
+    }
+    if (name === 'tr') {
+        builder.line(elementChildren(node).map(cell => clean(cell.textContent)).join(' | '));
+        return;
+    }
+    if (USLM_TEXT.has(name)) {
+        walkMixed(node, builder, USLM_BLOCKS, walk);
+        return;
+    }
+    elementChildren(node).forEach(walk);
+}
+
+// The Code's editorial notes on amendments and effective dates, with the section they follow
+function uslmNotes(main, builder) {
+    const notes = [];
+    for (const note of descendants(main, 'note')) {
+        const topic = note.getAttribute('topic') || '';
+        const type = topic === 'amendments' ? 'amendment' : /^effectiveDate/.test(topic) ? 'commencement' : null;
+        const text = clean(elementChildren(note).filter(child => nameOf(child) !== 'heading').map(child => child.textContent).join(' '));
+        if (type && text) notes.push({ type, provision: builder.provision(note), text });
+    }
+    return notes;
+}
+
+function uslmMetadata(root, main) {
+    const meta = childNamed(root, 'meta');
+    const field = (name) => clean(meta && firstDescendant(meta, name)?.textContent);
+    const citable = meta ? descendants(meta, 'citableAs').map(e => clean(e.textContent)).find(value => /law/i.test(value)) : '';
+    // The US Code is consolidated rather than enacted, so only public laws have an enactment date
+    const date = nameOf(root) === 'uscDoc' ? '' : field('approvedDate') || field('enactedDate') || (meta && dublinCore(meta, 'date')) || '';
+    const shortTitle = clean(firstDescendant(main, 'shortTitle')?.textContent);
+    const codeTitle = nameOf(root) === 'uscDoc' && clean(childNamed(firstDescendant(main, 'title') || main, 'heading')?.textContent);
+    const title = (meta ? dublinCore(meta, 'title') : '').replace(/^Public Law [\d\s–-]+:\s*/i, '');
+    return {
+        format: 'uslm',
+        title: shortTitle || (codeTitle ? `${title} — ${codeTitle}` : title),
+        number: citable || field('docNumber'),
+        country: 'us',
+        date,
+        assentDate: date,
+        commencementDate: '',
+        extent: '',
+    };
+}
+
+/**
+ * Read a USLM document (a <uscDoc>, <pLaw> or bill root element)
+ */
+function readUslm(root) {
+    const main = childNamed(root, 'main');
+    if (!main) throw new Error('The USLM file has no <main> content in it');
+    const builder = createDocumentBuilder();
+    elementChildren(root).filter(child => nameOf(child) !== 'meta').forEach(child => walkUslm(child, builder));
+    const { text, structure } = builder.finish();
+    return {
+        text,
+        pages: [],
+        structure,
+        metadata: { ...uslmMetadata(root, main), references: referencesIn(main), notes: uslmNotes(main, builder) },
+    };
+}
+
+/**
+ * Read a legislation XML file's text into { text, pages, structure, metadata }
+ */
+export function parseLegislationXml(xml) {
+    const root = parseXml(xml).documentElement;
+    if (USLM_ROOTS.has(nameOf(root))) return readUslm(root);
+    switch (nameOf(root)) {
+        case 'akomaNtoso':
+            return readAkomaNtoso(root);
+        case 'Legislation':
+            return readClml(root);
+        default:
+            throw new Error(`Unrecognised XML format <${nameOf(root)}>. Supported formats: ${Object.values(XML_FORMATS).join(', ')}`);
+    }
+}
+
+/**
+ * Setup tab fields stated in a file's metadata, which take precedence over what extraction infers
+ */
+export function metadataFields(metadata) {
+    if (!metadata) return {};
+    let country = '';
+    try {
+        country = metadata.country ? new Intl.DisplayNames(['en'], { type: 'region' }).of(metadata.country.toUpperCase()) : '';
+    } catch {
+        country = '';
+    }
+    const fields = {
+        legislationTitle: metadata.title,
+        legislationYear: (metadata.assentDate || metadata.date || '').slice(0, 4),
+        assentDate: metadata.assentDate,
+        commencementDate: metadata.commencementDate,
+        suggestedCountry: country,
+    };
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+}
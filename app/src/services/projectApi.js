@@ -0,0 +1,77 @@
+// Shared Project API
+// Loads and saves projects in the server's shared store so several clerks can work on one review
+
+// Use relative URL in production, localhost in development
+const API_BASE_URL = import.meta.env.DEV ? 'http://localhost:3001' : '';
+
+/**
+ * Call the projects API and unwrap the { success, ... } envelope
+ * Failed requests throw an Error with `status`; version conflicts (409) also carry
+ * the server's current copy as `error.project`
+ */
+async function request(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}/api/projects${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            ...options.headers,
+        },
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || !result.success) {
+        const error = new Error(result.error || `Project request failed (${response.status})`);
+        error.status = response.status;
+        if (result.project) error.project = result.project;
+        throw error;
+    }
+
+    return result;
+}
+
+/**
+ * List shared projects, most recently updated first
+ */
+export async function listServerProjects() {
+    const result = await request('');
+    return result.projects;
+}
+
+/**
+ * Load a shared project with its full wizard state
+ */
+export async function getServerProject(id) {
+    const result = await request(`/${id}`);
+    return result.project;
+}
+
+/**
+ * Create a shared project from a portable wizard state
+ */
+export async function createServerProject(name, state) {
+    const result = await request('', {
+        method: 'POST',
+        body: JSON.stringify({ name, state }),
+    });
+    return result.project;
+}
+
+/**
+ * Save changes to a shared project. `version` is the version this edit was based on;
+ * if someone else has saved since, this throws with status 409.
+ */
+export async function updateServerProject(id, { name, state }, version) {
+    const result = await request(`/${id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ name, state, version }),
+    });
+    return result.project;
+}
+
+/**
+ * Delete a shared project, unless it has changed since `version`
+ */
+export async function deleteServerProject(id, version) {
+    await request(`/${id}?version=${encodeURIComponent(version)}`, { method: 'DELETE' });
+}
@@ -0,0 +1,313 @@
+// Project File Service
+// Exports a whole PLS review as a `.pls.json` file and imports it again, so a review can be
+// handed to another staffer or archived without a server.
+//
+// File layout (schemaVersion 2):
+// {
+//   "format": "pls-project",
+//   "schemaVersion": 2,
+//   "exportedAt": ISO date,
+//   "project": {
+//     "name", "createdAt", "updatedAt",
+//     "context":      { country, jurisdiction, parliamentType, legislationTitle, legislationYear, assentDate,
+//                       commencementDate, ... },
+//     "stakeholders": [{ id, name, type, influence: high|medium|low, interest: high|medium|low, notes, aiProposed? }],
+//     "consultation": { methods: [], targetGroups: [], timeline, keyQuestions, accessibilityMeasures,
+//                       aiProposedMethods: [], aiProposedQuestions: [] },
+//     "monitoring":   { secondaryLegislation: [{ id, text, status, deadline?, completedOn?, agency?, aiProposed?, aiExtracted?,
+//                                              procedure?: affirmative|negative|none, statutoryDeadline?,
+//                                              source?: { section, start, end, quote } }],
+//                       implementationMilestones: [{ ...as above without procedure, sections?,
+//                                                  commencement?: { trigger: assent|period|date|regulations, date, years,
+//                                                                   months, days, holder } }],
+//                       dataIndicators: [{ id, text, status, unit?, baselineValue?, baselineDate?, targetValue?, targetDate?,
+//                                          observations?: [{ date, value }], aiProposed? }],
+//                       reviewProvisions: [{ id, type: review|sunset|reporting|expiry, description, obligatedBody,
+//                                            trigger: { event: ''|date|commencement|assent|annual, date, years, months },
+//                                            section, quote, start, end, aiExtracted? }],
+//                       reviewClauses },
+//     "assessment":   { intendedOutcomes, unintendedConsequences, effectivenessRating: 1-5, evidenceSources: [],
+//                       recommendations: [{ id, addressee, action, measure, deadline, evidence: [],
+//                                          response?: { received, decision: ''|accepted|partial|rejected,
+//                                                       implementationStatus, followUpDate, notes } }],
+//                       reportPublished, responseDue },
+//     "termsOfReference": { scope, questions: { [Box 7 category id]: text }, witnesses, timeline, draftedAt },
+//     "document":     null | { name, size, info, text, pages, markup, extraction }
+//   }
+// }
+//
+// When the layout changes, bump PROJECT_FILE_VERSION and add a migration from the previous version.
+
+import { downloadBlob } from './download';
+import { normalizeRecommendations } from './smartRecommendations';
+import { RESPONSE_DECISIONS } from './followUp';
+import { PROCEDURES } from './delegatedPowers';
+import { CLAUSE_TYPES, TRIGGER_EVENTS } from './reviewClauses';
+import { COMMENCEMENT_TRIGGERS } from './commencement';
+
+export const PROJECT_FILE_FORMAT = 'pls-project';
+export const PROJECT_FILE_VERSION = 2;
+export const PROJECT_FILE_EXTENSION = '.pls.json';
+
+const LEVELS = ['high', 'medium', 'low'];
+const MONITORING_STATUSES = ['pending', 'inprogress', 'completed', 'delayed'];
+const MONITORING_LISTS = ['secondaryLegislation', 'implementationMilestones', 'dataIndicators'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Migrations from each older schema version to the next.
+ * Version 0 is a bare project record - as saved in the browser or in the server's PROJECTS_DIR -
+ * with the wizard under `state` and no file envelope.
+ * Version 1 kept recommendations as one block of text; version 2 has one record per recommendation.
+ */
+const MIGRATIONS = {
+    0: (file) => ({
+        format: PROJECT_FILE_FORMAT,
+        schemaVersion: 1,
+        exportedAt: file.updatedAt || null,
+        project: {
+            name: file.name || 'Imported review',
+            createdAt: file.createdAt || null,
+            updatedAt: file.updatedAt || null,
+            ...file.state,
+        },
+    }),
+    1: (file) => ({
+        ...file,
+        schemaVersion: 2,
+        project: isObject(file.project?.assessment)
+            ? { ...file.project, assessment: { ...file.project.assessment, recommendations: normalizeRecommendations(file.project.assessment.recommendations) } }
+            : file.project,
+    }),
+};
+
+/**
+ * The saved parts of an uploaded document - never the File itself, which cannot be serialised
+ */
+function portableDocument(document) {
+    if (!document) return null;
+    return {
+        name: document.name || document.file?.name || '',
+        size: document.size ?? document.file?.size ?? null,
+        info: document.info || null,
+        text: document.text || '',
+        pages: document.pages || [],
+        markup: document.markup || null,
+        extraction: document.extraction || null,
+    };
+}
+
+/**
+ * Build the file contents for a project
+ * `state` is the wizard snapshot saved by the project store; the uploaded File itself is dropped
+ */
+export function serializeProject({ name, createdAt, updatedAt }, state) {
+    const { context, stakeholders, consultation, monitoring, assessment, termsOfReference, document } = state;
+    return {
+        format: PROJECT_FILE_FORMAT,
+        schemaVersion: PROJECT_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        project: {
+            name,
+            createdAt: createdAt || null,
+            updatedAt: updatedAt || null,
+            context,
+            stakeholders,
+            consultation,
+            monitoring,
+            assessment,
+            termsOfReference,
+            document: portableDocument(document),
+        },
+    };
+}
+
+/**
+ * Download a project as `<name>.pls.json`
+ */
+export function downloadProjectFile(project, state) {
+    const contents = serializeProject(project, state);
+    const blob = new Blob([JSON.stringify(contents, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${(project.name || 'pls-project').replace(/[^\w\- ]+/g, '').trim() || 'pls-project'}${PROJECT_FILE_EXTENSION}`);
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check a current-version project against the documented layout
+ * Returns a list of problems, empty when the project is valid
+ */
+function validateProject(project) {
+    const problems = [];
+    const expectObject = (value, path) => {
+        if (value !== undefined && !isObject(value)) problems.push(`${path} must be an object`);
+    };
+    const expectArray = (value, path) => {
+        if (value !== undefined && !Array.isArray(value)) {
+            problems.push(`${path} must be a list`);
+            return false;
+        }
+        return value !== undefined;
+    };
+    const expectStrings = (value, path) => {
+        if (!isObject(value)) return;
+        for (const [key, field] of Object.entries(value)) {
+            if (typeof field !== 'string' && !Array.isArray(field) && typeof field !== 'number') {
+                problems.push(`${path}.${key} has an unexpected value`);
+            }
+        }
+    };
+
+    if (!isObject(project)) return ['project is missing'];
+    if (project.name !== undefined && typeof project.name !== 'string') problems.push('project.name must be text');
+
+    expectObject(project.context, 'context');
+    expectStrings(project.context, 'context');
+
+    if (expectArray(project.stakeholders, 'stakeholders')) {
+        project.stakeholders.forEach((s, i) => {
+            if (!isObject(s) || typeof s.name !== 'string') {
+                problems.push(`stakeholders[${i}] must have a name`);
+                return;
+            }
+            if (s.influence !== undefined && !LEVELS.includes(s.influence)) problems.push(`stakeholders[${i}].influence must be one of ${LEVELS.join('/')}`);
+            if (s.interest !== undefined && !LEVELS.includes(s.interest)) problems.push(`stakeholders[${i}].interest must be one of ${LEVELS.join('/')}`);
+        });
+    }
+
+    expectObject(project.consultation, 'consultation');
+    expectStrings(project.consultation, 'consultation');
+
+    expectObject(project.monitoring, 'monitoring');
+    if (isObject(project.monitoring)) {
+        for (const list of MONITORING_LISTS) {
+            if (!expectArray(project.monitoring[list], `monitoring.${list}`)) continue;
+            project.monitoring[list].forEach((item, i) => {
+                if (!isObject(item) || typeof item.text !== 'string') {
+                    problems.push(`monitoring.${list}[${i}] must have text`);
+                } else if (item.status !== undefined && !MONITORING_STATUSES.includes(item.status)) {
+                    problems.push(`monitoring.${list}[${i}].status must be one of ${MONITORING_STATUSES.join('/')}`);
+                } else {
+                    for (const field of ['deadline', 'completedOn']) {
+                        if (item[field] && !ISO_DATE.test(item[field])) problems.push(`monitoring.${list}[${i}].${field} must be a YYYY-MM-DD date`);
+                    }
+                    if (item.procedure && !PROCEDURES[item.procedure]) {
+                        problems.push(`monitoring.${list}[${i}].procedure must be one of ${Object.keys(PROCEDURES).join('/')}`);
+                    }
+                    expectObject(item.source, `monitoring.${list}[${i}].source`);
+                    expectObject(item.commencement, `monitoring.${list}[${i}].commencement`);
+                    if (isObject(item.commencement) && item.commencement.trigger && !COMMENCEMENT_TRIGGERS[item.commencement.trigger]) {
+                        problems.push(`monitoring.${list}[${i}].commencement.trigger must be one of ${Object.keys(COMMENCEMENT_TRIGGERS).join('/')}`);
+                    }
+                    if (expectArray(item.observations, `monitoring.${list}[${i}].observations`)
+                        && item.observations.some(o => !isObject(o) || typeof o.date !== 'string' || typeof o.value !== 'number')) {
+                        problems.push(`monitoring.${list}[${i}].observations must each have a date and a numeric value`);
+                    }
+                }
+            });
+        }
+        if (expectArray(project.monitoring.reviewProvisions, 'monitoring.reviewProvisions')) {
+            project.monitoring.reviewProvisions.forEach((item, i) => {
+                const path = `monitoring.reviewProvisions[${i}]`;
+                if (!isObject(item) || !CLAUSE_TYPES[item.type]) {
+                    problems.push(`${path}.type must be one of ${Object.keys(CLAUSE_TYPES).join('/')}`);
+                } else if (!isObject(item.trigger)) {
+                    problems.push(`${path}.trigger must be an object`);
+                } else if (item.trigger.event && !TRIGGER_EVENTS[item.trigger.event]) {
+                    problems.push(`${path}.trigger.event must be one of ${Object.keys(TRIGGER_EVENTS).join('/')}`);
+                } else if (item.trigger.date && !ISO_DATE.test(item.trigger.date)) {
+                    problems.push(`${path}.trigger.date must be a YYYY-MM-DD date`);
+                }
+            });
+        }
+    }
+
+    expectObject(project.assessment, 'assessment');
+    if (isObject(project.assessment)) {
+        const rating = project.assessment.effectivenessRating;
+        if (rating !== undefined && !(Number.isInteger(rating) && rating >= 1 && rating <= 5)) {
+            problems.push('assessment.effectivenessRating must be a whole number from 1 to 5');
+        }
+        expectArray(project.assessment.evidenceSources, 'assessment.evidenceSources');
+        if (expectArray(project.assessment.recommendations, 'assessment.recommendations')) {
+            project.assessment.recommendations.forEach((r, i) => {
+                if (!isObject(r) || typeof r.action !== 'string') {
+                    problems.push(`assessment.recommendations[${i}] must have an action`);
+                } else {
+                    expectArray(r.evidence, `assessment.recommendations[${i}].evidence`);
+                    expectObject(r.response, `assessment.recommendations[${i}].response`);
+                    const { decision, implementationStatus } = isObject(r.response) ? r.response : {};
+                    if (decision && !RESPONSE_DECISIONS[decision]) {
+                        problems.push(`assessment.recommendations[${i}].response.decision must be one of ${Object.keys(RESPONSE_DECISIONS).join('/')}`);
+                    }
+                    if (implementationStatus !== undefined && !MONITORING_STATUSES.includes(implementationStatus)) {
+                        problems.push(`assessment.recommendations[${i}].response.implementationStatus must be one of ${MONITORING_STATUSES.join('/')}`);
+                    }
+                }
+            });
+        }
+    }
+
+    expectObject(project.termsOfReference, 'termsOfReference');
+    if (isObject(project.termsOfReference)) {
+        expectObject(project.termsOfReference.questions, 'termsOfReference.questions');
+        expectStrings(project.termsOfReference.questions, 'termsOfReference.questions');
+    }
+
+    if (project.document !== undefined && project.document !== null) {
+        expectObject(project.document, 'document');
+        if (isObject(project.document) && project.document.text !== undefined && typeof project.document.text !== 'string') {
+            problems.push('document.text must be text');
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Read a `.pls.json` file, migrating older schema versions
+ * Resolves with { name, state, migratedFrom } where `state` is a wizard snapshot for the project store;
+ * rejects with a readable message if the file is not a valid PLS project.
+ */
+export async function readProjectFile(file) {
+    let contents;
+    try {
+        contents = JSON.parse(await file.text());
+    } catch {
+        throw new Error(`${file.name} is not a JSON file`);
+    }
+    if (!isObject(contents)) throw new Error(`${file.name} is not a PLS project file`);
+
+    // Bare project records carry their wizard under `state` and have no envelope
+    const isBareRecord = contents.format === undefined && isObject(contents.state);
+    if (!isBareRecord && contents.format !== PROJECT_FILE_FORMAT) {
+        throw new Error(`${file.name} is not a PLS project file`);
+    }
+
+    const originalVersion = isBareRecord ? 0 : contents.schemaVersion;
+    if (!Number.isInteger(originalVersion) || originalVersion < 0) {
+        throw new Error(`${file.name} has an invalid schemaVersion`);
+    }
+    if (originalVersion > PROJECT_FILE_VERSION) {
+        throw new Error(`${file.name} was saved by a newer version of the tool (schema ${originalVersion}). Please update PLS Command Center to open it.`);
+    }
+
+    let migrated = contents;
+    for (let version = originalVersion; version < PROJECT_FILE_VERSION; version++) {
+        migrated = MIGRATIONS[version](migrated);
+    }
+
+    const problems = validateProject(migrated.project);
+    if (problems.length > 0) {
+        const shown = problems.slice(0, 5).join('; ');
+        const more = problems.length > 5 ? ` (and ${problems.length - 5} more)` : '';
+        throw new Error(`${file.name} is not a valid PLS project: ${shown}${more}`);
+    }
+
+    const { name, context, stakeholders, consultation, monitoring, assessment, termsOfReference, document } = migrated.project;
+    return {
+        name: name || file.name.replace(/\.pls\.json$|\.json$/i, ''),
+        state: { context, stakeholders, consultation, monitoring, assessment, termsOfReference, document: portableDocument(document) },
+        migratedFrom: originalVersion < PROJECT_FILE_VERSION ? originalVersion : null,
+    };
+}
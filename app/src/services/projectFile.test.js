@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { PROJECT_FILE_FORMAT, readProjectFile } from './projectFile';
+
+const projectFile = (contents, name = 'review.pls.json') => new File([JSON.stringify(contents)], name, { type: 'application/json' });
+
+const context = { country: 'United Kingdom', legislationTitle: 'Example Act', legislationYear: '2023' };
+const stakeholders = [{ id: 1, name: 'Local councils', type: 'government', influence: 'high', interest: 'medium', notes: '' }];
+
+describe('readProjectFile', () => {
+    it('migrates a bare project record (schema 0)', async () => {
+        const imported = await readProjectFile(projectFile({
+            id: '3b2c1a9e-0000-4000-8000-000000000000',
+            name: 'Example Act review',
+            version: 4,
+            updatedAt: '2025-03-01T10:00:00.000Z',
+            state: {
+                context,
+                stakeholders,
+                assessment: { effectivenessRating: 3, recommendations: '1. Publish guidance for councils within 6 months' },
+            },
+        }));
+
+        expect(imported.migratedFrom).toBe(0);
+        expect(imported.name).toBe('Example Act review');
+        expect(imported.state.context).toEqual(context);
+        expect(imported.state.stakeholders).toEqual(stakeholders);
+        expect(imported.state.assessment.recommendations).toEqual([
+            expect.objectContaining({ id: 1, action: 'Publish guidance for councils within 6 months' }),
+        ]);
+        expect(imported.state.document).toBeNull();
+    });
+
+    it('migrates a schema 1 file with recommendations as one block of text', async () => {
+        const imported = await readProjectFile(projectFile({
+            format: PROJECT_FILE_FORMAT,
+            schemaVersion: 1,
+            project: {
+                context,
+                monitoring: { secondaryLegislation: [{ id: 1, text: 'Commencement regulations', status: 'pending' }] },
+                assessment: { recommendations: '• Publish guidance\n• Report to Parliament annually' },
+                document: { name: 'example-act.pdf', text: 'Example Act 2023' },
+            },
+        }, 'Example Act.pls.json'));
+
+        expect(imported.migratedFrom).toBe(1);
+        expect(imported.name).toBe('Example Act');
+        expect(imported.state.monitoring.secondaryLegislation).toHaveLength(1);
+        expect(imported.state.assessment.recommendations.map(r => r.action)).toEqual(['Publish guidance', 'Report to Parliament annually']);
+        expect(imported.state.document).toMatchObject({ name: 'example-act.pdf', text: 'Example Act 2023', pages: [] });
+    });
+
+    it('rejects a file that breaks the project layout', async () => {
+        const file = projectFile({
+            format: PROJECT_FILE_FORMAT,
+            schemaVersion: 2,
+            project: {
+                stakeholders: [{ name: 'Local councils', influence: 'very high' }],
+                assessment: { effectivenessRating: 9, recommendations: [] },
+            },
+        }, 'broken.pls.json');
+
+        await expect(readProjectFile(file)).rejects.toThrow(
+            'broken.pls.json is not a valid PLS project: stakeholders[0].influence must be one of high/medium/low; assessment.effectivenessRating must be a whole number from 1 to 5'
+        );
+    });
+
+    it('rejects a file that is not JSON', async () => {
+        const file = new File(['not json'], 'notes.pls.json');
+        await expect(readProjectFile(file)).rejects.toThrow('notes.pls.json is not a JSON file');
+    });
+});
@@ -0,0 +1,135 @@
+// Project Store Service
+// Saves PLS Tool projects in the browser's IndexedDB so reviews survive refreshes
+// and one user can keep several reviews (one per Act) side by side
+
+const DB_NAME = 'pls-command-center';
+const DB_VERSION = 1;
+const STORE_NAME = 'projects';
+
+let dbPromise = null;
+
+/**
+ * Open (and on first use, create) the projects database
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a retry after a failed open (e.g. private browsing)
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run a single request against the projects store and resolve with its result
+ */
+async function withStore(mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+const newId = () => (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(16).slice(2)}`);
+
+/**
+ * List all projects, most recently updated first
+ * Returns summaries: { id, name, legislationTitle, createdAt, updatedAt }
+ */
+export async function listProjects() {
+    const projects = await withStore('readonly', store => store.getAll());
+    return projects
+        .map(p => ({
+            id: p.id,
+            name: p.name,
+            legislationTitle: p.state?.context?.legislationTitle || '',
+            createdAt: p.createdAt,
+            updatedAt: p.updatedAt,
+        }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Load a full project record, or null if it no longer exists
+ */
+export async function getProject(id) {
+    return (await withStore('readonly', store => store.get(id))) || null;
+}
+
+/**
+ * Create a new project from a wizard state snapshot
+ */
+export async function createProject(name, state) {
+    const now = new Date().toISOString();
+    const project = { id: newId(), name, state, createdAt: now, updatedAt: now };
+    await withStore('readwrite', store => store.put(project));
+    return project;
+}
+
+/**
+ * Save the wizard state of an existing project
+ */
+export async function saveProject(id, state) {
+    const existing = await getProject(id);
+    if (!existing) throw new Error('Project not found');
+    const project = { ...existing, state, updatedAt: new Date().toISOString() };
+    await withStore('readwrite', store => store.put(project));
+    return project;
+}
+
+/**
+ * Rename a project
+ */
+export async function renameProject(id, name) {
+    const existing = await getProject(id);
+    if (!existing) throw new Error('Project not found');
+    const project = { ...existing, name, updatedAt: new Date().toISOString() };
+    await withStore('readwrite', store => store.put(project));
+    return project;
+}
+
+/**
+ * Copy a project under a new name
+ */
+export async function duplicateProject(id, name) {
+    const existing = await getProject(id);
+    if (!existing) throw new Error('Project not found');
+    return createProject(name || `${existing.name} (copy)`, structuredClone(existing.state));
+}
+
+/**
+ * Delete a project
+ */
+export async function deleteProject(id) {
+    await withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Copy of a project state that survives JSON (for the shared server store and file export).
+ * Drops the uploaded File itself, keeping its name, size, extracted text and extraction results.
+ */
+export function toPortableState(state) {
+    if (!state?.document?.file) return state;
+    const document = { ...state.document };
+    delete document.file;
+    return { ...state, document };
+}
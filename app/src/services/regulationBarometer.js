@@ -0,0 +1,60 @@
+// Regulation Adoption Barometer
+// After the French Parliament's barometer of implementing regulations: of the secondary legislation
+// an Act requires, how much has been adopted, how much of it on time, and how late the rest was,
+// overall and for each implementing agency. Computed from `monitoring.secondaryLegislation`
+// (see implementationTimeline.js for the item layout).
+
+import { daysOverdue, todayIso } from './dates';
+import { isDone, isOverdue } from './implementationTimeline';
+
+const UNASSIGNED = 'No agency recorded';
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+const average = (values) => (values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+function tally(items, today) {
+    const adopted = items.filter(isDone);
+    // Lateness can only be judged for items with both a deadline and an adoption date
+    const delays = adopted
+        .filter(item => item.deadline && item.completedOn)
+        .map(item => daysOverdue(item.deadline, item.completedOn))
+        .filter(days => days !== null);
+    const lateDelays = delays.filter(days => days > 0);
+    return {
+        required: items.length,
+        adopted: adopted.length,
+        adoptedPercent: percent(adopted.length, items.length),
+        onTime: delays.length - lateDelays.length,
+        late: lateDelays.length,
+        undated: adopted.length - delays.length,
+        overdue: items.filter(item => isOverdue(item, today)).length,
+        averageDelay: average(lateDelays),
+    };
+}
+
+/**
+ * Adoption figures for a list of secondary legislation, or null when the list is empty
+ * Returns { required, adopted, adoptedPercent, onTime, late, undated, overdue, averageDelay, agencies: [...] }
+ * where `undated` counts adopted items without both dates, `averageDelay` is the mean days late of the
+ * late adoptions (null when none were late) and `agencies` holds the same figures with an `agency`
+ * name for each implementing agency, most regulations first
+ */
+export function adoptionBarometer(items = [], today = todayIso()) {
+    if (items.length === 0) return null;
+    const byAgency = new Map();
+    for (const item of items) {
+        const agency = item.agency?.trim() || UNASSIGNED;
+        byAgency.set(agency, [...(byAgency.get(agency) || []), item]);
+    }
+    const agencies = [...byAgency.entries()]
+        .map(([agency, list]) => ({ agency, ...tally(list, today) }))
+        .sort((a, b) => b.required - a.required || (a.agency === UNASSIGNED) - (b.agency === UNASSIGNED) || a.agency.localeCompare(b.agency));
+    return { ...tally(items, today), agencies };
+}
+
+/**
+ * "4 days" or "1 day"; an em dash without a figure
+ */
+export function delayLabel(days) {
+    return days === null ? '—' : `${days} day${days === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,283 @@
+// Report Builder Service
+// Turns the PLS Tool wizard state into a format-neutral report outline that each
+// download format (Word, PDF, Markdown, HTML) renders in its own way.
+//
+// A report is { title, shortTitle, legislationTitle, country, jurisdiction, year, effectivenessRating?, subtitle,
+// generatedAt, sections: [{ number, title, blocks }], appendices: [{ letter, title, blocks }] }
+// where each block is one of:
+//   { type: 'text', text }                           paragraphs separated by line breaks
+//   { type: 'empty', text }                          placeholder when a section has no content
+//   { type: 'subheading', text }
+//   { type: 'field', label, text }                   short labelled value on one line
+//   { type: 'list', ordered?, items: [{ strong?, text, details?: [...] }] }   details are short lines under the item
+//   { type: 'table', columns: [...], rows: [[...]], statusColumn? }
+//   { type: 'chart', title, svg, columns, rows }     SVG chart, with its data as a table for formats that can't show it
+
+import { normalizeRecommendations } from './smartRecommendations';
+import { RESPONSE_DECISIONS } from './followUp';
+import { isOverdue } from './implementationTimeline';
+import { adoptionBarometer, delayLabel } from './regulationBarometer';
+import { PROCEDURES } from './delegatedPowers';
+import { commencementLabel } from './commencement';
+import { CLAUSE_TYPES, countdownLabel, reviewDueDate, triggerLabel } from './reviewClauses';
+import { describeProgress, formatIndicatorValue, indicatorChartSvg, sortedObservations } from './indicators';
+
+export const MONITORING_STATUS_LABELS = {
+    pending: 'Pending',
+    inprogress: 'In Progress',
+    completed: 'Completed',
+    delayed: 'Delayed',
+};
+
+const JURISDICTION_LABELS = {
+    national: 'National Parliament',
+    regional: 'Regional/State Legislature',
+    local: 'Local/Municipal Council',
+    supranational: 'Supranational Body',
+};
+
+const UNTITLED = '[Legislation Title]';
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+
+// Responsible agency, date, procedure and commencement columns appear once any item has them; open items past their
+// deadline show as Overdue
+const statusTable = (items) => {
+    const hasAgency = items.some(item => item.agency?.trim());
+    const hasDates = items.some(item => item.deadline || item.statutoryDeadline || item.completedOn);
+    const hasProcedure = items.some(item => PROCEDURES[item.procedure]);
+    const hasCommencement = items.some(item => item.commencement);
+    const columns = [
+        'Item',
+        ...(hasAgency ? ['Responsible'] : []),
+        ...(hasDates ? ['Deadline', 'Completed'] : []),
+        ...(hasProcedure ? ['Procedure'] : []),
+        ...(hasCommencement ? ['Commencement'] : []),
+        'Status',
+    ];
+    return {
+        type: 'table',
+        columns,
+        rows: items.map(item => [
+            item.text,
+            ...(hasAgency ? [item.agency?.trim() || ''] : []),
+            ...(hasDates ? [item.deadline || item.statutoryDeadline || '', item.completedOn || ''] : []),
+            ...(hasProcedure ? [PROCEDURES[item.procedure] ? capitalize(item.procedure) : ''] : []),
+            ...(hasCommencement ? [item.commencement ? commencementLabel(item.commencement) : ''] : []),
+            isOverdue(item) ? 'Overdue' : MONITORING_STATUS_LABELS[item.status] || item.status,
+        ]),
+        statusColumn: columns.length - 1,
+    };
+};
+
+// Adoption barometer for secondary legislation, with a row per agency once any item names one
+const barometerBlocks = (items) => {
+    const barometer = adoptionBarometer(items);
+    const summary = [
+        `${barometer.adopted} of ${barometer.required} adopted (${barometer.adoptedPercent}%)`,
+        `${barometer.onTime} on time, ${barometer.late} late`,
+        barometer.late > 0 && `average delay ${delayLabel(barometer.averageDelay)}`,
+        barometer.overdue > 0 && `${barometer.overdue} overdue`,
+    ].filter(Boolean).join(' • ');
+    const blocks = [{ type: 'field', label: 'Adoption barometer', text: summary }];
+    if (items.some(item => item.agency?.trim())) {
+        blocks.push({
+            type: 'table',
+            columns: ['Agency', 'Required', 'Adopted', 'On time', 'Late', 'Overdue', 'Average delay'],
+            rows: barometer.agencies.map(a => [
+                a.agency, String(a.required), `${a.adopted} (${a.adoptedPercent}%)`, String(a.onTime), String(a.late), String(a.overdue), delayLabel(a.averageDelay),
+            ]),
+        });
+    }
+    return blocks;
+};
+
+// Review, sunset, reporting and expiry provisions with their due dates as of today
+const reviewProvisionsTable = (provisions, context) => ({
+    type: 'table',
+    columns: ['Provision', 'Type', 'Obligated body', 'Trigger', 'Due'],
+    rows: provisions.map(provision => {
+        const due = reviewDueDate(provision, context);
+        return [
+            [provision.section, provision.description].filter(Boolean).join(': '),
+            CLAUSE_TYPES[provision.type] || CLAUSE_TYPES.review,
+            provision.obligatedBody || '',
+            triggerLabel(provision.trigger),
+            due ? `${due.date}${due.estimated ? ' (estimated)' : ''} - ${countdownLabel(due.date)}` : '',
+        ];
+    }),
+});
+
+// e.g. "Government response: Accepted (2027-05-12); implementation in progress"
+const responseDetail = ({ decision, received, implementationStatus }) => [
+    `Government response: ${RESPONSE_DECISIONS[decision]}${received ? ` (${received})` : ''}`,
+    decision !== 'rejected' && `implementation ${(MONITORING_STATUS_LABELS[implementationStatus] || 'Pending').toLowerCase()}`,
+].filter(Boolean).join('; ');
+
+// An indicator's baseline, target and progress, then its trend chart
+const indicatorBlocks = (indicator) => {
+    const reference = (label, value, date) => (typeof value === 'number'
+        ? `${label} ${formatIndicatorValue(value, indicator.unit)}${date ? ` (${date})` : ''}`
+        : '');
+    const facts = [
+        reference('Baseline', indicator.baselineValue, indicator.baselineDate),
+        reference('Target', indicator.targetValue, indicator.targetDate),
+        describeProgress(indicator),
+    ].filter(Boolean);
+    const svg = indicatorChartSvg(indicator);
+    return [
+        { type: 'field', label: indicator.text, text: facts.join(' • ') },
+        ...(svg ? [{
+            type: 'chart',
+            title: `${indicator.text}${indicator.unit ? ` (${indicator.unit})` : ''}`,
+            svg,
+            columns: ['Date', indicator.unit ? `Value (${indicator.unit})` : 'Value'],
+            rows: sortedObservations(indicator).map(o => [o.date, formatIndicatorValue(o.value)]),
+        }] : []),
+    ];
+};
+
+/**
+ * Cover details shared by every document built from a project: legislation title, country,
+ * jurisdiction label, year and a one-line subtitle
+ */
+export function reportDetails(context) {
+    const jurisdiction = JURISDICTION_LABELS[context.jurisdiction] || context.jurisdiction || '';
+    return {
+        legislationTitle: context.legislationTitle || UNTITLED,
+        country: context.country || '',
+        jurisdiction,
+        year: context.legislationYear || '',
+        subtitle: [
+            context.country,
+            jurisdiction,
+            context.legislationYear && `Enacted ${context.legislationYear}`,
+        ].filter(Boolean).join(' • '),
+    };
+}
+
+/**
+ * Build the report outline
+ * `consultationMethods` is the list of { id, label } offered on the Consultation tab
+ */
+export function buildReport({ context, stakeholders, consultation, monitoring, assessment }, { consultationMethods = [] } = {}) {
+    const sections = [];
+    const addSection = (title, blocks) => sections.push({ number: sections.length + 1, title, blocks });
+
+    // 1. Background & Objectives
+    const background = [context.legislationSummary
+        ? { type: 'text', text: context.legislationSummary }
+        : { type: 'empty', text: 'No summary provided.' }];
+    if (context.primaryObjectives) {
+        background.push({ type: 'subheading', text: 'Primary Objectives' }, { type: 'text', text: context.primaryObjectives });
+    }
+    addSection('Background & Objectives', background);
+
+    // 2. Stakeholders Consulted
+    addSection('Stakeholders Consulted', stakeholders.length > 0
+        ? [{ type: 'list', items: stakeholders.map(s => ({ strong: s.name, text: ` (${s.type || 'Unspecified'}) - ${s.notes || 'No notes'}` })) }]
+        : [{ type: 'empty', text: 'No stakeholders identified.' }]);
+
+    // 3. Consultation Approach
+    const approach = [];
+    if (consultation.methods.length > 0) {
+        const labels = consultation.methods.map(id => consultationMethods.find(m => m.id === id)?.label || id);
+        approach.push({ type: 'field', label: 'Methods used', text: labels.join(', ') });
+        if (consultation.keyQuestions) {
+            approach.push({ type: 'subheading', text: 'Key Questions' }, { type: 'text', text: consultation.keyQuestions });
+        }
+    } else {
+        approach.push({ type: 'empty', text: 'No consultation methods specified.' });
+    }
+    addSection('Consultation Approach', approach);
+
+    // 4. Implementation Status
+    const status = [];
+    if (monitoring.secondaryLegislation.length > 0) {
+        status.push(
+            { type: 'subheading', text: 'Secondary Legislation' },
+            ...barometerBlocks(monitoring.secondaryLegislation),
+            statusTable(monitoring.secondaryLegislation),
+        );
+    }
+    if (monitoring.implementationMilestones.length > 0) {
+        status.push({ type: 'subheading', text: 'Implementation Milestones' }, statusTable(monitoring.implementationMilestones));
+    }
+    if (monitoring.dataIndicators?.length > 0) {
+        status.push({ type: 'subheading', text: 'Data Indicators' }, ...monitoring.dataIndicators.flatMap(indicatorBlocks));
+    }
+    if (monitoring.reviewProvisions?.length > 0 || monitoring.reviewClauses) {
+        status.push({ type: 'subheading', text: 'Review Clauses' });
+        if (monitoring.reviewProvisions?.length > 0) status.push(reviewProvisionsTable(monitoring.reviewProvisions, context));
+        if (monitoring.reviewClauses) status.push({ type: 'text', text: monitoring.reviewClauses });
+    }
+    addSection('Implementation Status', status.length > 0 ? status : [{ type: 'empty', text: 'No implementation items recorded.' }]);
+
+    // 5. Impact Assessment
+    const impact = [{ type: 'field', label: 'Effectiveness Rating', text: `${assessment.effectivenessRating}/5` }];
+    if (assessment.intendedOutcomes) {
+        impact.push({ type: 'subheading', text: 'Intended Outcomes' }, { type: 'text', text: assessment.intendedOutcomes });
+    }
+    if (assessment.unintendedConsequences) {
+        impact.push({ type: 'subheading', text: 'Unintended Consequences' }, { type: 'text', text: assessment.unintendedConsequences });
+    }
+    addSection('Impact Assessment', impact);
+
+    // 6. Recommendations, numbered and addressed so each can be followed up
+    const recommendations = normalizeRecommendations(assessment.recommendations).filter(r => r.action?.trim());
+    addSection('Recommendations', recommendations.length > 0
+        ? [{
+            type: 'list',
+            ordered: true,
+            items: recommendations.map(r => ({
+                strong: r.addressee?.trim() ? `${r.addressee.trim()}:` : '',
+                text: r.addressee?.trim() ? ` ${r.action.trim()}` : r.action.trim(),
+                details: [
+                    r.measure?.trim() && `Measure: ${r.measure.trim()}`,
+                    r.deadline?.trim() && `Deadline: ${r.deadline.trim()}`,
+                    r.evidence?.length > 0 && `Evidence: ${r.evidence.join('; ')}`,
+                    r.response?.decision && responseDetail(r.response),
+                ].filter(Boolean),
+            })),
+        }]
+        : [{ type: 'empty', text: 'No recommendations provided.' }]);
+
+    // Appendices: the full stakeholder map and the evidence relied on (only when there are any)
+    const appendices = [];
+    const addAppendix = (title, blocks) => appendices.push({ letter: String.fromCharCode(65 + appendices.length), title, blocks });
+    if (stakeholders.length > 0) {
+        addAppendix('Stakeholders', [{
+            type: 'table',
+            columns: ['Stakeholder', 'Type', 'Influence', 'Interest', 'Notes'],
+            rows: stakeholders.map(s => [s.name, s.type || '', capitalize(s.influence), capitalize(s.interest), s.notes || '']),
+        }]);
+    }
+    if (assessment.evidenceSources.length > 0) {
+        addAppendix('Evidence Sources', [{ type: 'list', items: assessment.evidenceSources.map(source => ({ text: source })) }]);
+    }
+
+    return {
+        title: 'Post-Legislative Scrutiny Report',
+        shortTitle: 'PLS Report',
+        ...reportDetails(context),
+        effectivenessRating: assessment.effectivenessRating,
+        generatedAt: new Date(),
+        sections,
+        appendices,
+    };
+}
+
+/**
+ * Anchor id for a section or appendix heading, e.g. "background-objectives"
+ */
+export function headingSlug(title) {
+    return title.toLowerCase().replace(/&/g, ' ').replace(/[^\p{L}\d]+/gu, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * File name for a report download, e.g. "PLS Report - Climate Act 2019.docx"
+ */
+export function reportFileName(report, extension) {
+    const title = report.legislationTitle === UNTITLED ? '' : report.legislationTitle.replace(/[^\w\- ]+/g, '').trim();
+    return `${report.shortTitle}${title ? ` - ${title}` : ''}${extension}`;
+}
@@ -0,0 +1,210 @@
+// Word Report Export
+// Renders a report outline (see reportBuilder.js) as an editable .docx, entirely in the browser.
+// Uses Word's built-in Title / Heading 1 / Heading 2 styles so committee staff can restyle it
+// or generate a table of contents in Word.
+
+import {
+    AlignmentType,
+    BorderStyle,
+    Document,
+    Footer,
+    HeadingLevel,
+    ImageRun,
+    LevelFormat,
+    Packer,
+    Paragraph,
+    ShadingType,
+    Table,
+    TableCell,
+    TableRow,
+    TextRun,
+    WidthType,
+} from 'docx';
+
+// Status colours match the on-screen report preview
+const STATUS_COLORS = {
+    Completed: '059669',
+    Delayed: 'DC2626',
+    Overdue: 'B91C1C',
+    'In Progress': 'D97706',
+    Pending: '64748B',
+};
+
+const HEADER_FILL = 'E2E8F0';
+const ORDERED_LIST = 'ordered-list';
+const BORDER_COLOR = 'CBD5E1';
+
+const splitLines = (text) => String(text).split('\n').filter(line => line.trim() !== '');
+
+const cellBorders = Object.fromEntries(
+    ['top', 'bottom', 'left', 'right'].map(side => [side, { style: BorderStyle.SINGLE, size: 4, color: BORDER_COLOR }])
+);
+
+function renderTable(block) {
+    const header = new TableRow({
+        tableHeader: true,
+        children: block.columns.map(column => new TableCell({
+            borders: cellBorders,
+            shading: { type: ShadingType.CLEAR, color: 'auto', fill: HEADER_FILL },
+            children: [new Paragraph({ children: [new TextRun({ text: column, bold: true })] })],
+        })),
+    });
+
+    const rows = block.rows.map(row => new TableRow({
+        children: row.map((value, i) => new TableCell({
+            borders: cellBorders,
+            width: i === block.statusColumn ? { size: 20, type: WidthType.PERCENTAGE } : undefined,
+            children: [new Paragraph({
+                children: [new TextRun(i === block.statusColumn
+                    ? { text: value, bold: true, color: STATUS_COLORS[value] }
+                    : { text: value })],
+            })],
+        })),
+    }));
+
+    return [
+        new Table({ width: { size: 100, type: WidthType.PERCENTAGE }, rows: [header, ...rows] }),
+        new Paragraph({ text: '' }),
+    ];
+}
+
+// Word can't show SVG without a bitmap fallback, so charts are drawn onto a canvas first
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 220;
+
+async function rasterizeSvg(svg, width, height) {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        const canvas = document.createElement('canvas');
+        canvas.width = width * 2;
+        canvas.height = height * 2;
+        const context = canvas.getContext('2d');
+        context.scale(2, 2);
+        context.drawImage(image, 0, 0, width, height);
+        const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        return new Uint8Array(await png.arrayBuffer());
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+function renderChart(block, image) {
+    const caption = new Paragraph({ children: [new TextRun({ text: block.title, italics: true, size: 18, color: '64748B' })] });
+    if (!image) return [caption, ...renderTable(block)];
+    return [
+        new Paragraph({
+            children: [new ImageRun({ type: 'png', data: image, transformation: { width: CHART_WIDTH * 0.8, height: CHART_HEIGHT * 0.8 } })],
+        }),
+        caption,
+        new Paragraph({ text: '' }),
+    ];
+}
+
+function renderBlock(block, images) {
+    switch (block.type) {
+        case 'text':
+            return splitLines(block.text).map(line => new Paragraph({ text: line }));
+        case 'empty':
+            return [new Paragraph({ children: [new TextRun({ text: block.text, italics: true, color: '64748B' })] })];
+        case 'subheading':
+            return [new Paragraph({ text: block.text, heading: HeadingLevel.HEADING_2 })];
+        case 'field':
+            return [new Paragraph({ children: [new TextRun({ text: `${block.label}: `, bold: true }), new TextRun(block.text)] })];
+        case 'list':
+            return block.items.flatMap(item => [
+                new Paragraph({
+                    ...(block.ordered ? { numbering: { reference: ORDERED_LIST, level: 0 } } : { bullet: { level: 0 } }),
+                    children: [
+                        ...(item.strong ? [new TextRun({ text: item.strong, bold: true })] : []),
+                        new TextRun(item.text),
+                    ],
+                }),
+                ...(item.details || []).map(detail => new Paragraph({
+                    indent: { left: 720 },
+                    children: [new TextRun({ text: detail, size: 20, color: '64748B' })],
+                })),
+            ]);
+        case 'table':
+            return renderTable(block);
+        case 'chart':
+            return renderChart(block, images.get(block));
+        default:
+            return [];
+    }
+}
+
+/**
+ * Build the Word document for a report
+ * `images` maps chart blocks to PNG bytes; charts without one are written as a table of their data
+ */
+export function buildReportDocx(report, images = new Map()) {
+    const children = [
+        new Paragraph({ text: report.title, heading: HeadingLevel.TITLE }),
+        new Paragraph({ text: report.legislationTitle, heading: HeadingLevel.HEADING_2 }),
+        ...(report.subtitle ? [new Paragraph({ children: [new TextRun({ text: report.subtitle, color: '64748B' })] })] : []),
+    ];
+
+    for (const section of report.sections) {
+        children.push(new Paragraph({ text: `${section.number}. ${section.title}`, heading: HeadingLevel.HEADING_1 }));
+        for (const block of section.blocks) children.push(...renderBlock(block, images));
+    }
+
+    for (const appendix of report.appendices) {
+        children.push(new Paragraph({ text: `Appendix ${appendix.letter}: ${appendix.title}`, heading: HeadingLevel.HEADING_1, pageBreakBefore: true }));
+        for (const block of appendix.blocks) children.push(...renderBlock(block, images));
+    }
+
+    return new Document({
+        creator: 'PLS Command Center',
+        title: `${report.title}: ${report.legislationTitle}`,
+        styles: {
+            default: { document: { run: { font: 'Calibri', size: 22 } } },
+        },
+        numbering: {
+            config: [{
+                reference: ORDERED_LIST,
+                levels: [{
+                    level: 0,
+                    format: LevelFormat.DECIMAL,
+                    text: '%1.',
+                    alignment: AlignmentType.START,
+                    style: { paragraph: { indent: { left: 720, hanging: 360 } } },
+                }],
+            }],
+        },
+        sections: [{
+            footers: {
+                default: new Footer({
+                    children: [new Paragraph({
+                        alignment: AlignmentType.CENTER,
+                        children: [new TextRun({
+                            text: `Generated by PLS Command Center • ${report.generatedAt.toLocaleDateString()}`,
+                            size: 16,
+                            color: '64748B',
+                        })],
+                    })],
+                }),
+            },
+            children,
+        }],
+    });
+}
+
+/**
+ * Render a report as a .docx Blob
+ */
+export async function renderReportDocx(report) {
+    const images = new Map();
+    const charts = [...report.sections, ...report.appendices].flatMap(part => part.blocks).filter(block => block.type === 'chart');
+    for (const chart of charts) {
+        try {
+            images.set(chart, await rasterizeSvg(chart.svg, CHART_WIDTH, CHART_HEIGHT));
+        } catch (error) {
+            console.warn('Chart could not be drawn for Word; including its data instead:', error);
+        }
+    }
+    return Packer.toBlob(buildReportDocx(report, images));
+}
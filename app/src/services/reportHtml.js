@@ -0,0 +1,136 @@
+// HTML Report Export
+// Renders a report outline (see reportBuilder.js) as a standalone, semantic HTML page:
+// one <section> per numbered report section, real tables for status lists, and a small
+// embedded stylesheet that publishing sites can drop or override.
+
+import { headingSlug } from './reportBuilder';
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const splitLines = (text) => String(text).split('\n').filter(line => line.trim() !== '');
+
+const STATUS_CLASSES = {
+    Completed: 'status-completed',
+    Delayed: 'status-delayed',
+    Overdue: 'status-overdue',
+    'In Progress': 'status-inprogress',
+    Pending: 'status-pending',
+};
+
+const STYLES = `
+body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #1e293b; line-height: 1.55; max-width: 52rem; margin: 2rem auto; padding: 0 1.25rem; }
+header { border-bottom: 2px solid #e2e8f0; padding-bottom: 1rem; margin-bottom: 1.5rem; }
+h1 { margin: 0; font-size: 1.75rem; }
+header p { margin: 0.25rem 0; color: #475569; }
+dl.report-meta { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; margin: 0.75rem 0 0; color: #475569; }
+dl.report-meta dt { font-weight: 600; }
+dl.report-meta dd { margin: 0; }
+h2 { font-size: 1.2rem; border-bottom: 1px solid #e2e8f0; padding-bottom: 0.25rem; margin-top: 2rem; }
+h3 { font-size: 1rem; margin-bottom: 0.25rem; }
+.empty { color: #64748b; font-style: italic; }
+ol > li { margin-bottom: 0.5rem; }
+figure.chart { margin: 0.5rem 0 1.25rem; }
+figure.chart svg { max-width: 100%; height: auto; border: 1px solid #e2e8f0; }
+figcaption { color: #64748b; font-size: 0.85rem; }
+ul.details { color: #475569; font-size: 0.9rem; margin: 0.15rem 0 0; }
+table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1rem; }
+th, td { border: 1px solid #cbd5e1; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #e2e8f0; }
+.status-completed { color: #059669; font-weight: 600; }
+.status-delayed { color: #dc2626; font-weight: 600; }
+.status-overdue { color: #b91c1c; font-weight: 700; }
+.status-inprogress { color: #d97706; font-weight: 600; }
+.status-pending { color: #64748b; font-weight: 600; }
+footer { margin-top: 2.5rem; padding-top: 1rem; border-top: 1px solid #e2e8f0; color: #64748b; font-size: 0.8rem; text-align: center; }
+`;
+
+function renderBlock(block) {
+    switch (block.type) {
+        case 'text':
+            return splitLines(block.text).map(line => `<p>${escapeHtml(line)}</p>`).join('\n');
+        case 'empty':
+            return `<p class="empty">${escapeHtml(block.text)}</p>`;
+        case 'subheading':
+            return `<h3>${escapeHtml(block.text)}</h3>`;
+        case 'field':
+            return `<p><strong>${escapeHtml(block.label)}:</strong> ${escapeHtml(block.text)}</p>`;
+        case 'list': {
+            const tag = block.ordered ? 'ol' : 'ul';
+            const details = (item) => (item.details?.length
+                ? `\n    <ul class="details">${item.details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('')}</ul>\n  `
+                : '');
+            return `<${tag}>\n${block.items.map(item => `  <li>${item.strong ? `<strong>${escapeHtml(item.strong)}</strong>` : ''}${escapeHtml(item.text)}${details(item)}</li>`).join('\n')}\n</${tag}>`;
+        }
+        case 'chart':
+            return `<figure class="chart">\n${block.svg}\n<figcaption>${escapeHtml(block.title)}</figcaption>\n</figure>`;
+        case 'table': {
+            const head = block.columns.map(column => `<th scope="col">${escapeHtml(column)}</th>`).join('');
+            const body = block.rows.map(row => `    <tr>${row.map((value, i) => (i === block.statusColumn
+                ? `<td class="${STATUS_CLASSES[value] || ''}">${escapeHtml(value)}</td>`
+                : `<td>${escapeHtml(value)}</td>`)).join('')}</tr>`).join('\n');
+            return `<table>\n  <thead><tr>${head}</tr></thead>\n  <tbody>\n${body}\n  </tbody>\n</table>`;
+        }
+        default:
+            return '';
+    }
+}
+
+function renderSection(id, heading, blocks) {
+    return `<section id="${id}" aria-labelledby="${id}-heading">
+<h2 id="${id}-heading">${escapeHtml(heading)}</h2>
+${blocks.map(renderBlock).join('\n')}
+</section>`;
+}
+
+/**
+ * Render a report as a standalone HTML document
+ */
+export function buildReportHtml(report) {
+    const meta = [
+        ['Country', report.country],
+        ['Jurisdiction', report.jurisdiction],
+        ['Year enacted', report.year],
+        ['Effectiveness rating', report.effectivenessRating ? `${report.effectivenessRating}/5` : ''],
+    ].filter(([, value]) => value);
+
+    const sections = [
+        ...report.sections.map(section => renderSection(headingSlug(section.title), `${section.number}. ${section.title}`, section.blocks)),
+        ...report.appendices.map(appendix => renderSection(`appendix-${appendix.letter.toLowerCase()}`, `Appendix ${appendix.letter}: ${appendix.title}`, appendix.blocks)),
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="generator" content="PLS Command Center">
+<title>${escapeHtml(`${report.title}: ${report.legislationTitle}`)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<article>
+<header>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="legislation-title">${escapeHtml(report.legislationTitle)}</p>
+${meta.length > 0 ? `<dl class="report-meta">\n${meta.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('\n')}\n</dl>` : ''}
+</header>
+${sections.join('\n')}
+<footer>
+<p>Generated by PLS Command Center • <time datetime="${report.generatedAt.toISOString()}">${escapeHtml(report.generatedAt.toLocaleDateString())}</time></p>
+</footer>
+</article>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report as an HTML Blob
+ */
+export function renderReportHtml(report) {
+    return new Blob([buildReportHtml(report)], { type: 'text/html;charset=utf-8' });
+}
@@ -0,0 +1,84 @@
+// Markdown Report Export
+// Renders a report outline (see reportBuilder.js) as Markdown with YAML front matter,
+// ready to drop into a static-site publishing repository.
+
+const escapeInline = (text) => String(text).replace(/([\\`*_[\]|<>])/g, '\\$1');
+const splitLines = (text) => String(text).split('\n').filter(line => line.trim() !== '');
+
+// Double-quoted YAML scalars use JSON string escaping
+const yamlValue = (value) => (typeof value === 'number' ? String(value) : JSON.stringify(String(value)));
+
+function frontMatter(report) {
+    const fields = [
+        ['title', `${report.title}: ${report.legislationTitle}`],
+        ['legislation', report.legislationTitle],
+        ['country', report.country],
+        ['jurisdiction', report.jurisdiction],
+        ['year', report.year],
+        ['effectiveness_rating', report.effectivenessRating],
+        ['date', report.generatedAt.toISOString().slice(0, 10)],
+        ['generator', 'PLS Command Center'],
+    ].filter(([, value]) => value !== '' && value !== undefined && value !== null);
+    return `---\n${fields.map(([key, value]) => `${key}: ${yamlValue(value)}`).join('\n')}\n---`;
+}
+
+const base64 = (text) => btoa(Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join(''));
+
+function renderTable(block) {
+    const row = (cells) => `| ${cells.map(cell => escapeInline(cell).replace(/\n/g, ' ')).join(' | ')} |`;
+    return [row(block.columns), row(block.columns.map(() => '---')), ...block.rows.map(row)].join('\n');
+}
+
+function renderBlock(block) {
+    switch (block.type) {
+        case 'text':
+            // Keep the author's own "- " and "1. " bullets, but never let a line become a heading
+            return splitLines(block.text).map(line => escapeInline(line).replace(/^(\s*)#/, '$1\\#')).join('\n\n');
+        case 'empty':
+            return `_${escapeInline(block.text)}_`;
+        case 'subheading':
+            return `### ${escapeInline(block.text)}`;
+        case 'field':
+            return `**${escapeInline(block.label)}:** ${escapeInline(block.text)}`;
+        case 'list':
+            return block.items.map((item, i) => [
+                `${block.ordered ? `${i + 1}.` : '-'} ${item.strong ? `**${escapeInline(item.strong)}**` : ''}${escapeInline(item.text)}`,
+                ...(item.details || []).map(detail => `    - ${escapeInline(detail)}`),
+            ].join('\n')).join('\n');
+        case 'table':
+            return renderTable(block);
+        case 'chart':
+            // The chart travels inside the file as a data URI, followed by its data for renderers that drop images
+            return `![${escapeInline(block.title)}](data:image/svg+xml;base64,${base64(block.svg)})\n\n${renderTable(block)}`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Render a report as Markdown text
+ */
+export function buildReportMarkdown(report) {
+    const parts = [
+        frontMatter(report),
+        `# ${escapeInline(report.title)}: ${escapeInline(report.legislationTitle)}`,
+        ...(report.subtitle ? [`_${escapeInline(report.subtitle)}_`] : []),
+    ];
+
+    for (const section of report.sections) {
+        parts.push(`## ${section.number}. ${escapeInline(section.title)}`, ...section.blocks.map(renderBlock));
+    }
+    for (const appendix of report.appendices) {
+        parts.push(`## Appendix ${appendix.letter}: ${escapeInline(appendix.title)}`, ...appendix.blocks.map(renderBlock));
+    }
+
+    parts.push('---', `_Generated by PLS Command Center • ${report.generatedAt.toLocaleDateString()}_`);
+    return `${parts.filter(Boolean).join('\n\n')}\n`;
+}
+
+/**
+ * Render a report as a Markdown Blob
+ */
+export function renderReportMarkdown(report) {
+    return new Blob([buildReportMarkdown(report)], { type: 'text/markdown;charset=utf-8' });
+}
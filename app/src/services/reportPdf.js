@@ -0,0 +1,143 @@
+// PDF Report Export
+// Renders a report outline (see reportBuilder.js) as a print-ready PDF with a cover page,
+// a table of contents and page numbers. Generated entirely in the browser - nothing is uploaded.
+
+import pdfMake from 'pdfmake/build/pdfmake.js';
+import pdfFonts from 'pdfmake/build/vfs_fonts.js';
+
+pdfMake.addVirtualFileSystem(pdfFonts);
+
+// WFD purple, and status colours matching the on-screen report preview
+const ACCENT = '#5f259f';
+const MUTED = '#64748b';
+const STATUS_COLORS = {
+    Completed: '#059669',
+    Delayed: '#dc2626',
+    Overdue: '#b91c1c',
+    'In Progress': '#d97706',
+    Pending: MUTED,
+};
+
+const splitLines = (text) => String(text).split('\n').filter(line => line.trim() !== '');
+
+function renderTable(block) {
+    const widths = block.columns.map((_, i) => (i === block.statusColumn ? 80 : i === 0 ? '*' : 'auto'));
+    return {
+        table: {
+            headerRows: 1,
+            widths,
+            body: [
+                block.columns.map(column => ({ text: column, style: 'tableHeader' })),
+                ...block.rows.map(row => row.map((value, i) => (i === block.statusColumn
+                    ? { text: value, bold: true, color: STATUS_COLORS[value] || MUTED }
+                    : { text: value }))),
+            ],
+        },
+        layout: {
+            hLineColor: () => '#cbd5e1',
+            vLineColor: () => '#cbd5e1',
+            fillColor: (rowIndex) => (rowIndex === 0 ? '#e2e8f0' : null),
+        },
+        margin: [0, 0, 0, 10],
+    };
+}
+
+function renderBlock(block) {
+    switch (block.type) {
+        case 'text':
+            return splitLines(block.text).map(line => ({ text: line, margin: [0, 0, 0, 4] }));
+        case 'empty':
+            return [{ text: block.text, italics: true, color: MUTED }];
+        case 'subheading':
+            return [{ text: block.text, style: 'subheading' }];
+        case 'field':
+            return [{ text: [{ text: `${block.label}: `, bold: true }, block.text], margin: [0, 0, 0, 6] }];
+        case 'list':
+            return [{
+                [block.ordered ? 'ol' : 'ul']: block.items.map(item => ({
+                    stack: [
+                        { text: [...(item.strong ? [{ text: item.strong, bold: true }] : []), item.text] },
+                        ...(item.details || []).map(detail => ({ text: detail, color: MUTED, fontSize: 9.5 })),
+                    ],
+                    margin: [0, 0, 0, item.details?.length ? 4 : 0],
+                })),
+                margin: [0, 0, 0, 6],
+            }];
+        case 'table':
+            return [renderTable(block)];
+        case 'chart':
+            return [
+                { svg: block.svg, width: 440, margin: [0, 4, 0, 2] },
+                { text: block.title, italics: true, color: MUTED, fontSize: 9, margin: [0, 0, 0, 10] },
+            ];
+        default:
+            return [];
+    }
+}
+
+// Cover page: legislation title, country, jurisdiction and year
+function renderCover(report) {
+    const details = [
+        ['Country', report.country],
+        ['Jurisdiction', report.jurisdiction],
+        ['Year enacted', report.year],
+    ].filter(([, value]) => value);
+
+    return [
+        { text: report.title.toUpperCase(), color: ACCENT, bold: true, fontSize: 12, characterSpacing: 1, margin: [0, 180, 0, 12] },
+        { text: report.legislationTitle, fontSize: 30, bold: true, margin: [0, 0, 0, 24] },
+        ...(details.length > 0 ? [{
+            table: { widths: [110, '*'], body: details.map(([label, value]) => [{ text: label, color: MUTED }, { text: value, bold: true }]) },
+            layout: 'noBorders',
+        }] : []),
+        { text: `Prepared ${report.generatedAt.toLocaleDateString()} with PLS Command Center`, color: MUTED, fontSize: 9, margin: [0, 200, 0, 0] },
+    ];
+}
+
+/**
+ * Build the pdfmake document definition for a report
+ */
+export function buildReportPdfDefinition(report) {
+    const content = [
+        ...renderCover(report),
+        { toc: { title: { text: 'Contents', style: 'heading' } }, pageBreak: 'before' },
+    ];
+
+    for (const section of report.sections) {
+        content.push({ text: `${section.number}. ${section.title}`, style: 'heading', tocItem: true, pageBreak: section.number === 1 ? 'before' : undefined });
+        for (const block of section.blocks) content.push(...renderBlock(block));
+    }
+
+    for (const appendix of report.appendices) {
+        content.push({ text: `Appendix ${appendix.letter}: ${appendix.title}`, style: 'heading', tocItem: true, pageBreak: 'before' });
+        for (const block of appendix.blocks) content.push(...renderBlock(block));
+    }
+
+    return {
+        info: { title: `${report.title}: ${report.legislationTitle}`, creator: 'PLS Command Center' },
+        pageSize: 'A4',
+        pageMargins: [56, 56, 56, 56],
+        content,
+        // No page number on the cover
+        footer: (currentPage, pageCount) => (currentPage === 1 ? null : {
+            columns: [
+                { text: report.legislationTitle, color: MUTED, fontSize: 8 },
+                { text: `Page ${currentPage} of ${pageCount}`, alignment: 'right', color: MUTED, fontSize: 8 },
+            ],
+            margin: [56, 20, 56, 0],
+        }),
+        defaultStyle: { fontSize: 10.5, lineHeight: 1.2 },
+        styles: {
+            heading: { fontSize: 16, bold: true, color: ACCENT, margin: [0, 16, 0, 8] },
+            subheading: { fontSize: 12, bold: true, margin: [0, 8, 0, 4] },
+            tableHeader: { bold: true },
+        },
+    };
+}
+
+/**
+ * Render a report as a PDF Blob
+ */
+export function renderReportPdf(report) {
+    return new Promise(resolve => pdfMake.createPdf(buildReportPdfDefinition(report)).getBlob(resolve));
+}
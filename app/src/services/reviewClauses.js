@@ -0,0 +1,173 @@
+// Review and Sunset Clauses
+// Box 3 of the 2023 WFD Manual: review clauses require a law to be reviewed after a set time,
+// sunset clauses make it expire unless it is renewed, and reporting clauses require reports on
+// how it is working. Each provision found in the Act is kept in `monitoring.reviewProvisions` as
+// { id, type, description, obligatedBody, trigger: { event, date, years, months }, section, quote, start, end, aiExtracted? }
+// where the trigger is a fixed date, a period after commencement or assent, or every year.
+// Its due date is computed from the Act's assent and commencement dates, or estimated from the
+// year of enactment when those are not known.
+
+import { addToDate, daysOverdue, todayIso } from './dates';
+import { calendarDate, clean, dutyHolder, findHeadings, parseCount, provisionAround, sectionAt } from './legislationText';
+
+export const CLAUSE_TYPES = {
+    review: 'Review clause',
+    sunset: 'Sunset clause',
+    reporting: 'Reporting requirement',
+    expiry: 'Expiry provision',
+};
+
+export const TRIGGER_EVENTS = {
+    date: 'On a fixed date',
+    commencement: 'After commencement',
+    assent: 'After Royal Assent / enactment',
+    annual: 'Every year',
+};
+
+// Checked in order; a provision takes the first type that matches. Modern Acts use the present
+// tense ("This Act expires...", "Sections 4 to 6 cease to have effect..."), older ones "shall".
+const CEASES = String.raw`(?:expires?|ceases?\s+to\s+(?:have\s+effect|be\s+in\s+force)|lapses?)`;
+const SHALL_CEASE = String.raw`(?:shall|will|is\s+to|are\s+to)\s+(?:expire|cease\s+to\s+(?:have\s+effect|be\s+in\s+force)|lapse)`;
+const PROVISIONS = String.raw`\b(?:sections?|Parts?|Chapters?|Schedules?|articles?|paragraphs?|provisions?|regulations?|orders?)\b[^.;]{0,60}?`;
+const REPORT_VERBS = String.raw`(?:lay|submit|present|publish|prepare|make)`;
+const TYPE_PATTERNS = [
+    ['sunset', new RegExp(String.raw`\bthis\s+(?:Act|Law)\s+(?:(?:shall|will|is\s+to)\s+be\s+repealed|${SHALL_CEASE}|${CEASES})\b|\bsunset\b`, 'gi')],
+    ['expiry', new RegExp(String.raw`\b${SHALL_CEASE}\b|${PROVISIONS}\b${CEASES}\b`, 'gi')],
+    // "must review", "shall carry out a review", "must, before the end of 5 years..., review"
+    ['review', /\b(?:shall|must|will)(?:,[^.;]{1,160}?,)?\s+(?:carry\s+out\s+|conduct\s+|undertake\s+|commission\s+)?(?:an?\s+|the\s+)?(?:independent\s+)?(?:review|evaluat\w*)\b|\breview\s+of\s+the\s+(?:operation|implementation|effectiveness|impact)\s+of\s+this\s+(?:Act|Law)\b/gi],
+    // "must lay a report", "must prepare and publish a report"
+    ['reporting', new RegExp(String.raw`\b(?:shall|must|will)\s+${REPORT_VERBS}(?:\s+and\s+${REPORT_VERBS})?\s+(?:before\s+[^.;]{1,40}?\s+)?(?:an?\s+|the\s+)?(?:annual\s+|written\s+)?report\b|\breport\s+(?:annually|each\s+year)\b`, 'gi')],
+];
+
+const PERIOD = /\b(\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|fifteen|eighteen|twenty|twenty-four|thirty|thirty-six)(?:\s*\(\d+\))?\s+(years?|months?)\b[^.;]{0,80}?\b(commencement|comes?\s+into\s+(?:force|operation)|in\s+force|entry\s+into\s+force|Royal\s+Assent|assent|passing|passed|enactment|enacted)/i;
+const ANNUAL = /\b(?:annually|annual\s+report|each\s+(?:financial\s+|calendar\s+)?year|every\s+year)\b/i;
+
+/**
+ * How a provision falls due, read from its wording; event is '' when the wording gives no trigger
+ */
+export function parseTrigger(provision) {
+    const date = calendarDate(provision);
+    if (date) return { event: 'date', date, years: 0, months: 0 };
+    const period = provision.match(PERIOD);
+    const count = period && parseCount(period[1]);
+    if (count !== null && count !== undefined && period) {
+        const event = /assent|pass|enact/i.test(period[3]) ? 'assent' : 'commencement';
+        return period[2].toLowerCase().startsWith('year')
+            ? { event, date: '', years: count, months: 0 }
+            : { event, date: '', years: 0, months: count };
+    }
+    if (ANNUAL.test(provision)) return { event: 'annual', date: '', years: 0, months: 0 };
+    return { event: '', date: '', years: 0, months: 0 };
+}
+
+/**
+ * Find review, sunset, reporting and expiry provisions in the text of an Act, in document order
+ */
+export function detectReviewClauses(text) {
+    const provisions = [];
+    const seen = new Set();
+    const headings = findHeadings(text);
+    for (const [type, pattern] of TYPE_PATTERNS) {
+        for (const match of text.matchAll(pattern)) {
+            const { from, to } = provisionAround(text, match.index, match.index + match[0].length);
+            if (seen.has(from)) continue;
+            seen.add(from);
+            const quote = clean(text.slice(from, to));
+            provisions.push({
+                type,
+                description: quote.replace(/^\(\w+\)\s*/, '').slice(0, 240),
+                obligatedBody: dutyHolder(quote),
+                trigger: parseTrigger(quote),
+                section: sectionAt(text, match.index, headings),
+                quote,
+                start: from,
+                end: to,
+            });
+        }
+    }
+    return provisions.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Provisions to add to `monitoring.reviewProvisions`, skipping those already listed
+ */
+export function newReviewProvisions(found, existing = [], nextId = () => Date.now(), extra = {}) {
+    const key = (p) => (Number.isInteger(p.start) ? p.start : clean(`${p.section} ${p.description}`).toLowerCase());
+    const known = new Set(existing.map(key));
+    const provisions = [];
+    for (const p of found) {
+        if (known.has(key(p))) continue;
+        known.add(key(p));
+        provisions.push({
+            id: nextId(),
+            type: CLAUSE_TYPES[p.type] ? p.type : 'review',
+            description: p.description || '',
+            obligatedBody: p.obligatedBody || '',
+            trigger: { event: '', date: '', years: 0, months: 0, ...p.trigger },
+            section: p.section || '',
+            quote: p.quote || '',
+            start: p.start ?? null,
+            end: p.end ?? null,
+            ...extra,
+        });
+    }
+    return provisions;
+}
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+// The date a period runs from: the event's own date, or the other date or the year of enactment as an estimate
+function startDate(event, { assentDate, commencementDate, legislationYear }) {
+    const [own, other] = event === 'assent' ? [assentDate, commencementDate] : [commencementDate, assentDate];
+    if (isIsoDate(own)) return { date: own, estimated: false };
+    if (isIsoDate(other)) return { date: other, estimated: true };
+    const year = Number.parseInt(legislationYear, 10);
+    return year > 1800 ? { date: `${year}-01-01`, estimated: true } : null;
+}
+
+/**
+ * When a provision falls due, as { date, estimated }, or null when it cannot be worked out
+ * `context` supplies assentDate, commencementDate (YYYY-MM-DD) and legislationYear; an annual
+ * duty falls due on the next anniversary of its start date
+ */
+export function reviewDueDate(provision, context, today = todayIso()) {
+    const { event, date, years = 0, months = 0 } = provision.trigger || {};
+    if (event === 'date') return isIsoDate(date) ? { date, estimated: false } : null;
+    if (!TRIGGER_EVENTS[event]) return null;
+    const start = startDate(event === 'annual' ? 'commencement' : event, context);
+    if (!start) return null;
+    if (event !== 'annual') return { date: addToDate(start.date, { years: Number(years) || 0, months: Number(months) || 0 }), estimated: start.estimated };
+    const elapsed = Number(today.slice(0, 4)) - Number(start.date.slice(0, 4));
+    let next = addToDate(start.date, { years: Math.max(1, elapsed) });
+    if (next < today) next = addToDate(next, { years: 1 });
+    return { date: next, estimated: start.estimated };
+}
+
+/**
+ * "5 years after commencement", "18 months after Royal Assent / enactment", "On 2030-12-31", "Every year"
+ */
+export function triggerLabel(trigger = {}) {
+    const { event, date, years = 0, months = 0 } = trigger;
+    if (event === 'date') return date ? `On ${date}` : 'On a date not yet recorded';
+    if (event === 'annual') return 'Every year';
+    if (event !== 'commencement' && event !== 'assent') return 'Trigger not recorded';
+    const period = [years > 0 && `${years} year${years === 1 ? '' : 's'}`, months > 0 && `${months} month${months === 1 ? '' : 's'}`].filter(Boolean).join(' ');
+    return `${period || 'On'} ${period ? 'after' : ''} ${event === 'assent' ? 'Royal Assent / enactment' : 'commencement'}`.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Time left until a due date: "in 3 days", "in 4 months", "in 2 years 1 month", "due today" or "5 days overdue"
+ */
+export function countdownLabel(dueDate, today = todayIso()) {
+    const overdue = daysOverdue(dueDate, today);
+    if (overdue === null) return '';
+    if (overdue === 0) return 'due today';
+    if (overdue > 0) return `${overdue} day${overdue === 1 ? '' : 's'} overdue`;
+    const days = -overdue;
+    if (days < 60) return `in ${days} day${days === 1 ? '' : 's'}`;
+    const totalMonths = Math.round(days / 30.44);
+    const years = Math.floor(totalMonths / 12);
+    const months = totalMonths % 12;
+    const parts = [years > 0 && `${years} year${years === 1 ? '' : 's'}`, months > 0 && `${months} month${months === 1 ? '' : 's'}`].filter(Boolean);
+    return `in ${parts.join(' ')}`;
+}
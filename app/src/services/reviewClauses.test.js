@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { detectReviewClauses } from './reviewClauses';
+
+const detectOne = (text) => {
+    const provisions = detectReviewClauses(text);
+    expect(provisions).toHaveLength(1);
+    return provisions[0];
+};
+
+describe('detectReviewClauses', () => {
+    it('finds a sunset clause in the present tense', () => {
+        const provision = detectOne('This Act expires at the end of the period of 2 years beginning with the day on which it is passed.');
+        expect(provision.type).toBe('sunset');
+        expect(provision.trigger).toMatchObject({ event: 'assent', years: 2 });
+    });
+
+    it('finds sections that cease to have effect without "shall"', () => {
+        const provision = detectOne('Sections 4 to 6 cease to have effect at the end of 31 December 2025.');
+        expect(provision.type).toBe('expiry');
+        expect(provision.trigger).toMatchObject({ event: 'date', date: '2025-12-31' });
+    });
+
+    it('finds a reporting duty with verbs joined by "and"', () => {
+        const provision = detectOne('The Secretary of State must prepare and publish a report on the operation of this Act.');
+        expect(provision.type).toBe('reporting');
+        expect(provision.obligatedBody).toBe('Secretary of State');
+    });
+
+    it('finds a review duty with a clause between "must," and "review"', () => {
+        const provision = detectOne('The Minister must, before the end of 5 years beginning with the day on which this Act comes into force, review the operation of this Act.');
+        expect(provision.type).toBe('review');
+        expect(provision.trigger).toMatchObject({ event: 'commencement', years: 5 });
+    });
+
+    it('still finds the older "shall" wording', () => {
+        expect(detectOne('This Act shall expire on 31 March 2030.').type).toBe('sunset');
+        expect(detectOne('Part 3 shall cease to have effect five years after commencement.').type).toBe('expiry');
+    });
+
+    it('does not take a period that expires for an expiry provision', () => {
+        expect(detectReviewClauses('An application may be made before the notice period expires.')).toHaveLength(0);
+    });
+});
@@ -0,0 +1,93 @@
+// SMART Recommendations
+// Recommendations are structured records so each can be addressed to a named body, followed up
+// and checked against the tips for SMART recommendations in Box 12 of the 2023 WFD Manual:
+// be specific about what should change, address it to a specific authority, say how it will be
+// monitored, and give a timeline.
+//
+// A recommendation is { id, addressee, action, measure, deadline, evidence: [evidence source text] }
+
+export const SMART_CRITERIA = [
+    { id: 'specific', letter: 'S', label: 'Specific', hint: 'Says exactly what should be sustained or changed' },
+    { id: 'measurable', letter: 'M', label: 'Measurable', hint: 'Says how it will be monitored or followed up' },
+    { id: 'achievable', letter: 'A', label: 'Achievable', hint: 'Is addressed to a specific authority or institution' },
+    { id: 'relevant', letter: 'R', label: 'Relevant', hint: 'Rests on evidence gathered during the review' },
+    { id: 'timeBound', letter: 'T', label: 'Time-bound', hint: 'Has a deadline or a short-, medium- or long-term timeline' },
+];
+
+// Verbs and hedges that leave a recommendation open to doing nothing
+const VAGUE_PHRASES = [
+    'consider', 'explore', 'look into', 'look at', 'reflect on', 'think about', 'encourage', 'endeavour', 'endeavor',
+    'strive', 'seek to', 'aim to', 'be mindful', 'continue to', 'where possible', 'where appropriate', 'as appropriate',
+    'if possible', 'as soon as possible', 'in due course', 'take note', 'bear in mind',
+];
+
+// Addressees too broad to follow up with
+const VAGUE_ADDRESSEES = ['government', 'the government', 'authorities', 'the authorities', 'relevant authorities', 'relevant bodies',
+    'stakeholders', 'all stakeholders', 'everyone', 'all', 'state', 'the state', 'ministries', 'agencies'];
+
+// A date, a year, a month, a period ("within 6 months") or a Box 12 term ("short-term")
+const TIME_REFERENCE = /\b(?:(?:19|20)\d{2}|\d{1,2}[/.-]\d{1,2}|jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?|q[1-4]|quarter|days?|weeks?|months?|years?|(?:short|medium|long)[- ]term|annual(?:ly)?|session)\b/i;
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * A blank recommendation for the Impact Assessment tab
+ */
+export function newRecommendation(id) {
+    return { id, addressee: '', action: '', measure: '', deadline: '', evidence: [] };
+}
+
+/**
+ * Recommendations saved before they were structured were one free-text field; each
+ * non-empty line becomes a recommendation with the line as its action
+ */
+export function normalizeRecommendations(recommendations, nextId = (i) => i + 1) {
+    if (Array.isArray(recommendations)) return recommendations;
+    if (typeof recommendations !== 'string') return [];
+    return recommendations.split('\n')
+        .map(line => line.trim().replace(/^(?:[•\-*–]|\(?(?:\d{1,2}|[a-z])[.)])\s+/i, ''))
+        .filter(Boolean)
+        .map((action, i) => ({ ...newRecommendation(nextId(i)), action }));
+}
+
+/**
+ * Check a recommendation against the SMART criteria
+ * Returns { [criterion id]: [warning, ...] }; a criterion with no warnings is met
+ */
+export function checkRecommendation(recommendation) {
+    const action = text(recommendation.action);
+    const addressee = text(recommendation.addressee);
+    const measure = text(recommendation.measure);
+    const deadline = text(recommendation.deadline);
+    const evidence = (recommendation.evidence || []).filter(source => text(source));
+    const warnings = Object.fromEntries(SMART_CRITERIA.map(criterion => [criterion.id, []]));
+
+    if (!action) {
+        warnings.specific.push('Say what action is recommended.');
+    } else {
+        const lower = action.toLowerCase();
+        const vague = VAGUE_PHRASES.filter(phrase => new RegExp(`\\b${phrase}\\b`).test(lower));
+        if (vague.length > 0) {
+            warnings.specific.push(`Vague wording: "${vague.join('", "')}". Say what should be done, not what should be considered.`);
+        }
+        if (action.split(/\s+/).length < 4) warnings.specific.push('Say exactly what should be sustained or changed.');
+    }
+
+    if (!measure) warnings.measurable.push('Say how implementation will be measured or followed up.');
+
+    if (!addressee) {
+        warnings.achievable.push('Address the recommendation to a specific ministry, agency or institution.');
+    } else if (VAGUE_ADDRESSEES.includes(addressee.toLowerCase())) {
+        warnings.achievable.push(`"${addressee}" is too broad to follow up - name the responsible ministry or body.`);
+    }
+
+    if (evidence.length === 0) warnings.relevant.push('Link the evidence this recommendation rests on.');
+
+    if (!deadline) {
+        warnings.timeBound.push('Add a deadline or a short-, medium- or long-term timeline.');
+    } else if (!TIME_REFERENCE.test(deadline)) {
+        warnings.timeBound.push(`"${deadline}" does not name a date or period.`);
+    }
+
+    return warnings;
+}
@@ -0,0 +1,189 @@
+// Terms of Reference Builder
+// Drafts the Terms of Reference (ToR) a committee adopts when it launches a post-legislative
+// scrutiny inquiry: the scope, the questions it will address (grouped under the headings of
+// Box 7 of the 2023 WFD Manual), the witnesses it will hear from and the timeframe.
+//
+// The draft is plain text the user edits on the Export tab:
+// { scope, questions: { [categoryId]: text }, witnesses, timeline, draftedAt }
+// with one question or witness per line. buildTermsOfReferenceReport() turns it into a
+// report outline (see reportBuilder.js) so it downloads in every report format.
+
+import { reportDetails } from './reportBuilder';
+
+/**
+ * Box 7 of the 2023 Manual: potential questions to be addressed in PLS activities.
+ * `keywords` sort the project's own key questions under a heading; `examples` are Box 7's
+ * questions, offered for headings the project has no questions for yet.
+ */
+export const TOR_QUESTION_CATEGORIES = [
+    {
+        id: 'adequacy',
+        label: 'The adequacy of the law',
+        keywords: ['achiev', 'aim', 'objective', 'purpose', 'intend', 'gap', 'assumption', 'suited', 'adequa', 'protection', 'effective', 'working', 'succe'],
+        examples: [
+            'Has the Act achieved its aim?',
+            'Are there gaps in legal protection?',
+            'Are the law and its application well suited to meet the desired objectives?',
+            'Have assumptions made during the passage of the legislation (on costs, timings or impact) held true, and if not, why not?',
+        ],
+    },
+    {
+        id: 'implementation',
+        label: 'The implementation of the law',
+        keywords: ['implement', 'regulation', 'secondary', 'commence', 'in force', 'mechanism', 'resourc', 'fund', 'budget', 'capacity', 'staff', 'agency', 'guidance', 'deliver', 'challenge', 'external'],
+        examples: [
+            'Have all provisions been implemented?',
+            'Have the implementing regulations been adopted?',
+            'Is the implementation mechanism in place and does it work properly?',
+            'What resources have been allocated to implement the law and how have they been used?',
+            'Has implementation been affected, adversely or advantageously, by external factors?',
+        ],
+    },
+    {
+        id: 'compliance',
+        label: 'Compliance and enforcement',
+        keywords: ['comply', 'complian', 'enforce', 'prosecut', 'penalt', 'sanction', 'offence', 'inspect', 'breach', 'aware', 'benefit', 'access'],
+        examples: [
+            'Do those subject to the law comply with it?',
+            'Do they benefit from the law? If yes or no, why?',
+            'Are enforcement mechanisms accessible and effective?',
+            'Are specific groups of people more likely to be prosecuted?',
+        ],
+    },
+    {
+        id: 'impacts',
+        label: 'Broader impacts of the law',
+        keywords: ['impact', 'outcome', 'consequence', 'side effect', 'unintended', 'unexpected', 'unforeseen', 'affect', 'group', 'communit', 'women', 'gender', 'young', 'disab', 'equal', 'fair', 'burden', 'disadvantage'],
+        examples: [
+            'What are the wanted and unwanted outcomes of the law, and what are the reasons behind them?',
+            'Have any significant unexpected side effects resulted?',
+            'Has the law affected different groups in different or unintended ways?',
+            'Have unforeseen disadvantages or burdens been created for women or gender-diverse people, young people, or other groups?',
+        ],
+    },
+    {
+        id: 'lessons',
+        label: 'Lessons for the future',
+        keywords: ['lesson', 'future', 'improve', 'change', 'amend', 'reform', 'recommend', 'cost', 'efficien', 'should'],
+        examples: [
+            'What changes or improvements need to be made to the law and its implementation to make it more effective or cost-efficient?',
+            'What lessons can be learnt?',
+        ],
+    },
+];
+
+const LEVEL_SCORES = { high: 3, medium: 2, low: 1 };
+
+// The 2023 Manual's indication for how long a PLS inquiry should take
+const DEFAULT_TIMELINE = 'To be agreed by the committee. The 2023 Manual suggests completing post-legislative scrutiny within 3 to 6 months.';
+
+const splitLines = (text) => String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+// Drop bullets and numbering the user typed, e.g. "• ", "- ", "1. ", "(a) "
+const stripMarker = (line) => line.replace(/^(?:[•\-*–]|\(?(?:\d{1,2}|[a-z])[.)])\s+/i, '');
+
+/**
+ * Box 7 heading for a question: the one whose keywords it mentions most, or
+ * "The adequacy of the law" - whether the Act works - when it mentions none
+ */
+export function categorizeQuestion(question) {
+    const text = question.toLowerCase();
+    let best = TOR_QUESTION_CATEGORIES[0];
+    let bestScore = 0;
+    for (const category of TOR_QUESTION_CATEGORIES) {
+        const score = category.keywords.filter(keyword => text.includes(keyword)).length;
+        if (score > bestScore) {
+            best = category;
+            bestScore = score;
+        }
+    }
+    return best.id;
+}
+
+/**
+ * Draft Terms of Reference from the wizard state
+ * `consultationMethods` is the list of { id, label } offered on the Consultation tab
+ */
+export function draftTermsOfReference({ context, stakeholders, consultation }, { consultationMethods = [] } = {}) {
+    const act = [context.legislationTitle || 'the Act', context.legislationYear && `(${context.legislationYear})`].filter(Boolean).join(' ');
+
+    // Scope: whether the Act has met its primary objectives
+    const objectives = splitLines(context.primaryObjectives).map(stripMarker);
+    const scope = objectives.length > 0
+        ? [`The inquiry will examine the implementation and impact of ${act}, and whether it has achieved its primary objectives:`,
+            ...objectives.map(objective => `• ${objective}`)].join('\n')
+        : `The inquiry will examine the implementation and impact of ${act}, and whether it has achieved the objectives set for it when it was passed.`;
+
+    // Questions: the project's key questions under their Box 7 heading, Box 7's own questions elsewhere
+    const questions = Object.fromEntries(TOR_QUESTION_CATEGORIES.map(category => [category.id, []]));
+    for (const question of splitLines(consultation.keyQuestions).map(stripMarker)) {
+        questions[categorizeQuestion(question)].push(question);
+    }
+    for (const category of TOR_QUESTION_CATEGORIES) {
+        if (questions[category.id].length === 0) questions[category.id] = category.examples;
+    }
+
+    // Witnesses: the stakeholder map, most influential and most interested first
+    const priority = (s) => (LEVEL_SCORES[s.influence] || 2) + (LEVEL_SCORES[s.interest] || 2);
+    const witnesses = [...stakeholders]
+        .filter(s => s.name?.trim())
+        .sort((a, b) => priority(b) - priority(a))
+        .map(s => [s.name.trim(), s.type && `(${s.type})`, s.notes && `- ${s.notes}`].filter(Boolean).join(' '));
+
+    // Timeline: the consultation timeline, and how evidence will be gathered
+    const methods = consultation.methods.map(id => consultationMethods.find(m => m.id === id)?.label || id);
+    const timeline = [
+        consultation.timeline || DEFAULT_TIMELINE,
+        methods.length > 0 && `Evidence will be gathered through: ${methods.join(', ')}.`,
+    ].filter(Boolean).join('\n');
+
+    return {
+        scope,
+        questions: Object.fromEntries(Object.entries(questions).map(([id, list]) => [id, list.join('\n')])),
+        witnesses: witnesses.join('\n'),
+        timeline,
+        draftedAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Build the report outline for a Terms of Reference draft
+ */
+export function buildTermsOfReferenceReport(termsOfReference, context) {
+    const { scope, questions = {}, witnesses, timeline } = termsOfReference;
+    const sections = [];
+    const addSection = (title, blocks) => sections.push({ number: sections.length + 1, title, blocks });
+
+    addSection('Scope of the Inquiry', scope?.trim()
+        ? [{ type: 'text', text: scope }]
+        : [{ type: 'empty', text: 'Scope to be agreed.' }]);
+
+    const questionBlocks = TOR_QUESTION_CATEGORIES
+        .map(category => ({ category, items: splitLines(questions[category.id]).map(stripMarker) }))
+        .filter(({ items }) => items.length > 0)
+        .flatMap(({ category, items }) => [
+            { type: 'subheading', text: category.label },
+            { type: 'list', items: items.map(text => ({ text })) },
+        ]);
+    addSection('Questions the Inquiry Will Address', questionBlocks.length > 0
+        ? questionBlocks
+        : [{ type: 'empty', text: 'No questions agreed yet.' }]);
+
+    const witnessList = splitLines(witnesses).map(stripMarker);
+    addSection('Witnesses', witnessList.length > 0
+        ? [{ type: 'text', text: 'The committee intends to invite written and oral evidence from:' }, { type: 'list', items: witnessList.map(text => ({ text })) }]
+        : [{ type: 'empty', text: 'No witnesses identified.' }]);
+
+    addSection('Timeline', timeline?.trim()
+        ? [{ type: 'text', text: timeline }]
+        : [{ type: 'empty', text: DEFAULT_TIMELINE }]);
+
+    return {
+        title: 'Terms of Reference',
+        shortTitle: 'Terms of Reference',
+        ...reportDetails(context),
+        generatedAt: new Date(),
+        sections,
+        appendices: [],
+    };
+}